@@ -5,11 +5,17 @@
  * - 無料枠で破綻しないよう、Durable Objects の永続ストレージ(state.storage)を一切使わない版。
  * - locale fanout 判定はメモリのみで保持。
  * - "JS実行済み" は DO ではなくメインWorker側で KV に記録する（index.js側）。
+ * - セッションスコア（/update-score + event）もメモリのみ。idle が続くか DO が落ちれば 0 から数え直す
+ *   （ブロック自体は KV 側にあるので、ここが消えても「見逃しが少し増える」だけで誤ブロックにはならない）。
  */
 
 const SCORE_DECAY_PER_MINUTE = 1;
 const DECAY_INTERVAL_MS = 60 * 1000;
 
+// セッションで覚えておく量の上限（メモリを食いつぶさない）
+const SESSION_MAX_INTERVALS = 16;
+const SESSION_MAX_PRODUCTS = 200;
+
 // --- 指紋生成に使う軽量ハッシュ: CRC32（簡易実装） ---
 function crc32(str) {
   let crc = -1;
@@ -68,11 +74,28 @@ export class FingerprintTrackerV2 {
       lastUpdated: Date.now(),
       hasStrike: false,
 
+      // behavioral session (in-memory only / index.js 16) から event が来たときだけ使う)
+      session: this._newSession(Date.now()),
+
       // locale fanout tracking (in-memory only)
       lgRegions: {}, // key: "lang-country" -> timestamp(ms)
     };
   }
 
+  _newSession(now) {
+    return {
+      start: now,
+      lastAt: 0,
+      intervals: [], // 直近のリクエスト間隔(ms)
+      htmlPages: 0,
+      jsSeen: false,
+      products: [], // 見た商品ハンドル（重複なし）
+      cartSeen: false,
+      maxPage: 0,
+      fired: [], // このセッションで加点済みのシグナル（1セッション1回）
+    };
+  }
+
   async fetch(request) {
     const url = new URL(request.url);
 
@@ -101,14 +124,26 @@ export class FingerprintTrackerV2 {
       return new Response("bad json", { status: 400 });
     }
 
-    const { scoreToAdd, config } = body || {};
+    const { scoreToAdd, config, event } = body || {};
     const now = Date.now();
+
+    // idle が続いたらセッションごと数え直す（score / strike も含めて自然消滅）
+    const idleMs = (Number(config?.session?.idleSec) || 1800) * 1000;
+    const session = this.memState.session;
+    if (event && session.lastAt && now - session.lastAt > idleMs) {
+      const lgRegions = this.memState.lgRegions;
+      this.memState = { ...this._getInitialState(), lgRegions };
+    }
+
+    const signals = event ? this._recordSessionEvent(event, config?.session || {}, now) : [];
+    const signalScore = signals.reduce((sum, s) => sum + s.score, 0);
+
     const minutesPassed = Math.floor((now - this.memState.lastUpdated) / DECAY_INTERVAL_MS);
 
     if (minutesPassed > 0) {
       this.memState.score = Math.max(0, this.memState.score - minutesPassed * SCORE_DECAY_PER_MINUTE);
     }
-    this.memState.score += Number(scoreToAdd) || 0;
+    this.memState.score += (Number(scoreToAdd) || 0) + signalScore;
     this.memState.lastUpdated = now;
 
     let action = "ALLOW";
@@ -127,9 +162,67 @@ export class FingerprintTrackerV2 {
     }
 
     // ★永続化しない：state.storage.put しない
-    return new Response(JSON.stringify({ newScore: this.memState.score, action }), {
-      headers: { "Content-Type": "application/json" },
-    });
+    return new Response(
+      JSON.stringify({
+        newScore: this.memState.score,
+        action,
+        signals: signals.map((s) => s.name),
+        fired: this.memState.session.fired,
+      }),
+      { headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  // event: { html, jsOk, product, cart, page }（index.js 16-3 sessionEvent）
+  // rules: config.session（index.js 16-1 resolveSessionScoringConfig）
+  // 戻り値: 今回はじめて成立したシグナル [{ name, score }]
+  _recordSessionEvent(event, rules, now) {
+    const st = this.memState.session;
+
+    if (st.lastAt) {
+      st.intervals.push(now - st.lastAt);
+      if (st.intervals.length > SESSION_MAX_INTERVALS) st.intervals.shift();
+    }
+    st.lastAt = now;
+
+    if (event.jsOk) st.jsSeen = true;
+    if (event.html) st.htmlPages++;
+    if (event.cart) st.cartSeen = true;
+    if (typeof event.product === "string" && event.product && !st.products.includes(event.product)) {
+      if (st.products.length < SESSION_MAX_PRODUCTS) st.products.push(event.product);
+    }
+    const page = Number(event.page);
+    if (Number.isInteger(page) && page > st.maxPage) st.maxPage = page;
+
+    const hits = [];
+    const fire = (name, rule, cond) => {
+      if (!rule || st.fired.includes(name) || !cond) return;
+      st.fired.push(name);
+      hits.push({ name, score: Number(rule.score) || 0 });
+    };
+
+    // HTML は見ているのに JS / アセットを一度も読まない
+    const ha = rules.htmlNoAssets;
+    fire("html_no_assets", ha, ha && !st.jsSeen && st.htmlPages >= ha.minPages);
+
+    // リクエスト間隔が機械的に一定（変動係数が小さい）
+    const rt = rules.regularTiming;
+    if (rt && st.intervals.length >= rt.minRequests) {
+      const xs = st.intervals;
+      const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+      const sd = Math.sqrt(xs.reduce((a, b) => a + (b - mean) ** 2, 0) / xs.length);
+      fire("regular_timing", rt, mean > 0 && mean <= rt.maxMeanSec * 1000 && sd / mean <= rt.maxCv);
+    }
+
+    // 深いページ送り
+    const dp = rules.deepPagination;
+    fire("deep_pagination", dp, dp && st.maxPage >= dp.minPage);
+
+    // 商品ページを大量に見るのにカートを一度も見ない
+    const ps = rules.productSweep;
+    fire("product_sweep", ps, ps && !st.cartSeen && st.products.length >= ps.minProducts);
+
+    return hits;
   }
 
   async handleLocaleCheck(request) {
@@ -3,10 +3,14 @@
 /**
  * IPStateTrackerV2 (Durable Object)
  * - 無料枠で破綻しないよう、Durable Objects の永続ストレージ(state.storage)を一切使わない版。
- * - rateLimit / locale fanout は「短時間窓」なのでメモリのみで十分。
+ * - rateLimit / locale fanout / page walk は「短時間窓」なのでメモリのみで十分。
  * - DO プロセスが落ちれば状態は消えるが、無料運用の安定性を優先。
+ * - インスタンス名はキー（IP / IPv6プレフィックス / FP-<fingerprint>）。レート制限ポリシーごとに bucket を分けて数える。
  */
 
+// /rate-limit に body が無いとき（旧 safe bot 用）の既定
+const DEFAULT_RATE_LIMIT = { bucket: "default", limit: 10, windowSec: 60 };
+
 export class IPStateTrackerV2 {
   constructor(state, env) {
     this.state = state;
@@ -18,11 +22,14 @@ export class IPStateTrackerV2 {
 
   _getInitialState() {
     return {
-      // rate limit (in-memory only)
-      rateLimit: { count: 0, firstRequest: 0 },
+      // rate limit (in-memory only) / bucket -> { count, firstRequest, windowMs }
+      rateLimits: {},
 
       // locale fanout tracking (in-memory only)
       lgRegions: {}, // key: "lang-country" -> timestamp(ms)
+
+      // catalog feed page walking (in-memory only) / feed path -> { last, run, at }
+      pageWalks: {},
     };
   }
 
@@ -35,6 +42,9 @@ export class IPStateTrackerV2 {
       case "/check-locale":
         return this.handleLocaleCheck(request);
 
+      case "/page-walk":
+        return this.handlePageWalk(request);
+
       case "/get-state":
         return new Response(JSON.stringify(this.memState), {
           headers: { "Content-Type": "application/json" },
@@ -45,20 +55,66 @@ export class IPStateTrackerV2 {
     }
   }
 
-  async handleRateLimit(_request) {
-    // 1分窓、10回まで（safe bot 用）
+  async handleRateLimit(request) {
+    // body: { bucket, limit, windowSec }（無ければ 1分窓・10回まで）
+    let body = null;
+    try {
+      body = request.method === "POST" ? await request.json() : null;
+    } catch {
+      return new Response("bad json", { status: 400 });
+    }
+
+    const bucket = typeof body?.bucket === "string" && body.bucket ? body.bucket : DEFAULT_RATE_LIMIT.bucket;
+    const limit = Number(body?.limit) > 0 ? Number(body.limit) : DEFAULT_RATE_LIMIT.limit;
+    const windowMs = (Number(body?.windowSec) > 0 ? Number(body.windowSec) : DEFAULT_RATE_LIMIT.windowSec) * 1000;
+    const now = Date.now();
+
+    // 掃除（窓が終わった bucket を削除）
+    for (const [k, st] of Object.entries(this.memState.rateLimits)) {
+      if (now - st.firstRequest > st.windowMs) delete this.memState.rateLimits[k];
+    }
+
+    let st = this.memState.rateLimits[bucket];
+    if (!st) {
+      st = this.memState.rateLimits[bucket] = { count: 0, firstRequest: now, windowMs };
+    }
+    st.count++;
+
+    const allowed = st.count <= limit;
+    const retryAfterSec = Math.max(1, Math.ceil((st.firstRequest + st.windowMs - now) / 1000));
+    return new Response(JSON.stringify({ allowed, count: st.count, limit, retryAfterSec }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  async handlePageWalk(request) {
+    // body: { feed, page, windowSec } / 同じ feed を page = 前回+1 で辿ると run が伸びる（飛んだら 1 から）
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return new Response("bad json", { status: 400 });
+    }
+
+    const feed = typeof body?.feed === "string" ? body.feed : "";
+    const page = Number(body?.page);
+    const windowMs = (Number(body?.windowSec) > 0 ? Number(body.windowSec) : 300) * 1000;
+    if (!feed || !Number.isInteger(page) || page < 1) {
+      return new Response("bad request", { status: 400 });
+    }
+
     const now = Date.now();
-    const duration = 60 * 1000;
-    const limit = 10;
 
-    if (now - (this.memState.rateLimit?.firstRequest || 0) > duration) {
-      this.memState.rateLimit = { count: 1, firstRequest: now };
-    } else {
-      this.memState.rateLimit.count++;
+    // 掃除（窓が終わった feed を削除）
+    for (const [k, st] of Object.entries(this.memState.pageWalks)) {
+      if (now - st.at > windowMs) delete this.memState.pageWalks[k];
     }
 
-    const allowed = this.memState.rateLimit.count <= limit;
-    return new Response(JSON.stringify({ allowed }), {
+    const prev = this.memState.pageWalks[feed];
+    const run = prev && page === prev.last + 1 ? prev.run + 1 : 1;
+    this.memState.pageWalks[feed] = { last: page, run, at: now };
+
+    return new Response(JSON.stringify({ run }), {
       headers: { "Content-Type": "application/json" },
     });
   }
@@ -0,0 +1,132 @@
+// src/do/MetricsAggregator.js
+
+/**
+ * MetricsAggregator (Durable Object)
+ * - 各 isolate がメモリで数えたカウンタ / ヒストグラムを /add で受け取り、足し合わせるだけ（インスタンスは "global" の1つ）。
+ * - 他の DO と同じく永続ストレージ(state.storage)は使わない。落ちれば 0 から数え直す（Prometheus ではカウンタのリセット扱い）。
+ * - 系列のキーは JSON.stringify([name, labels])。ヒストグラムは { buckets: [区間ごとの件数..., +Inf], sum, count }。
+ * - rates は急増の検知用（分ごとの件数を RATE_HISTORY_MIN 分だけ持つ）。/add の応答で直近の窓と、その前1時間の平均を返す。
+ */
+
+// 系列数の上限（ラベルの値が想定外に増えても DO のメモリを食い尽くさない）
+const MAX_SERIES = 5000;
+
+// rates: 分ごとの件数を持つ長さ（直近の窓の最大 + その前1時間）
+const RATE_WINDOW_MIN_SEC = 60;
+const RATE_WINDOW_MAX_SEC = 3600;
+const RATE_BASELINE_SEC = 3600;
+const RATE_HISTORY_MIN = Math.ceil(RATE_WINDOW_MAX_SEC / 60) + RATE_BASELINE_SEC / 60;
+
+export class MetricsAggregator {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+
+    // 永続化しない（メモリのみ）
+    this.memState = this._getInitialState();
+  }
+
+  _getInitialState() {
+    return {
+      startedAt: Date.now(),
+      counters: {}, // series -> number
+      histograms: {}, // series -> { buckets, sum, count }
+      rates: {}, // name -> { <分(epoch / 60000)>: count }
+      droppedSeries: 0,
+    };
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    switch (url.pathname) {
+      case "/add":
+        return this.handleAdd(request);
+
+      case "/snapshot":
+        return new Response(JSON.stringify(this.memState), {
+          headers: { "Content-Type": "application/json" },
+        });
+
+      default:
+        return new Response("Not found", { status: 404 });
+    }
+  }
+
+  async handleAdd(request) {
+    // body: { counters: { <series>: n }, histograms: { <series>: { buckets, sum, count } }, rates?: { <name>: n }, rateWindowSec? }
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return new Response("bad json", { status: 400 });
+    }
+
+    const st = this.memState;
+    let series = Object.keys(st.counters).length + Object.keys(st.histograms).length;
+
+    for (const [k, n] of Object.entries(body?.counters || {})) {
+      if (typeof n !== "number" || !Number.isFinite(n) || n < 0) continue;
+      if (!(k in st.counters)) {
+        if (series >= MAX_SERIES) {
+          st.droppedSeries++;
+          continue;
+        }
+        series++;
+        st.counters[k] = 0;
+      }
+      st.counters[k] += n;
+    }
+
+    for (const [k, h] of Object.entries(body?.histograms || {})) {
+      if (!h || !Array.isArray(h.buckets) || typeof h.sum !== "number" || typeof h.count !== "number") continue;
+      const cur = st.histograms[k];
+      if (!cur) {
+        if (series >= MAX_SERIES) {
+          st.droppedSeries++;
+          continue;
+        }
+        series++;
+        st.histograms[k] = { buckets: h.buckets.slice(), sum: h.sum, count: h.count };
+        continue;
+      }
+      // バケットの区切りが変わった（デプロイ直後など）ときは数え直す
+      if (cur.buckets.length !== h.buckets.length) {
+        st.histograms[k] = { buckets: h.buckets.slice(), sum: h.sum, count: h.count };
+        continue;
+      }
+      h.buckets.forEach((n, i) => (cur.buckets[i] += Number(n) || 0));
+      cur.sum += h.sum;
+      cur.count += h.count;
+    }
+
+    return new Response(JSON.stringify({ ok: true, series, rates: this._addRates(body?.rates, body?.rateWindowSec) }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  // rates: { <name>: n } を今の分に足し、名前ごとに { current（直近 windowSec 秒）, baseline（その前1時間を windowSec あたりに換算） } を返す
+  _addRates(rates, windowSec) {
+    const now = Date.now();
+    const minute = Math.floor(now / 60000);
+    const win = Math.min(Math.max(Number(windowSec) || 300, RATE_WINDOW_MIN_SEC), RATE_WINDOW_MAX_SEC);
+    const winMin = Math.ceil(win / 60);
+    const out = {};
+
+    for (const [name, n] of Object.entries(rates || {})) {
+      if (typeof n !== "number" || !Number.isFinite(n) || n < 0) continue;
+      const r = (this.memState.rates[name] ||= {});
+      r[minute] = (r[minute] || 0) + n;
+      for (const m of Object.keys(r)) if (Number(m) <= minute - RATE_HISTORY_MIN) delete r[m];
+
+      let current = 0;
+      let previous = 0;
+      for (const [m, c] of Object.entries(r)) {
+        const age = minute - Number(m);
+        if (age < winMin) current += c;
+        else if (age < winMin + RATE_BASELINE_SEC / 60) previous += c;
+      }
+      out[name] = { current, baseline: (previous * win) / RATE_BASELINE_SEC };
+    }
+    return out;
+  }
+}
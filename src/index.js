@@ -5,7 +5,7 @@
  *
  * 目的:
  *  - Shopifyストア( rc nir.com )へのボット/クローラ攻撃・濫用アクセスを抑止
- *  - 永続化しない方針: 主要な判定は KV の短TTLで自然消滅（DOは使わない設計）
+ *  - 永続化しない方針: 主要な判定は KV の短TTLで自然消滅（DOはレート制限の正確なカウント・セッションスコア・メトリクスの集計だけ・メモリのみ）
  *
  * 疎通確認エンドポイント（残す理由）:
  *  - /__bb_ping は「Workerがルートに適用されているか」を即判定するために残す
@@ -21,14 +21,29 @@
  * -----------------------------------------------------------------
  * 1. imports / exports / module-scope caches
  * 2. KV cache helpers (read/write debounce)
- * 3. Durable Object safe wrapper (※現状: 互換のため残存。メインhandleでは使用しない想定)
+ * 3. Durable Object safe wrapper (レート制限 / セッションスコアで使用。落ちていれば KV にフォールバック or シグナル無し)
  * 4. FP "JS executed" tracking (KV-based)
  * 5. Worker entrypoints (fetch / scheduled)
- * 6. Main request handler: handle()   ★メイン（DOを一切使わない版）
+ * 6. Main request handler: handle()   ★メイン
  * 7. Turnstile handlers
  * 8. Violation handling (KV/R2)
- * 9. Bot verification (CIDR)
+ * 9. Bot verification (CIDR / reverse DNS)
  * 10. Utilities (admin, cookies, token, cidr)
+ * 11. Admin API (block state / lists)
+ * 12. Decision events (R2 NDJSON)
+ * 13. Path / header rule engine (KV: PATH_RULES)
+ * 14. Rate-limit policies / cart protection (DO / KV fallback)
+ * 15. Catalog scraping defence (products.json / collection feeds)
+ * 16. Behavioral session scoring (FingerprintTrackerV2)
+ * 17. Bad-bot learning (candidates -> LEARNED_BAD_BOTS)
+ * 18. UA matcher (compiled bad-bot lists)
+ * 19. List sync (R2 staged sources -> KV / versions / rollback)
+ * 20. WORKER_CONFIG schema / versions / rollback
+ * 21. Metrics (isolate counters -> MetricsAggregator DO / Prometheus)
+ * 22. Permanent-block records (R2 date partitions / daily index / query)
+ * 23. Alerts (outbound webhooks / digest / HMAC signature)
+ * 24. Staff / partner bypass (signed passes / IP・CIDR・ASN allowlist)
+ * 25. Admin authentication (scoped keys / lockout / audit log)
  *
  * -----------------------------------------------------------------
  * 便利なターミナルコマンド (Useful Terminal Commands)
@@ -52,7 +67,21 @@
  *    npx wrangler tail shopify-bot-blocker | grep -F "[TH]"
  *    npx wrangler tail shopify-bot-blocker | grep -F "[SH]"
  *    npx wrangler tail shopify-bot-blocker | grep -F "[B]"
+ *    npx wrangler tail shopify-bot-blocker | grep -F "[VERIFIED_BOT]"
+ *    npx wrangler tail shopify-bot-blocker | grep -F "[UNVERIFIED_BOT]"   // DoH の失敗で確認できず通したクローラ
  *    npx wrangler tail shopify-bot-blocker | grep -F "[VIOLATION]"
+ *    npx wrangler tail shopify-bot-blocker | grep -F "[SHADOW]"
+ *    npx wrangler tail shopify-bot-blocker | grep -F "[SELF_UNBLOCK]"
+ *    npx wrangler tail shopify-bot-blocker | grep -F "[CATALOG]"
+ *    npx wrangler tail shopify-bot-blocker | grep -F "[SESSION]"
+ *    npx wrangler tail shopify-bot-blocker | grep -F "[LEARN]"
+ *    npx wrangler tail shopify-bot-blocker | grep -F "[CONFIG_ERROR]"
+ *    npx wrangler tail shopify-bot-blocker | grep -F "[ALERT"
+ *    npx wrangler tail shopify-bot-blocker | grep -F "[BYPASS]"
+ *    npx wrangler tail shopify-bot-blocker | grep -F "[ADMIN_AUTH]"
+ *
+ *  - お問い合わせID（block ページに出るID）で探す
+ *    npx wrangler tail shopify-bot-blocker | grep -F "incident=BB-20250818-XXXXXXXXXX"
  *    npx wrangler tail shopify-bot-blocker | grep -F "[DO_FAIL]"
  *
  * 【2】疎通確認（ブラウザ / curl）
@@ -71,6 +100,23 @@
  *  - FPのブロック状態（例: FP-abcdef12）
  *    npx wrangler kv key get --namespace-id="7da99382fc3945bd87bc65f55c9ea1fb" "FP-abcdef12"
  *
+ *  - 違反カウンタ（昇格ラダーの現在段階 / 例: VC:203.0.113.10, VCFP:abcdef12）
+ *    npx wrangler kv key get --namespace-id="7da99382fc3945bd87bc65f55c9ea1fb" "VC:203.0.113.10"
+ *
+ *  - IPv6 はプレフィックス単位でブロック（既定 /64。WORKER_CONFIG.ipAggregation.ipv6Prefix で /48 等に変更可）
+ *    npx wrangler kv key get --namespace-id="7da99382fc3945bd87bc65f55c9ea1fb" "2001:db8:1:2::/64"
+ *
+ *  - WORKER_CONFIG は 【8】の /admin/config から入れる（スキーマ検証 + 版の履歴。ここで直接 put した不正な設定は各isolateで却下される → [CONFIG_ERROR]）
+ *
+ *  - 外部通知（webhook）は WORKER_CONFIG.alerts（形式は 23) 参照）。署名鍵は secret で入れる
+ *    npx wrangler secret put ALERT_WEBHOOK_SECRET
+ *
+ *  - パス/ヘッダルールの更新（version を上げると30秒以内に各isolateへ反映 / 形式は 13) 参照）
+ *    npx wrangler kv key put --namespace-id="7da99382fc3945bd87bc65f55c9ea1fb" "PATH_RULES" --path=./path-rules.json
+ *
+ *  - challenge ページの文言 / ブランド（version を上げると30秒以内に反映 / 形式は 7) 参照）
+ *    npx wrangler kv key put --namespace-id="7da99382fc3945bd87bc65f55c9ea1fb" "CHALLENGE_PAGE" --path=./challenge-page.json
+ *
  * 【4】R2（永続ログ / permanent-block記録）
  *  - オブジェクト一覧
  *    npx wrangler r2 object list rocaniiru-log
@@ -78,19 +124,97 @@
  *  - 取得して中身を見る（例: filename.json）
  *    npx wrangler r2 object get rocaniiru-log "filename.json" -
  *
- * 【5】デプロイ
+ *  - permanent-block 記録（日付パーティション）/ 日ごとの索引（cron で作る / 探すのは 【8】の /admin/permanent-blocks で）
+ *    npx wrangler r2 object list rocaniiru-log --prefix "blocks/permanent/dt=2025-08-18/"
+ *    npx wrangler r2 object get rocaniiru-log "blocks/permanent-index/dt=2025-08-18.json" -
+ *
+ *  - リストのソースを置く（cron で検証 → 差分 → KV へ取り込み / 形式は 19) 参照）
+ *    npx wrangler r2 object put "rocaniiru-log/lists/staged/cidrs/amazon.json" --file=./ip-ranges.json
+ *    npx wrangler r2 object put "rocaniiru-log/lists/staged/asn-blocklist.txt" --file=./asn-blocklist.txt
+ *
+ * 【5】判定イベント（R2 / NDJSON・時間パーティション）
+ *  - 1時間分の一覧（例: 2025-08-18 の 02時 UTC）
+ *    npx wrangler r2 object list rocaniiru-log --prefix "events/decisions/dt=2025-08-18/hh=02/"
+ *
+ * 【6】オフライン再生（記録したリクエストで判定を再現 / 設定A→Bの差分）
+ *    node tools/replay.mjs --requests tools/examples/requests.ndjson
+ *    node tools/replay.mjs --requests reqs.ndjson --kv seed.json --config current.json --diff candidate.json
+ *
+ * 【7】デプロイ
  *  - デプロイ（GitHub Actions運用でも、ローカル手動でも）
  *    npx wrangler deploy
  *
+ * 【8】管理API（JSON / Authorization: Bearer のキー or admin_key cookie 必須・スコープと監査ログは 25) 参照）
+ *  - 以下の例の -b "admin_key=$ADMIN_KEY" は -H "Authorization: Bearer $BB_ADMIN_KEY"（名前付きキー）でも同じ
+ *
+ *  - 名前付きキー（root = ADMIN_KEY でだけ管理 / scopes: read, blocks, config / 平文の token は発行時の応答でだけ見える）
+ *    curl -s -H "Authorization: Bearer $ADMIN_KEY" https://rcnir.com/admin/keys
+ *    curl -s -H "Authorization: Bearer $ADMIN_KEY" -X POST -d '{"name":"ops-script","scopes":["read","blocks"]}' https://rcnir.com/admin/keys
+ *    curl -s -H "Authorization: Bearer $ADMIN_KEY" -X DELETE https://rcnir.com/admin/keys/ops-script
+ *
+ *  - 監査ログ（変更系の操作 / 誰が・何を・前後の値。R2 audit/admin/dt=YYYY-MM-DD/）
+ *    curl -s -H "Authorization: Bearer $BB_ADMIN_KEY" "https://rcnir.com/admin/audit?date=2025-08-18&actor=ops-script"
+ *
+ *  - ブロック一覧（?incident= でお問い合わせIDから引く）
+ *    curl -s -b "admin_key=$ADMIN_KEY" https://rcnir.com/admin/blocks
+ *    curl -s -b "admin_key=$ADMIN_KEY" "https://rcnir.com/admin/blocks?incident=BB-20250818-XXXXXXXXXX"
+ *
+ *  - 個別参照 / 追加・変更 / 解除（IP / IPv6プレフィックス（例: 2001:db8:1:2::/64 → %2F でエンコード） / FP-<fingerprint>）
+ *    curl -s -b "admin_key=$ADMIN_KEY" https://rcnir.com/admin/blocks/203.0.113.10
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X PUT -d '{"status":"temp-2"}' https://rcnir.com/admin/blocks/FP-abcdef12
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X DELETE https://rcnir.com/admin/blocks/203.0.113.10
+ *
+ *  - ts_pass の失効（jti は cookie の3番目の "." 区切りを base64url デコードすると見える / all でそれまでの全部）
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X POST -d '{"jti":"xxxxxxxxxxxxxxxx"}' https://rcnir.com/admin/pass/revoke
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X POST -d '{"all":true}' https://rcnir.com/admin/pass/revoke
+ *
+ *  - 学習候補 / 学習済みパターン（違反UAのトークン → LEARNED_BAD_BOTS / 承認・却下）
+ *    curl -s -b "admin_key=$ADMIN_KEY" https://rcnir.com/admin/learning
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X POST -d '{"token":"python-requests"}' https://rcnir.com/admin/learning/approve
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X POST -d '{"token":"python-requests"}' https://rcnir.com/admin/learning/reject
+ *
+ *  - リストの版（cron 同期で取り込んだもの）/ 今すぐ同期 / ロールバック
+ *    curl -s -b "admin_key=$ADMIN_KEY" https://rcnir.com/admin/list-versions/BOT_CIDRS
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X POST -d '{}' https://rcnir.com/admin/list-versions/sync
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X POST -d '{"version":"20250818T183000000Z"}' https://rcnir.com/admin/list-versions/BOT_CIDRS/rollback
+ *
+ *  - permanent-block 記録の検索（ip は IP / CIDR、fp は前方一致、reason は部分一致 / format=csv で CSV）
+ *    curl -s -b "admin_key=$ADMIN_KEY" "https://rcnir.com/admin/permanent-blocks?from=2025-08-01&to=2025-08-18&ip=203.0.113.0/24"
+ *    curl -s -b "admin_key=$ADMIN_KEY" "https://rcnir.com/admin/permanent-blocks?reason=path-scan&format=csv" -o blocks.csv
+ *
+ *  - メトリクス（Prometheus テキスト / JSON。Prometheus からは scrape_config の authorization（type: Bearer / read スコープの名前付きキー）で）
+ *    curl -s -b "admin_key=$ADMIN_KEY" https://rcnir.com/admin/metrics
+ *    curl -s -b "admin_key=$ADMIN_KEY" "https://rcnir.com/admin/metrics?format=json"
+ *
+ *  - WORKER_CONFIG（検証してから投入 / 検証だけ / 版の履歴 / ロールバック・形式は 20) 参照）
+ *    curl -s -b "admin_key=$ADMIN_KEY" https://rcnir.com/admin/config
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X POST --data-binary @worker-config.json https://rcnir.com/admin/config/validate
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X PUT --data-binary @worker-config.json https://rcnir.com/admin/config
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X POST -d '{"version":12}' https://rcnir.com/admin/config/rollback
+ *
+ *  - スタッフ / 取引先の素通し（署名付きパスの発行・失効 / IP・CIDR・ASN の許可リスト・形式は 24) 参照）
+ *    curl -s -b "admin_key=$ADMIN_KEY" https://rcnir.com/admin/bypass
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X POST -d '{"identity":"staff:tanaka","ttlSec":2592000}' https://rcnir.com/admin/bypass/passes
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X DELETE https://rcnir.com/admin/bypass/passes/xxxxxxxxxxxxxxxx
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X POST -d '{"type":"cidr","value":"198.51.100.0/24","identity":"office:tokyo"}' https://rcnir.com/admin/bypass/entries
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X POST -d '{"type":"asn","value":"AS64500","identity":"partner:payments","paths":["/apps/payment"]}' https://rcnir.com/admin/bypass/entries
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X DELETE https://rcnir.com/admin/bypass/entries/xxxxxxxxxxxx
+ *
+ *  - リスト参照 / リセット（ACTIVE_BAD_BOT_LIST / LEARNED_BAD_BOTS / LEARNED_BAD_BOTS_META / LEARNED_REJECTS / PATH_RULES / PASS_REVOCATIONS / CHALLENGE_PAGE）
+ *    curl -s -b "admin_key=$ADMIN_KEY" https://rcnir.com/admin/lists/ACTIVE_BAD_BOT_LIST
+ *    curl -s -b "admin_key=$ADMIN_KEY" -X DELETE https://rcnir.com/admin/lists/LEARNED_BAD_BOTS
+ *
  * =================================================================
  */
 
 
 import { IPStateTrackerV2 } from "./do/IPStateTracker.js";
 import { FingerprintTrackerV2, generateFingerprint } from "./do/FingerprintTracker.js";
+import { MetricsAggregator } from "./do/MetricsAggregator.js";
 
 export { IPStateTrackerV2 };
 export { FingerprintTrackerV2 };
+export { MetricsAggregator };
 
 /* -----------------------------------------------------------------
  * 1) imports / exports / module-scope caches
@@ -98,11 +222,29 @@ export { FingerprintTrackerV2 };
 
 // キャッシュ（モジュールスコープ）
 let workerConfigCache = null;
-let learnedBadBotsCache = null;
-let badBotDictionaryCache = null;
-let activeBadBotListCache = null;
-let activeBadBotListLastRead = 0;
+const uaMatcherCache = new Map(); // ACTIVE_BAD_BOT_LIST / LEARNED_BAD_BOTS / SYSTEM_BAD_BOT_LIST -> { raw, matcher, lastRead }（18) 参照）
 let asnBlocklistCache = null;
+let workerConfigLastRead = 0;
+let workerConfigRejectedRaw = null; // スキーマで却下した WORKER_CONFIG の中身（同じものを毎回検証・ログしない）
+const alertPending = new Map(); // event -> { items, dropped, first, last }（23) 参照）
+const alertLastSent = new Map(); // event -> 最後に送った時刻(ms)
+let verifiedBotRegistryCache = null; // { source, bots }
+let rateLimitPoliciesCache = null; // { source, policies }
+let pathRulesCache = null; // { version, rules }
+let pathRulesLastRead = 0;
+let passTokenKeysCache = null; // { source, keys: [{ kid, key }] }
+let passRevocationsCache = null; // { revokeBefore, jtis: { <jti>: expSec } }
+let passRevocationsLastRead = 0;
+let challengePageCache = null; // { version, page }
+let challengePageLastRead = 0;
+let bypassAllowlistCache = null; // { entries, passes }（24) 参照）
+let bypassAllowlistLastRead = 0;
+let bypassKeysCache = null; // { source, keys: [{ kid, key }] }
+
+// 管理APIで状態を変えたときに全isolateのキャッシュを捨てるための世代番号
+let cacheEpoch = "0";
+let cacheEpochLastRead = 0;
+let cacheEpochChangedAt = 0;
 
 /* -----------------------------------------------------------------
  * 2) KV cache helpers (read/write debounce)
@@ -113,47 +255,193 @@ const __memCache = new Map(); // key -> { val, exp }
 const __negCache = new Map(); // key -> expiration(ms)
 const NEGATIVE_CACHE_TTL_MS = 10 * 60 * 1000; // 10分
 
-// 2-1) getBlockStatusCached(): KVの状態を Cache API + mem + negative cache で高速化
+const CACHE_EPOCH_KEY = "CACHE_EPOCH";
+const CACHE_EPOCH_REFRESH_MS = 30_000; // isolateごとに30秒に1回だけKVを見る
+const CACHE_EPOCH_FRESH_MS = 5 * 60 * 1000; // 世代が変わって5分間はKVのcacheTtlを最短にする
+const CONFIG_REFRESH_MS = 30_000; // WORKER_CONFIG の再読込間隔（isolateごと）
+
+// ブロック状態として扱う値（KV: <ip> / FP-<fingerprint>）
+const BLOCK_STATUSES = ["permanent-block", "temp-1", "temp-2", "temp-3"];
+
+// 2-1) blockCacheRequest(): Cache API 用のキー（世代番号込み）
+function blockCacheRequest(key) {
+  return new Request(`https://kv-cache.local/block/${encodeURIComponent(cacheEpoch)}/${encodeURIComponent(key)}`);
+}
+
+// 2-2) getBlockStatusCached(): KVの状態を Cache API + mem + negative cache で高速化
 async function getBlockStatusCached(env, key) {
   const now = Date.now();
 
   const negExp = __negCache.get(key);
-  if (negExp && negExp > now) return "";
+  if (negExp && negExp > now) {
+    metricInc("bb_block_status_lookups_total", { source: "negative", result: "clear" });
+    return "";
+  }
 
   const m = __memCache.get(key);
-  if (m && m.exp > now) return m.val;
+  if (m && m.exp > now) {
+    metricInc("bb_block_status_lookups_total", { source: "memory", result: m.val ? "blocked" : "clear" });
+    return m.val;
+  }
 
   const cache = caches.default;
-  const req = new Request("https://kv-cache.local/block/" + encodeURIComponent(key));
+  const req = blockCacheRequest(key);
   const hit = await cache.match(req);
   if (hit) {
     const val = await hit.text();
     __memCache.set(key, { val, exp: now + 60_000 });
     if (!val) __negCache.set(key, now + NEGATIVE_CACHE_TTL_MS);
+    metricInc("bb_block_status_lookups_total", { source: "cache", result: val ? "blocked" : "clear" });
     return val;
   }
 
-  const val = (await env.BOT_BLOCKER_KV.get(key, { cacheTtl: 300 })) || "";
+  // 管理APIで変更された直後は、KVのエッジキャッシュも短くして反映を早める
+  const cacheTtl = now - cacheEpochChangedAt < CACHE_EPOCH_FRESH_MS ? 30 : 300;
+  const val = (await env.BOT_BLOCKER_KV.get(key, { cacheTtl })) || "";
   await cache.put(req, new Response(val, { headers: { "Cache-Control": "max-age=300" } }));
   __memCache.set(key, { val, exp: now + 60_000 });
   if (!val) __negCache.set(key, now + NEGATIVE_CACHE_TTL_MS);
+  metricInc("bb_block_status_lookups_total", { source: "kv", result: val ? "blocked" : "clear" });
   return val;
 }
 
 // --- KV 書き込みデバウンス ---
-const __recentPuts = new Map(); // key -> exp
+const __recentPuts = new Map(); // key -> { val, exp }
 
-// 2-2) putOnce(): 同一キーの連続KV putを抑止
-async function putOnce(env, key, val, ttlSeconds) {
+// 2-3) putOnce(): 同一キーの連続KV putを抑止
+// - metadata はKV list で値を読まずに中身を判別するため（管理APIのブロック一覧など）
+async function putOnce(env, key, val, ttlSeconds, metadata) {
   const now = Date.now();
-  if (__recentPuts.get(key) > now) return;
-  __recentPuts.set(key, now + 30_000);
+  // 同じ値の書き込みだけ抑止（temp-1 -> temp-2 のような昇格は通す）
+  const recent = __recentPuts.get(key);
+  if (recent && recent.exp > now && recent.val === val) return;
+  __recentPuts.set(key, { val, exp: now + 30_000 });
 
   const opts = {};
   if (typeof ttlSeconds === "number") opts.expirationTtl = ttlSeconds;
+  if (metadata) opts.metadata = metadata;
   await env.BOT_BLOCKER_KV.put(key, val, opts);
 }
 
+// 2-4) invalidateBlockStatus(): このisolate / このcolo のキャッシュから1キー分を捨てる
+async function invalidateBlockStatus(key) {
+  __memCache.delete(key);
+  __negCache.delete(key);
+  __recentPuts.delete(key);
+  try {
+    await caches.default.delete(blockCacheRequest(key));
+  } catch {}
+}
+
+// 2-5) rememberBlockStatus(): 書き込んだブロック状態をこのisolate / このcolo へ即反映（negative cacheを上書き）
+// - IPv6 プレフィックスのように別IPから同じキーを引く場合、colo の Cache API に残った空値も上書きが必要
+async function rememberBlockStatus(key, status) {
+  __negCache.delete(key);
+  __memCache.set(key, { val: status, exp: Date.now() + 60_000 });
+  try {
+    await caches.default.put(blockCacheRequest(key), new Response(status, { headers: { "Cache-Control": "max-age=300" } }));
+  } catch {}
+}
+
+// 2-6) syncCacheEpoch(): CACHE_EPOCH が変わっていたら isolate 内のキャッシュを全部捨てる
+async function syncCacheEpoch(env, logBuffer) {
+  const now = Date.now();
+  if (now - cacheEpochLastRead < CACHE_EPOCH_REFRESH_MS) return;
+  const isFirstRead = cacheEpochLastRead === 0;
+  cacheEpochLastRead = now;
+
+  const v = (await env.BOT_BLOCKER_KV.get(CACHE_EPOCH_KEY, { cacheTtl: 30 })) || "0";
+  if (v === cacheEpoch) return;
+
+  cacheEpoch = v;
+  // isolate起動直後は捨てるキャッシュが無いので世代だけ合わせる
+  if (isFirstRead) return;
+
+  cacheEpochChangedAt = now;
+  __memCache.clear();
+  __negCache.clear();
+  invalidateUaMatchers();
+  asnBlocklistCache = null;
+  workerConfigLastRead = 0;
+  pathRulesLastRead = 0;
+  passRevocationsLastRead = 0;
+  challengePageLastRead = 0;
+  bypassAllowlistLastRead = 0;
+  logBuffer.push(`[CONFIG] Cache epoch changed to ${v}. Cleared isolate caches.`);
+}
+
+// 2-7) bumpCacheEpoch(): 全isolateにキャッシュ破棄を通知（管理APIから呼ぶ）
+async function bumpCacheEpoch(env) {
+  const v = String(Date.now());
+  await env.BOT_BLOCKER_KV.put(CACHE_EPOCH_KEY, v);
+  cacheEpoch = v;
+  cacheEpochLastRead = Date.now();
+  cacheEpochChangedAt = Date.now();
+}
+
+// shadow（monitor only）にできるルール名（decision.shadow / ログ / x-bot-blocker-shadow ヘッダに出る）
+const SHADOW_RULES = [
+  "active-bad-bot",
+  "path-scan",
+  "bot-impersonation",
+  "learned-bad-bot",
+  "dictionary-bad-bot",
+  "sh-challenge",
+  "rate-limit",
+  "cart-quantity",
+  "catalog-scrape",
+  "session-challenge",
+  "session-block",
+];
+
+// 2-8) getWorkerConfig(): WORKER_CONFIG を読み、version が変わったときだけ検証して差し替える（hot reload）
+// - 全リクエストから呼ばれるので、KVを見るのは isolate ごとに CONFIG_REFRESH_MS に1回
+// - スキーマ（20) 参照）に合わない設定は使わず、今の設定のまま（isolate 起動直後なら最後に管理APIで入れた版 → 無ければ既定値）
+// - 却下した中身は覚えておき、同じものではログを繰り返さない
+async function getWorkerConfig(env, logBuffer) {
+  const now = Date.now();
+  if (workerConfigCache !== null && now - workerConfigLastRead < CONFIG_REFRESH_MS) return workerConfigCache;
+  workerConfigLastRead = now;
+
+  const raw = await env.BOT_BLOCKER_KV.get("WORKER_CONFIG", { cacheTtl: 30 });
+  if (workerConfigCache !== null && raw !== null && raw === workerConfigRejectedRaw) return workerConfigCache;
+
+  let kvConfig = {};
+  let errors;
+  try {
+    if (raw !== null) kvConfig = JSON.parse(raw);
+    if (workerConfigCache !== null && workerConfigCache.version === kvConfig?.version) return workerConfigCache;
+    errors = validateWorkerConfig(kvConfig);
+  } catch (e) {
+    kvConfig = null;
+    errors = [`WORKER_CONFIG: invalid JSON (${e.message})`];
+  }
+  const v = typeof kvConfig?.version !== "undefined" ? kvConfig.version : "none";
+  if (errors.length === 0) {
+    workerConfigCache = kvConfig;
+    workerConfigRejectedRaw = null;
+    logBuffer.push(`[CONFIG] Hot reloaded worker configuration to version ${v}.`);
+    return workerConfigCache;
+  }
+
+  workerConfigRejectedRaw = raw;
+  metricInc("bb_config_rejected_total");
+  logBuffer.push(`[CONFIG_ERROR] Rejected WORKER_CONFIG version ${v} (${errors.length} errors): ${errors.slice(0, 5).join("; ")}`);
+  if (workerConfigCache === null) workerConfigCache = await lastKnownGoodConfig(env, logBuffer);
+  else logBuffer.push(`[CONFIG] Keeping worker configuration version ${workerConfigCache.version ?? "none"}.`);
+  return workerConfigCache;
+}
+
+// 2-9) isRuleShadowed(): WORKER_CONFIG.shadow でそのルールが monitor only か
+// - { "shadow": { "all": true } } で全ルール、{ "shadow": { "rules": ["path-scan"] } } で個別
+// - shadow 中のルールは記録だけして origin へ流す（KV/R2 の副作用も書かない）
+function isRuleShadowed(config, rule) {
+  const sh = config?.shadow;
+  if (!sh || !SHADOW_RULES.includes(rule)) return false;
+  if (sh.all === true) return true;
+  return Array.isArray(sh.rules) && sh.rules.includes(rule);
+}
+
 /* -----------------------------------------------------------------
  * 3) Durable Object safe wrapper
  * ----------------------------------------------------------------- */
@@ -164,6 +452,7 @@ async function safeFetchDO(stub, req, logBuffer, tag) {
     return await stub.fetch(req);
   } catch (e) {
     if (logBuffer) logBuffer.push(`[DO_FAIL] ${tag} ${String(e?.message || e)}`);
+    metricInc("bb_do_failures_total", { call: String(tag).split(" ")[0] });
     return null;
   }
 }
@@ -194,27 +483,54 @@ export default {
   // 5-1) fetch entry
   async fetch(request, env, ctx) {
     const logBuffer = [];
+    const decision = newDecision(request);
+    const startedAt = Date.now();
+    let status = 500;
     try {
-      return await handle(request, env, ctx, logBuffer);
+      const response = await handle(request, env, ctx, logBuffer, decision);
+      status = response.status;
+      return response;
     } finally {
       for (const message of logBuffer) console.log(message);
       console.log("----------------------------------------");
+      decision.status = status;
+      recordDecision(decision, env, ctx, workerConfigCache);
+      recordRequestMetrics(decision, Date.now() - startedAt);
+      flushMetrics(env, ctx, workerConfigCache);
+      if (alertPending.size > 0) ctx.waitUntil(flushAlerts(env, workerConfigCache));
+      // オフライン再生（tools/replay.mjs）用のフック。本番の env には存在しない
+      if (typeof env.REPLAY_DECISION_SINK === "function") env.REPLAY_DECISION_SINK(decision);
     }
   },
 
   // 5-2) scheduled entry (cron)
+  // - R2 に置かれたリストのソースを検証して KV へ（19) 参照）/ permanent-block 記録の索引（22) 参照）/ 学習済みパターンの期限切れを外す（17) 参照）
   async scheduled(event, env, ctx) {
     console.log("Cron Trigger fired: Syncing lists...");
+    const logBuffer = [];
 
-    const object = await env.BLOCKLIST_R2.get("dictionaries/bad-bots.txt");
-    if (object) {
-      const text = await object.text();
-      const list = text.split("\n").filter((line) => line && !line.startsWith("#"));
-      await env.BOT_BLOCKER_KV.put("SYSTEM_BAD_BOT_LIST", JSON.stringify(list));
-      console.log(`Synced ${list.length} bad bot patterns from R2 to KV.`);
-    } else {
-      console.error("Failed to get bad-bots.txt from R2.");
+    try {
+      const results = await syncLists(env, logBuffer);
+      for (const [list, r] of Object.entries(results)) metricInc("bb_list_sync_total", { list, status: r.status });
+      logBuffer.push(`[LIST_SYNC] ${JSON.stringify(Object.fromEntries(Object.entries(results).map(([k, r]) => [k, r.status])))}`);
+    } catch (e) {
+      logBuffer.push(`[LIST_SYNC] Failed: ${e.message}`);
+    }
+
+    try {
+      await indexPermanentBlocks(env, logBuffer);
+    } catch (e) {
+      logBuffer.push(`[BLOCK_INDEX] Failed: ${e.message}`);
+    }
+
+    try {
+      await expireLearnedBadBots(env, logBuffer);
+    } catch (e) {
+      logBuffer.push(`[LEARN] Failed to expire learned patterns: ${e.message}`);
     }
+    flushMetrics(env, ctx, workerConfigCache, true);
+    if (alertPending.size > 0) ctx.waitUntil(flushAlerts(env, workerConfigCache));
+    for (const line of logBuffer) console.log(line);
   },
 };
 
@@ -224,26 +540,27 @@ export default {
  * ----------------------------------------------------------------- */
 
 /**
- * 6-1) handle(): すべてのリクエストを振り分けるメイン関数（DOを一切使わない版）
+ * 6-1) handle(): すべてのリクエストを振り分けるメイン関数
  *
  * 方針:
- * - DO（rate-limit / check-locale / get-state 等）は完全に呼ばない
- * - 代替は KV（短TTL）だけで実装（永続化しない=TTLで自然消滅）
+ * - DO はレート制限（14) のポリシー / 検証済みクローラ / パスルールの rate-limit）・カタログの page walk（15)）・セッションスコア（16)）だけで呼ぶ。それ以外は KV（短TTL）
+ * - DO が落ちていればレート制限も KV にフォールバック（永続化しない=TTLで自然消滅）
  * - 既存の KV ブロック判定（temp/permanent）や Turnstile は維持
  */
 
 // --- KVキー名前空間（短TTL運用） ---
-const RL_NS = "RL:";          // RL:<ip> = JSON {count, first}
-const LOCALE_NS = "LF:";      // LF:<ip> = JSON { windowStart, langs:{lang:count} }
+const RL_NS = "RL:";          // RL:<bucket>:<ipKey | FP-fp> = JSON {count, first}（ipKey: IPv4はIP、IPv6は /64 等のプレフィックス）
+const LOCALE_NS = "LF:";      // LF:<ipKey> = JSON { windowStart, langs:{lang:count} }
 const LOCALEFP_NS = "LFFP:";  // LFFP:<fp> = JSON { windowStart, langs:{lang:count} }
 
 // しきい値（必要ならここだけ変える）
-const SAFE_BOT_RATE_LIMIT_PER_MIN = 10; // 1分あたり
-const SAFE_BOT_RATE_LIMIT_WINDOW_SEC = 60;
-
 const LOCALE_WINDOW_MS = 10_000;  // 10秒
 const LOCALE_LANG_THRESHOLD = 3;  // 10秒以内に言語3種類以上で violation
 
+// botっぽいUA（7) の [B] 判定 / block ページを出さずに 404 で返す判定に使う）
+const BOT_UA_PATTERN =
+  /\b(\w+bot|bot|crawl(er)?|spider|slurp|fetch|headless|preview|agent|scanner|client|curl|wget|python|perl|java|scrape(r)?|monitor|probe|archive|validator|feed)\b/i;
+
 // KV制約対策（重要）
 // - cacheTtl は最低30
 // - expirationTtl は最低60
@@ -251,7 +568,8 @@ const KV_CACHE_TTL_SEC = 60;
 const KV_MIN_EXP_TTL_SEC = 60;
 
 // 6-1) handle(): main
-async function handle(request, env, ctx, logBuffer) {
+// - decision には判定結果（label / action / rule / score / signals）を書き込む（12) で R2 へ送る）
+async function handle(request, env, ctx, logBuffer, decision) {
   const url = new URL(request.url);
 
   // ★疎通確認用（すでに使ってる前提）
@@ -264,13 +582,12 @@ async function handle(request, env, ctx, logBuffer) {
 
   // Turnstile verify endpoint
   if (url.pathname === "/cf-turnstile/verify") {
-    return await handleTurnstileVerification(request, env);
+    return await handleTurnstileVerification(request, env, logBuffer, decision);
   }
 
-  // Admin path
+  // Admin path（認証 / スコープ / 失敗の締め出し / 監査ログは 25) 参照）
   if (isAdminPath(url.pathname)) {
-    if (!isAuthorizedAdmin(request, env)) return new Response("Not Found", { status: 404 });
-    return new Response("Admin action completed.", { status: 200 });
+    return await handleAdminEntry(request, env, logBuffer);
   }
 
   const ua = request.headers.get("User-Agent") || "UA_NOT_FOUND";
@@ -278,29 +595,59 @@ async function handle(request, env, ctx, logBuffer) {
   const path = url.pathname.toLowerCase();
   const fingerprint = await generateFingerprint(request, logBuffer);
 
+  // 判定結果の記録（action: forward / block / challenge / rate-limit）
+  // block にはお問い合わせID（incident）を振る（ログ / R2 / block ページで共通）
+  const decide = (action, rule, label) => {
+    decision.fp = fingerprint;
+    decision.action = action;
+    decision.rule = rule ?? null;
+    if (label) decision.label = label;
+    if (action === "block" && !decision.incident) decision.incident = newIncidentId();
+  };
+
+  // shadow（monitor only）: ルールが「本来やったこと」を記録して、適用はしない
+  const shadowHits = [];
+  const shadowed = (rule, action, reason, force = false) => {
+    if (!force && !isRuleShadowed(config, rule)) return false;
+    shadowHits.push(`${rule}:${action}`);
+    decision.shadow.push({ rule, action, reason });
+    logBuffer.push(`[SHADOW] rule=${rule} would=${action} reason=${reason} IP=${ip} FP=${fingerprint}`);
+    return true;
+  };
+
   // ★このヘッダがあれば「Worker経由」を確認できる
-  const addDebugHeader = (resp) => {
+  // - 呼び出しはすべて return addDebugHeader(...) なので、async でも handle() の戻り値は Response のまま
+  const addDebugHeader = async (resp) => {
     try {
       const h = new Headers(resp.headers);
       h.set("x-bot-blocker", "1");
+      // shadow の結果は管理者にだけ見せる
+      if (shadowHits.length > 0 && (await isAuthorizedAdmin(request, env))) {
+        h.set("x-bot-blocker-shadow", shadowHits.join(", "));
+      }
       return new Response(resp.body, { status: resp.status, statusText: resp.statusText, headers: h });
     } catch {
       return resp;
     }
   };
 
-  // 1) Cookie whitelist
-  const cookieHeader = request.headers.get("Cookie") || "";
-  if (cookieHeader.includes("secret-pass=Rocaniru-Admin-Bypass-XYZ789")) {
-    logBuffer.push(`[WHITELIST] Access granted via secret cookie for IP=${ip}`);
+  // 1) スタッフ / 取引先の素通し（署名付きパス or IP・CIDR・ASN の許可リスト / 24) 参照）
+  // 管理APIでの失効を反映するため、先にキャッシュ世代を確認する
+  await syncCacheEpoch(env, logBuffer);
+  const bypass = await matchBypass(request, env, ip, path, logBuffer);
+  if (bypass) {
+    logBuffer.push(`[BYPASS] identity=${bypass.identity} via=${bypass.via} ref=${bypass.ref} IP=${ip} path=${path}`);
+    decision.bypass = bypass.identity;
+    decide("forward", `bypass:${bypass.via}`, "[WHITELIST]");
     return addDebugHeader(await fetch(request));
   }
 
   // 2) アセットは即返す（"ブラウザがscriptとして読んだJS" を KV にマーク）
+  // - ただし Shopify のストアフロントAPI（/cart/add.js, /products/<handle>.json など）は静的ファイルではないので判定に通す
   const EXT_SKIP =
     /\.(jpg|jpeg|png|gif|svg|webp|js|css|woff2?|ttf|ico|map|txt|eot|otf|json|xml|avif)(\?|$)/;
 
-  if (EXT_SKIP.test(path)) {
+  if (EXT_SKIP.test(path) && !STOREFRONT_API_PATH.test(path)) {
     // ブラウザが <script> として取りに来た時に付くことが多い
     const secFetchDest = (request.headers.get("Sec-Fetch-Dest") || "").toLowerCase();
     const secFetchMode = (request.headers.get("Sec-Fetch-Mode") || "").toLowerCase();
@@ -318,169 +665,351 @@ async function handle(request, env, ctx, logBuffer) {
     return addDebugHeader(await fetch(request));
   }
 
-  // 3) KV ブロック状態チェック（既存ロジック）
-  const [ipStatus, fpStatus] = await Promise.all([
-    getBlockStatusCached(env, ip),
+  // 3) KV ブロック状態チェック（既存ロジック / キャッシュ世代は 1) で確認済み）
+  // WORKER_CONFIG はこのリクエストの判定ではここで1回だけ読み、以降（違反処理 / block ページまで）はこれを引き回す
+  const config = await getWorkerConfig(env, logBuffer);
+
+  // IPv6 は /64（設定で /48 等）単位、IPv4 は単一IP（+ 任意で /24 集約）でブロック/レート制限する
+  const ipAgg = resolveIpAggregation(config);
+  const ipKey = ipBlockKey(ip, ipAgg);
+  const ipLookupKeys = ipBlockLookupKeys(ip, ipAgg);
+
+  const [fpStatus, ...ipStatuses] = await Promise.all([
     getBlockStatusCached(env, `FP-${fingerprint}`),
+    ...ipLookupKeys.map((k) => getBlockStatusCached(env, k)),
   ]);
 
-  if (["permanent-block", "temp-1", "temp-2", "temp-3"].includes(ipStatus)) {
-    logBuffer.push(`[KV BLOCK] IP=${ip} status=${ipStatus}`);
-    return addDebugHeader(new Response("Not Found", { status: 404 }));
+  const kvBlocks = [];
+  const ipHit = ipStatuses.findIndex((st) => BLOCK_STATUSES.includes(st));
+  if (ipHit >= 0) kvBlocks.push({ kind: "ip", key: ipLookupKeys[ipHit], status: ipStatuses[ipHit] });
+  if (BLOCK_STATUSES.includes(fpStatus)) kvBlocks.push({ kind: "fp", key: `FP-${fingerprint}`, status: fpStatus });
+
+  if (kvBlocks.length > 0) {
+    // 一時ブロックだけなら自己解除（Turnstile）の対象。解除済みならこのFPだけ通す
+    const su = resolveSelfUnblockConfig(config);
+    const eligible = su.enabled && kvBlocks.every((b) => su.statuses.includes(b.status));
+    const suState = eligible ? await getSelfUnblockState(env, fingerprint) : null;
+
+    if (suState && isSelfUnblocked(suState, kvBlocks)) {
+      for (const b of kvBlocks) metricInc("bb_kv_block_hits_total", { kind: b.kind, status: b.status, outcome: "self-unblock-bypass" });
+      logBuffer.push(`[SELF_UNBLOCK] bypass ${kvBlocks.map((b) => `${b.key}=${b.status}`).join(" ")} FP=${fingerprint}`);
+    } else {
+      const b = kvBlocks[0];
+      const blockRule = `kv-block:${b.kind}:${b.status}`;
+      if (b.kind === "ip") logBuffer.push(`[KV BLOCK] IP=${ip} key=${b.key} status=${b.status}`);
+      else logBuffer.push(`[KV BLOCK] FP=${fingerprint} status=${b.status}`);
+
+      if (suState && isShopperNavigation(request) && selfUnblocksToday(suState) < su.maxPerDay) {
+        logBuffer.push(`[SELF_UNBLOCK] offered ${blockRule} FP=${fingerprint} IP=${ip}`);
+        metricInc("bb_kv_block_hits_total", { kind: b.kind, status: b.status, outcome: "self-unblock-offer" });
+        decide("challenge", `self-unblock-offer:${b.status}`);
+        return addDebugHeader(await presentTurnstileChallenge(request, env, fingerprint, logBuffer, { unblock: true }));
+      }
+
+      metricInc("bb_kv_block_hits_total", { kind: b.kind, status: b.status, outcome: "block" });
+      decide("block", blockRule);
+      return addDebugHeader(await blockResponse(request, env, blockRule, decision.incident, logBuffer, config));
+    }
   }
-  if (["permanent-block", "temp-1", "temp-2", "temp-3"].includes(fpStatus)) {
-    logBuffer.push(`[KV BLOCK] FP=${fingerprint} status=${fpStatus}`);
-    return addDebugHeader(new Response("Not Found", { status: 404 }));
+
+  // 4) アクティブ悪質ボットリスト（10分おき再読込 / 1本にまとめてコンパイル済み・18) 参照）
+  const activeHit = (await getUaMatcher(env, "ACTIVE_BAD_BOT_LIST", logBuffer)).match(ua);
+  if (activeHit && !shadowed("active-bad-bot", "block", activeHit)) {
+    logBuffer.push(`[ACTIVE BAD BOT BLOCK] UA matched active list rule: ${activeHit}`);
+    decide("block", `active-bad-bot:${activeHit}`);
+    return addDebugHeader(new Response("Forbidden", { status: 403 }));
   }
 
-  // 4) アクティブ悪質ボットリスト（10分おき再読込・既存ロジック）
-  const now = Date.now();
-  if (activeBadBotListCache === null || now - activeBadBotListLastRead > 600000) {
-    const listJson = await env.BOT_BLOCKER_KV.get("ACTIVE_BAD_BOT_LIST");
-    activeBadBotListCache = new Set(listJson ? JSON.parse(listJson) : []);
-    activeBadBotListLastRead = now;
-    logBuffer.push("[CONFIG] Reloaded active bad bot list from KV.");
+  // 5) パス/ヘッダルール（KV: PATH_RULES / 未設定なら DEFAULT_PATH_RULES = 従来の静的パターン）
+  // - 上から順に評価し、log 以外のアクションは最初に一致したもので確定
+  const pathRules = await getPathRules(env, logBuffer);
+  for (const rule of pathRules) {
+    if (!pathRuleMatches(rule, request, url, path)) continue;
+
+    const ruleTag = `path-rule:${rule.id}`;
+    if (rule.action === "log") {
+      logBuffer.push(`[RULE] id=${rule.id} action=log reason=${rule.reason} path=${path}`);
+      decision.signals.push(ruleTag);
+      continue;
+    }
+    if (rule.action === "allow") {
+      logBuffer.push(`[RULE] id=${rule.id} action=allow path=${path}`);
+      decide("forward", ruleTag);
+      return addDebugHeader(await fetch(request));
+    }
+    // shadow.rules の "path-scan" は block だけ（challenge / rate-limit はルールごとの shadow でだけ monitor only）
+    const ruleShadowed =
+      rule.action === "block"
+        ? shadowed("path-scan", rule.action, `${rule.id}:${rule.reason}`, rule.shadow)
+        : rule.shadow && shadowed("path-scan", rule.action, `${rule.id}:${rule.reason}`, true);
+    if (ruleShadowed) continue;
+
+    if (rule.action === "block") {
+      decide("block", ruleTag);
+      return addDebugHeader(await logAndBlock(ip, ua, rule.reason, env, ctx, fingerprint, logBuffer, request, decision.incident, config));
+    }
+
+    if (rule.action === "rate-limit") {
+      const { allowed } = await rateLimitHit(env, ipKey, rule.id, rule.rateLimit.limit, rule.rateLimit.windowSec, logBuffer);
+      if (allowed) continue;
+      logBuffer.push(`[RATE LIMIT] rule=${rule.id} IP=${ip}`);
+      decide("rate-limit", ruleTag);
+      return addDebugHeader(
+        new Response("Too Many Requests", { status: 429, headers: { "Retry-After": String(rule.rateLimit.windowSec) } })
+      );
+    }
+
+    if (rule.action === "challenge") {
+      const passToken = parseCookieSafe(request)["ts_pass"];
+      if (request.method !== "GET" || (passToken && (await checkPassToken(env, passToken, fingerprint, ip, config, logBuffer)))) continue;
+      logBuffer.push(`[TURNSTILE CHALLENGE] rule=${rule.id} IP=${ip}`);
+      decide("challenge", ruleTag);
+      return addDebugHeader(await presentTurnstileChallenge(request, env, fingerprint, logBuffer));
+    }
   }
 
-  for (const patt of activeBadBotListCache) {
-    try {
-      if (new RegExp(patt, "i").test(ua)) {
-        logBuffer.push(`[ACTIVE BAD BOT BLOCK] UA matched active list rule: ${patt}`);
-        return addDebugHeader(new Response("Forbidden", { status: 403 }));
+  // 6) 検証済みクローラ：レジストリのUAを名乗るものは必ずIP検証（CIDR / 逆引きDNS）
+  // - botVerdict: true = 本物 / false = 確定でなりすまし / null = DoH の失敗で確認できない
+  // - 確認できないときはブロックも違反カウントもせず、レート制限だけかけて通す（本物のクローラを止めない）
+  const claimedBot = findClaimedBot(ua, config, logBuffer);
+  const botVerdict = claimedBot ? await verifyClaimedBot(ip, claimedBot, env, logBuffer) : false;
+  if (claimedBot && botVerdict === false) {
+    const reason = `${claimedBot.name}-impersonation`;
+    if (!shadowed("bot-impersonation", "block", reason)) {
+      decide("block", reason);
+      return addDebugHeader(await logAndBlock(ip, ua, reason, env, ctx, fingerprint, logBuffer, request, decision.incident, config));
+    }
+  }
+  if (claimedBot && botVerdict !== false) {
+    const verified = botVerdict === true;
+    const botLabel = verified ? "[VERIFIED_BOT]" : "[UNVERIFIED_BOT]";
+    const botRule = `${verified ? "verified-bot" : "unverified-bot"}:${claimedBot.name}`;
+    const perMin = verified ? claimedBot.rateLimitPerMin : claimedBot.rateLimitPerMin || VBOT_UNKNOWN_RATE_PER_MIN;
+    if (perMin) {
+      const { allowed } = await rateLimitHit(env, ipKey, botRule, perMin, 60, logBuffer);
+      if (!allowed) {
+        logBuffer.push(`[RATE LIMIT] ${verified ? "VerifiedBot" : "UnverifiedBot"}(${claimedBot.name}) throttled. IP=${ip}`);
+        decide("rate-limit", botRule, botLabel);
+        return addDebugHeader(new Response("Too Many Requests", { status: 429, headers: { "Retry-After": "60" } }));
       }
-    } catch {
-      logBuffer.push(`[REGEX_ERROR] Invalid pattern in ACTIVE_BAD_BOT_LIST: ${patt}`);
     }
+
+    logBuffer.push(`${botLabel} ${claimedBot.name} ${request.url} IP=${ip} UA=${ua}`);
+    decide("forward", botRule, botLabel);
+    return addDebugHeader(await fetch(request));
+  }
+
+  // 7) レート制限ポリシー（WORKER_CONFIG.rateLimits / 14) 参照）：一致したポリシーを全部数え、超えたものの action を実行
+  for (const policy of getRateLimitPolicies(config, logBuffer)) {
+    if (!pathRuleMatches(policy, request, url, path)) continue;
+
+    const names = [];
+    if (policy.key === "ip" || policy.key === "ip+fp") names.push(ipKey);
+    if (policy.key === "fp" || policy.key === "ip+fp") names.push(`FP-${fingerprint}`);
+    const results = await Promise.all(
+      names.map((n) => rateLimitHit(env, n, `policy:${policy.id}`, policy.limit, policy.windowSec, logBuffer))
+    );
+    const over = results.find((r) => !r.allowed);
+    if (!over) continue;
+
+    const ruleTag = `rate-limit:${policy.id}`;
+    if (shadowed("rate-limit", policy.action, policy.id, policy.shadow)) continue;
+    logBuffer.push(`[RATE LIMIT] policy=${policy.id} action=${policy.action} IP=${ip} FP=${fingerprint} via=${over.via}`);
+
+    if (policy.action === "violation") {
+      decide("block", ruleTag);
+      return addDebugHeader(await logAndBlock(ip, ua, policy.reason, env, ctx, fingerprint, logBuffer, request, decision.incident, config));
+    }
+
+    // challenge は客のページ遷移だけ（ストアフロントAPI / fetch に Turnstile の HTML を返すとテーマが壊れる）
+    if (policy.action === "challenge" && request.method === "GET" && !STOREFRONT_API_PATH.test(path) && isShopperNavigation(request)) {
+      const passToken = parseCookieSafe(request)["ts_pass"];
+      if (passToken && (await checkPassToken(env, passToken, fingerprint, ip, config, logBuffer))) continue;
+      decide("challenge", ruleTag);
+      return addDebugHeader(await presentTurnstileChallenge(request, env, fingerprint, logBuffer));
+    }
+
+    // "429"（challenge でも GET 以外 / ストアフロントAPI / ページ遷移でないものは 429）
+    decide("rate-limit", ruleTag);
+    return addDebugHeader(
+      new Response("Too Many Requests", { status: 429, headers: { "Retry-After": String(over.retryAfterSec) } })
+    );
   }
 
-  // 5) 静的ルール：パス探索型攻撃を即ブロック
-  const staticBlockPatterns = [
-    "/wp-",
-    ".php",
-    "phpinfo",
-    "phpmyadmin",
-    "/.env",
-    "/config",
-    "/admin/",
-    "/dbadmin",
-    "/_profiler",
-    ".aws",
-    "credentials",
-  ];
-  if (staticBlockPatterns.some((patt) => path.includes(patt))) {
-    return addDebugHeader(logAndBlock(ip, ua, "path-scan", env, ctx, fingerprint, logBuffer));
+  // 8) カートの数量上限（在庫の買い占め対策 / WORKER_CONFIG.cartProtection）
+  if (request.method === "POST" && CART_MUTATION_PATH.test(path)) {
+    const cart = resolveCartProtectionConfig(config);
+    const maxQty = cart.enabled ? await maxCartLineQuantity(request, logBuffer) : 0;
+    if (maxQty > cart.maxQuantityPerLine && !shadowed("cart-quantity", cart.action, `quantity=${maxQty}`, cart.shadow)) {
+      logBuffer.push(`[CART ABUSE] quantity=${maxQty} max=${cart.maxQuantityPerLine} path=${path} IP=${ip} FP=${fingerprint}`);
+      if (cart.action === "violation") {
+        decide("block", "cart-quantity");
+        return addDebugHeader(
+          await logAndBlock(ip, ua, `cart-quantity:${maxQty}`, env, ctx, fingerprint, logBuffer, request, decision.incident, config)
+        );
+      }
+      decide("rate-limit", "cart-quantity");
+      return addDebugHeader(cartErrorResponse(cart.maxQuantityPerLine));
+    }
   }
 
-  // 6) UAベース判定（既存ロジック）
+  // 9) UAベース判定（既存ロジック / SafeBot のレート制限は 7) の safe-bot ポリシー）
   const safeBotPatterns = ["PetalBot"];
-  const botPattern =
-    /\b(\w+bot|bot|crawl(er)?|spider|slurp|fetch|headless|preview|agent|scanner|client|curl|wget|python|perl|java|scrape(r)?|monitor|probe|archive|validator|feed)\b/i;
 
   let refinedLabel = "[H]";
 
   // botっぽいUA
-  if (botPattern.test(ua)) {
+  if (BOT_UA_PATTERN.test(ua)) {
     refinedLabel = "[B]";
-
-    // SafeBot は KVで軽いレート制限（DOは使わない）
     if (safeBotPatterns.some((safeBot) => ua.toLowerCase().includes(safeBot.toLowerCase()))) {
-      const allowed = await kvRateLimitIp(env, ip, SAFE_BOT_RATE_LIMIT_PER_MIN, SAFE_BOT_RATE_LIMIT_WINDOW_SEC);
-      if (!allowed) {
-        logBuffer.push(`[RATE LIMIT] SafeBot blocked. IP=${ip}`);
-        return addDebugHeader(new Response("Too Many Requests", { status: 429 }));
-      }
       refinedLabel = "[SAFE_BOT]";
     }
   }
 
-  // 7) TH/SH 判定：DOではなく KV（FPJS）で判断
+  // 10) TH/SH 判定：DOではなく KV（FPJS）で判断
   if (refinedLabel === "[H]") {
     const jsOk = await isJsExecuted(env, fingerprint);
     refinedLabel = jsOk ? "[TH]" : "[SH]";
   }
 
   logBuffer.push(`${refinedLabel} ${request.url} IP=${ip} UA=${ua} FP=${fingerprint}`);
+  decision.label = refinedLabel;
 
-  // TH / SAFE_BOT は通す
-  if (refinedLabel === "[TH]" || refinedLabel === "[SAFE_BOT]") {
-    return addDebugHeader(await fetch(request));
-  }
-
-  // 8) B判定：学習済み/辞書
+  // 11) B判定：学習済み（17) で違反UAから学習したもの）・辞書（どちらもコンパイル済み・18) 参照）
+  // - B のみ（学習したトークンがブラウザの UA に紛れていても、客の H / TH / SH は止めない）
   if (refinedLabel === "[B]") {
-    if (learnedBadBotsCache === null) {
-      const learnedList = await env.BOT_BLOCKER_KV.get("LEARNED_BAD_BOTS", { type: "json" });
-      learnedBadBotsCache = new Set(Array.isArray(learnedList) ? learnedList : []);
+    const learnedHit = (await getUaMatcher(env, LEARNED_BAD_BOTS_KEY, logBuffer)).match(ua);
+    if (learnedHit) {
+      const reason = `unwanted-bot(learned):${learnedHit}`;
+      if (!shadowed("learned-bad-bot", "block", reason)) {
+        decide("block", reason);
+        return addDebugHeader(await logAndBlock(ip, ua, reason, env, ctx, fingerprint, logBuffer, request, decision.incident, config));
+      }
     }
 
-    for (const patt of learnedBadBotsCache) {
-      try {
-        if (new RegExp(patt, "i").test(ua)) {
-          const reason = `unwanted-bot(learned):${patt}`;
-          ctx.waitUntil(handleViolationSideEffects(ip, ua, reason, 1, env, ctx, fingerprint, 1, logBuffer));
-          return addDebugHeader(new Response("Not Found", { status: 404 }));
+    const dictHit = (await getUaMatcher(env, "SYSTEM_BAD_BOT_LIST", logBuffer)).match(ua);
+    if (dictHit) {
+      const reason = `unwanted-bot(new):${dictHit}`;
+      if (!shadowed("dictionary-bad-bot", "block", reason)) {
+        // アクティブリストへ追加
+        const activeRaw = addToUaMatcher("ACTIVE_BAD_BOT_LIST", dictHit, logBuffer);
+        if (activeRaw) {
+          ctx.waitUntil(env.BOT_BLOCKER_KV.put("ACTIVE_BAD_BOT_LIST", activeRaw));
+          queueAlert(env, ctx, config, "active-list-grow", { pattern: dictHit, ip, fingerprint, userAgent: ua });
         }
-      } catch {
-        logBuffer.push(`[REGEX_ERROR] Invalid pattern in LEARNED_BAD_BOTS: ${patt}`);
+
+        decide("block", reason);
+        return addDebugHeader(await logAndBlock(ip, ua, reason, env, ctx, fingerprint, logBuffer, request, decision.incident, config));
       }
     }
+  }
+
+  // 12) カタログ feed（products.json 等）のスクレイピング対策（WORKER_CONFIG.catalogProtection / 15) 参照）
+  // - ラベルに関係なく見る（TH でもヘッドレスブラウザの全件取得はある）。B の学習済み/辞書ブロックが先
+  const catalogFeed = CATALOG_FEED_PATH.test(path) && request.method === "GET";
+  if (catalogFeed) {
+    const catalog = resolveCatalogProtectionConfig(config);
+    const verdict = catalog.enabled
+      ? await scoreCatalogRequest(request, env, catalog, { ip, ipKey, fingerprint, path }, logBuffer)
+      : null;
+
+    if (verdict && verdict.score >= catalog.threshold) {
+      decision.score = verdict.score;
+      decision.signals = verdict.signals;
+      const ruleTag = `catalog-scrape:${catalog.action}`;
+      const passToken = catalog.action === "challenge" ? parseCookieSafe(request)["ts_pass"] : null;
+      const passed = passToken && (await checkPassToken(env, passToken, fingerprint, ip, config, logBuffer));
+
+      if (!passed && !shadowed("catalog-scrape", catalog.action, `score=${verdict.score}`, catalog.shadow)) {
+        logBuffer.push(
+          `[CATALOG] score=${verdict.score} signals=[${verdict.signals.join(", ")}] action=${catalog.action} path=${path} IP=${ip} FP=${fingerprint}`
+        );
+
+        if (catalog.action === "challenge" && (request.headers.get("Accept") || "").includes("text/html")) {
+          decide("challenge", ruleTag);
+          return addDebugHeader(await presentTurnstileChallenge(request, env, fingerprint, logBuffer));
+        }
 
-    if (badBotDictionaryCache === null) {
-      const listJson = await env.BOT_BLOCKER_KV.get("SYSTEM_BAD_BOT_LIST");
-      badBotDictionaryCache = listJson ? JSON.parse(listJson) : [];
+        decide("rate-limit", ruleTag);
+        if (catalog.action === "truncate") {
+          return addDebugHeader(await truncatedCatalogResponse(request, catalog.truncateTo, logBuffer));
+        }
+        // throttle（challenge でも HTML 以外は 429）
+        return addDebugHeader(
+          new Response("Too Many Requests", { status: 429, headers: { "Retry-After": String(catalog.volume.windowSec) } })
+        );
+      }
     }
+  }
 
-    for (const patt of badBotDictionaryCache) {
-      try {
-        if (new RegExp(patt, "i").test(ua)) {
-          const reason = `unwanted-bot(new):${patt}`;
-
-          // アクティブリストへ追加
-          if (activeBadBotListCache) {
-            activeBadBotListCache.add(patt);
-            ctx.waitUntil(
-              env.BOT_BLOCKER_KV.put("ACTIVE_BAD_BOT_LIST", JSON.stringify(Array.from(activeBadBotListCache)))
-            );
-          }
+  // 13) セッションスコア（FingerprintTrackerV2 / WORKER_CONFIG.sessionScoring・16) 参照）
+  // - 1リクエストでは分からない振る舞い（JS を読まない / 一定間隔 / 深いページ送り / カートを見ない商品巡回）を FP ごとに積む
+  // - block はここで（TH / SH 共通）、challenge は TH はここで・SH は 14) のスコアに足して判定
+  const sessionCfg = resolveSessionScoringConfig(config);
+  let session = null;
+  if (sessionCfg.enabled && (refinedLabel === "[TH]" || refinedLabel === "[SH]")) {
+    session = await updateSessionScore(env, fingerprint, request, url, refinedLabel, config, sessionCfg, logBuffer);
+    if (session?.signals.length) {
+      logBuffer.push(
+        `[SESSION] score=${session.score} new=[${session.signals.join(", ")}] fired=[${session.fired.join(", ")}] action=${session.action} IP=${ip} FP=${fingerprint}`
+      );
+    }
 
-          ctx.waitUntil(handleViolationSideEffects(ip, ua, reason, 1, env, ctx, fingerprint, 1, logBuffer));
-          return addDebugHeader(new Response("Not Found", { status: 404 }));
-        }
-      } catch {
-        logBuffer.push(`[REGEX_ERROR] Invalid pattern in SYSTEM_BAD_BOT_LIST: ${patt}`);
+    // Turnstile を通った直後（ts_pass が有効）はセッションでは止めない（スコアは減衰を待つ）
+    const passToken = session && session.action !== "ALLOW" ? parseCookieSafe(request)["ts_pass"] : null;
+    const passed = passToken && (await checkPassToken(env, passToken, fingerprint, ip, config, logBuffer));
+
+    if (!passed && session && (session.action === "TEMP_BLOCK" || session.action === "PERMANENT_BLOCK")) {
+      const reason = `session-score:${session.score}:${session.fired.join("+")}`;
+      if (!shadowed("session-block", "block", reason, sessionCfg.shadow)) {
+        decision.score = session.score;
+        decision.signals = session.fired;
+        decide("block", "session-score");
+        return addDebugHeader(await logAndBlock(ip, ua, reason, env, ctx, fingerprint, logBuffer, request, decision.incident, config));
+      }
+    }
+
+    if (!passed && refinedLabel === "[TH]" && session?.action === "CHALLENGE" && isShopperNavigation(request)) {
+      if (!shadowed("session-challenge", "challenge", `score=${session.score}`, sessionCfg.shadow)) {
+        decision.score = session.score;
+        decision.signals = session.fired;
+        decide("challenge", "session-score");
+        return addDebugHeader(await presentTurnstileChallenge(request, env, fingerprint, logBuffer));
       }
     }
   }
 
-  // 9) SH判定：Turnstile条件（locale fanout は KV短TTLで見る）
+  // TH / SAFE_BOT は通す
+  if (refinedLabel === "[TH]" || refinedLabel === "[SAFE_BOT]") {
+    decide("forward", null);
+    return addDebugHeader(await fetch(request));
+  }
+
+  // 14) SH判定：Turnstile条件（locale fanout は KV短TTLで見る / 13) のセッションスコアも足す）
   if (refinedLabel === "[SH]") {
     const accept = request.headers.get("Accept") || "";
-    const isHtmlRequest = accept.includes("text/html") || accept.includes("*/*") || accept === "";
+    // ストアフロントAPI（.js / .json）は Accept に関係なく HTML 扱いしない（2) で素通しせず、ここまで来ている）
+    const isHtmlRequest = !STOREFRONT_API_PATH.test(path) && (accept.includes("text/html") || accept.includes("*/*") || accept === "");
     if (!isHtmlRequest) {
       logBuffer.push("[CHALLENGE SKIP] Non-HTML request");
+      decide("forward", "non-html");
       return addDebugHeader(await fetch(request));
     }
 
     const cookies = parseCookieSafe(request);
     const passToken = cookies["ts_pass"];
-    if (passToken && (await checkKvPassToken(env, passToken, fingerprint))) {
-      logBuffer.push("[TURNSTILE BYPASS] KV pass token valid. Allowing request.");
+    if (passToken && (await checkPassToken(env, passToken, fingerprint, ip, config, logBuffer))) {
+      logBuffer.push("[TURNSTILE BYPASS] Pass token valid. Allowing request.");
+      decide("forward", "ts-pass");
       return addDebugHeader(await fetch(request));
     }
 
     if (request.method !== "GET") {
       logBuffer.push(`[CHALLENGE SKIP] non-GET: ${request.method}`);
+      decide("forward", "non-get");
       return addDebugHeader(await fetch(request));
     }
 
-    const kvConfig = (await env.BOT_BLOCKER_KV.get("WORKER_CONFIG", { type: "json" })) ?? {};
-    if (workerConfigCache === null || (kvConfig && workerConfigCache.version !== kvConfig.version)) {
-      workerConfigCache = kvConfig;
-      const v = typeof kvConfig?.version !== "undefined" ? kvConfig.version : "none";
-      logBuffer.push(`[CONFIG] Hot reloaded worker configuration to version ${v}.`);
-    }
-    const config = workerConfigCache;
-
     let score = 0;
     const signals = [];
 
@@ -510,7 +1039,7 @@ async function handle(request, env, ctx, logBuffer) {
 
     // locale fanout (KV短TTL)
     const country = (request.cf?.country || "").toLowerCase();
-    const ipViolation = await kvLocaleFanoutViolation(env, `${LOCALE_NS}${ip}`, path, country, config);
+    const ipViolation = await kvLocaleFanoutViolation(env, `${LOCALE_NS}${ipKey}`, path, country, config);
     const fpViolation = await kvLocaleFanoutViolation(env, `${LOCALEFP_NS}${fingerprint}`, path, country, config);
 
     if (ipViolation || fpViolation) {
@@ -518,33 +1047,40 @@ async function handle(request, env, ctx, logBuffer) {
       signals.push("locale_fanout");
     }
 
+    // session（shadow のときは足さない = [SESSION] ログだけ）
+    if (session && session.score > 0 && !sessionCfg.shadow) {
+      score += session.score;
+      signals.push(`session:${session.score}`);
+    }
+
     logBuffer.push(`[SH_SCORE] Score: ${score} | Signals: [${signals.join(", ")}]`);
+    decision.score = score;
+    decision.signals = signals;
 
-    if (score >= (config?.thresholds?.challenge ?? 40)) {
-      logBuffer.push(`[TURNSTILE CHALLENGE] score=${score} IP=${ip}`);
-      return addDebugHeader(presentTurnstileChallenge(request, env, fingerprint));
+    // 学習（17) 参照）：高スコアの SH も候補として数える
+    if (score >= resolveLearningConfig(config).minShScore) {
+      await recordLearningCandidate(env, ua, `sh-score:${score}`, { ip, ipKey, fingerprint, path }, config, logBuffer);
     }
-  }
 
-  // Amazon UA（なりすましチェック）
-  if (ua.startsWith("AmazonProductDiscovery/1.0")) {
-    const isVerified = await verifyBotIp(ip, "amazon", env, logBuffer);
-    if (!isVerified) {
-      const reason = "amazon-impersonation";
-      ctx.waitUntil(handleViolationSideEffects(ip, ua, reason, 1, env, ctx, fingerprint, 1, logBuffer));
-      return addDebugHeader(new Response("Not Found", { status: 404 }));
+    if (score >= (config?.thresholds?.challenge ?? 40) && !shadowed("sh-challenge", "challenge", `score=${score}`)) {
+      logBuffer.push(`[TURNSTILE CHALLENGE] score=${score} IP=${ip}`);
+      decide("challenge", "sh-score");
+      return addDebugHeader(await presentTurnstileChallenge(request, env, fingerprint, logBuffer));
     }
   }
 
+  decide("forward", null);
   return addDebugHeader(await fetch(request));
 }
 
 /**
- * 6-2) kvRateLimitIp(): SafeBot用の簡易レート制限（KV短TTL）
+ * 6-2) kvRateLimitIp(): KV短TTLの簡易レート制限（DO が使えないときのフォールバック / 14-3 rateLimitHit）
  * - 永続化しない（TTL=window+少し）
+ * - 読んで書くだけなので、同時リクエストは数え漏れる（正確さは DO 側）
  */
-async function kvRateLimitIp(env, ip, limitPerWindow, windowSec) {
-  const key = RL_NS + ip;
+async function kvRateLimitIp(env, ip, limitPerWindow, windowSec, bucket) {
+  // bucket を渡すとルールごとに別カウンタ（RL:<bucket>:<ip>）
+  const key = RL_NS + (bucket ? `${bucket}:` : "") + ip;
   const now = Date.now();
 
   // ★cacheTtlは30未満NGなので60に固定
@@ -658,7 +1194,8 @@ function parseLocaleLite(path) {
  * ----------------------------------------------------------------- */
 
 // 7-1) handleTurnstileVerification(): Turnstileの検証とts_pass発行
-async function handleTurnstileVerification(request, env) {
+// - ?unblock=1（一時ブロック中の客向け challenge）なら、通過後に自己解除も行う
+async function handleTurnstileVerification(request, env, logBuffer, decision) {
   const url = new URL(request.url);
   const redirectUrl = url.searchParams.get("redirect_to");
   const formData = await request.formData();
@@ -673,9 +1210,28 @@ async function handleTurnstileVerification(request, env) {
   });
 
   const outcome = await validationResponse.json();
+  metricInc("bb_turnstile_verifications_total", { result: outcome.success ? "success" : "failure" });
 
   if (outcome.success) {
-    const cookieStr = await issueKvPassToken(env, fingerprint, 10 * 60);
+    const config = await getWorkerConfig(env, logBuffer);
+
+    if (url.searchParams.get("unblock") === "1") {
+      // フォームの fp は書き換えられるので、このリクエスト自身の FP と一致するときだけ解除する
+      const actualFp = await generateFingerprint(request);
+      if (actualFp === fingerprint) {
+        const result = await selfUnblock(env, ip, fingerprint, config, logBuffer);
+        if (result.ok) {
+          decision.fp = fingerprint;
+          decision.action = "forward";
+          decision.rule = "self-unblock";
+          decision.signals = result.lifted.map((b) => `lifted:${b.status}:${b.reason ?? "-"}`);
+        }
+      } else {
+        logBuffer.push(`[SELF_UNBLOCK] FP mismatch form=${fingerprint} actual=${actualFp} IP=${ip}`);
+      }
+    }
+
+    const cookieStr = await issuePassToken(env, fingerprint, ip, config, logBuffer);
     const headers = new Headers();
     headers.set("Set-Cookie", cookieStr);
     if (redirectUrl) {
@@ -691,102 +1247,856 @@ async function handleTurnstileVerification(request, env) {
   });
 }
 
-// 7-2) presentTurnstileChallenge(): challenge HTMLを返す
-function presentTurnstileChallenge(request, env, fingerprint) {
+// --- challenge ページ（言語別の文言 + ストアのブランド） ---
+// - KV: CHALLENGE_PAGE（無ければ R2: config/challenge-page.json、どちらも無ければ既定）
+//   { "version": "...", "defaultLang": "ja",
+//     "brand": { "name", "logoUrl"(https), "primaryColor", "backgroundColor", "textColor"(#hex), "supportUrl"(https), "supportEmail" },
+//     "copy": { "<lang>": { "title", "heading", "message", "support", "noscript",
+//                           "blockTitle", "blockHeading", "blockMessage", "blockIncident",
+//                           "unblockHeading", "unblockMessage" } } }
+// - block ページ（8-9 blockResponse）/ 自己解除（8-10〜）の challenge も同じ文言 / ブランドを使う
+// - copy は言語ごとに既定へ上書き（足りない項目は既定の文言）
+// - CSP / noindex は設定に関係なく固定。ロゴを出すときだけ img-src にロゴのオリジンを足す
+const CHALLENGE_PAGE_KEY = "CHALLENGE_PAGE";
+const CHALLENGE_PAGE_R2_KEY = "config/challenge-page.json";
+const CHALLENGE_FALLBACK_LANG = "ja";
+
+const DEFAULT_CHALLENGE_COPY = {
+  ja: {
+    title: "接続を確認しています...",
+    heading: "接続が安全であることを確認しています",
+    message: "この処理は自動で行われます。しばらくお待ちください。",
+    support: "問題が続く場合はお問い合わせください",
+    noscript: "続行するには JavaScript を有効にしてください。",
+    blockTitle: "アクセスが制限されています",
+    blockHeading: "このページへのアクセスは一時的に制限されています",
+    blockMessage: "ご不便をおかけして申し訳ありません。お問い合わせの際は、下記のIDをお伝えください。",
+    blockIncident: "お問い合わせID",
+    unblockHeading: "アクセスを再開するには確認が必要です",
+    unblockMessage: "アクセスが一時的に制限されています。下の確認を完了すると、すぐにご利用いただけます。",
+  },
+  en: {
+    title: "Checking your connection...",
+    heading: "Making sure your connection is secure",
+    message: "This happens automatically. Please wait a moment.",
+    support: "Still having trouble? Contact us",
+    noscript: "Please enable JavaScript to continue.",
+    blockTitle: "Access restricted",
+    blockHeading: "Access to this page has been restricted",
+    blockMessage: "We are sorry for the inconvenience. If you contact us, please include the ID below.",
+    blockIncident: "Incident ID",
+    unblockHeading: "Verify to restore access",
+    unblockMessage: "Access from your connection was temporarily restricted. Complete the check below to continue shopping.",
+  },
+  fr: {
+    title: "Vérification de votre connexion...",
+    heading: "Nous vérifions que votre connexion est sécurisée",
+    message: "Cette vérification est automatique. Merci de patienter un instant.",
+    support: "Le problème persiste ? Contactez-nous",
+    noscript: "Veuillez activer JavaScript pour continuer.",
+    blockTitle: "Accès restreint",
+    blockHeading: "L'accès à cette page a été restreint",
+    blockMessage: "Nous nous excusons pour la gêne occasionnée. Si vous nous contactez, merci d'indiquer l'identifiant ci-dessous.",
+    blockIncident: "Identifiant d'incident",
+    unblockHeading: "Vérifiez pour rétablir l'accès",
+    unblockMessage: "L'accès depuis votre connexion a été temporairement restreint. Effectuez la vérification ci-dessous pour continuer.",
+  },
+  de: {
+    title: "Verbindung wird überprüft...",
+    heading: "Wir prüfen, ob Ihre Verbindung sicher ist",
+    message: "Dies geschieht automatisch. Bitte einen Moment Geduld.",
+    support: "Weiterhin Probleme? Kontaktieren Sie uns",
+    noscript: "Bitte aktivieren Sie JavaScript, um fortzufahren.",
+    blockTitle: "Zugriff eingeschränkt",
+    blockHeading: "Der Zugriff auf diese Seite wurde eingeschränkt",
+    blockMessage: "Wir entschuldigen uns für die Unannehmlichkeiten. Bitte geben Sie bei einer Anfrage die folgende ID an.",
+    blockIncident: "Vorfall-ID",
+    unblockHeading: "Bestätigen, um den Zugriff wiederherzustellen",
+    unblockMessage: "Der Zugriff von Ihrer Verbindung wurde vorübergehend eingeschränkt. Schließen Sie die Prüfung unten ab, um fortzufahren.",
+  },
+  es: {
+    title: "Comprobando tu conexión...",
+    heading: "Estamos comprobando que tu conexión es segura",
+    message: "Este proceso es automático. Espera un momento, por favor.",
+    support: "¿Sigues teniendo problemas? Contáctanos",
+    noscript: "Activa JavaScript para continuar.",
+    blockTitle: "Acceso restringido",
+    blockHeading: "El acceso a esta página se ha restringido",
+    blockMessage: "Disculpa las molestias. Si te pones en contacto con nosotros, indica el siguiente ID.",
+    blockIncident: "ID de incidencia",
+    unblockHeading: "Verifica para recuperar el acceso",
+    unblockMessage: "El acceso desde tu conexión se ha restringido temporalmente. Completa la verificación para continuar.",
+  },
+  zh: {
+    title: "正在检查您的连接...",
+    heading: "正在确认您的连接是否安全",
+    message: "此过程将自动完成，请稍候。",
+    support: "如果问题仍然存在，请联系我们",
+    noscript: "请启用 JavaScript 以继续。",
+    blockTitle: "访问受限",
+    blockHeading: "此页面的访问已被限制",
+    blockMessage: "给您带来不便，敬请谅解。联系我们时，请提供以下 ID。",
+    blockIncident: "事件 ID",
+    unblockHeading: "验证以恢复访问",
+    unblockMessage: "您的连接已被暂时限制访问。完成下方验证即可继续购物。",
+  },
+  ko: {
+    title: "연결을 확인하는 중...",
+    heading: "연결이 안전한지 확인하고 있습니다",
+    message: "이 과정은 자동으로 진행됩니다. 잠시만 기다려 주세요.",
+    support: "문제가 계속되면 문의해 주세요",
+    noscript: "계속하려면 JavaScript를 활성화해 주세요.",
+    blockTitle: "접근이 제한되었습니다",
+    blockHeading: "이 페이지에 대한 접근이 제한되었습니다",
+    blockMessage: "불편을 드려 죄송합니다. 문의하실 때 아래 ID를 알려 주세요.",
+    blockIncident: "문의 ID",
+    unblockHeading: "접근을 복구하려면 확인해 주세요",
+    unblockMessage: "현재 연결에서의 접근이 일시적으로 제한되었습니다. 아래 확인을 완료하면 계속 이용하실 수 있습니다.",
+  },
+};
+
+const DEFAULT_CHALLENGE_BRAND = {
+  name: "",
+  logoUrl: "",
+  primaryColor: "#333333",
+  backgroundColor: "#f1f2f3",
+  textColor: "#333333",
+  supportUrl: "",
+  supportEmail: "",
+};
+
+// 7-2) presentTurnstileChallenge(): challenge HTMLを返す（言語はパス → Accept-Language → defaultLang）
+// - unblock: true は一時ブロック中の客向け（通過すると 8-12 selfUnblock() で解除）
+async function presentTurnstileChallenge(request, env, fingerprint, logBuffer, { unblock = false } = {}) {
+  metricInc("bb_turnstile_challenges_total", { kind: unblock ? "unblock" : "challenge" });
   const originalUrl = request.url;
   const siteKey = env.TURNSTILE_SITE_KEY;
-
-  const html = `<!DOCTYPE html><html lang="ja"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>接続を確認しています...</title><script src="https://challenges.cloudflare.com/turnstile/v0/api.js" async defer></script>
+  const page = await getChallengePage(env, logBuffer);
+  const lang = resolveChallengeLang(request, page);
+  const copy = { ...DEFAULT_CHALLENGE_COPY.en, ...(DEFAULT_CHALLENGE_COPY[lang] || {}), ...(page.copy[lang] || {}) };
+  const brand = page.brand;
+  const heading = unblock ? copy.unblockHeading : copy.heading;
+  const message = unblock ? copy.unblockMessage : copy.message;
+  const action = `/cf-turnstile/verify?redirect_to=${encodeURIComponent(originalUrl)}${unblock ? "&unblock=1" : ""}`;
+
+  const logoOrigin = brand.logoUrl ? new URL(brand.logoUrl).origin : "";
+  const csp =
+    "default-src 'none'; script-src https://challenges.cloudflare.com; connect-src https://challenges.cloudflare.com; " +
+    "frame-src https://challenges.cloudflare.com; style-src 'unsafe-inline'; " +
+    (logoOrigin ? `img-src ${logoOrigin}; ` : "") +
+    "base-uri 'none'; form-action 'self'";
+
+  const logo = brand.logoUrl ? `<img class="logo" src="${escapeHtml(brand.logoUrl)}" alt="${escapeHtml(brand.name)}">` : "";
+  const supportHref = brand.supportUrl || (brand.supportEmail ? `mailto:${brand.supportEmail}` : "");
+  const support = supportHref ? `<p class="support"><a href="${escapeHtml(supportHref)}">${escapeHtml(copy.support)}</a></p>` : "";
+
+  const html = `<!DOCTYPE html><html lang="${lang}"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(copy.title)}</title><script src="https://challenges.cloudflare.com/turnstile/v0/api.js" async defer></script>
 <meta name="robots" content="noindex,nofollow">
-<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src https://challenges.cloudflare.com; connect-src https://challenges.cloudflare.com; frame-src https://challenges.cloudflare.com; style-src 'unsafe-inline'; base-uri 'none'; form-action 'self'">
-<style>body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif;display:flex;justify-content:center;align-items:center;height:100vh;margin:0;background-color:#f1f2f3;color:#333;}.container{text-align:center;padding:2em;background-color:white;border-radius:8px;box-shadow:0 4px 12px rgba(0,0,0,0.1);}h1{font-size:1.2em;margin-bottom:0.5em;}p{margin-top:0;color:#666;}</style>
-</head><body><div class="container"><h1>接続が安全であることを確認しています</h1><p>この処理は自動で行われます。しばらくお待ちください。</p>
-<form id="turnstile-form" action="/cf-turnstile/verify?redirect_to=${encodeURIComponent(originalUrl)}" method="POST">
-<input type="hidden" name="fp" value="${fingerprint}">
-<div class="cf-turnstile" data-sitekey="${siteKey}" data-callback="onTurnstileSuccess"></div></form></div>
+<meta http-equiv="Content-Security-Policy" content="${csp}">
+<style>body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif;display:flex;justify-content:center;align-items:center;height:100vh;margin:0;background-color:${brand.backgroundColor};color:${brand.textColor};}.container{text-align:center;padding:2em;background-color:white;border-radius:8px;box-shadow:0 4px 12px rgba(0,0,0,0.1);border-top:4px solid ${brand.primaryColor};}.logo{max-height:48px;max-width:200px;margin-bottom:1em;}h1{font-size:1.2em;margin-bottom:0.5em;}p{margin-top:0;color:#666;}.support a{color:${brand.primaryColor};font-size:0.9em;}</style>
+</head><body><div class="container">${logo}<h1>${escapeHtml(heading)}</h1><p>${escapeHtml(message)}</p>
+<noscript><p>${escapeHtml(copy.noscript)}</p></noscript>
+<form id="turnstile-form" action="${escapeHtml(action)}" method="POST">
+<input type="hidden" name="fp" value="${escapeHtml(fingerprint)}">
+<div class="cf-turnstile" data-sitekey="${siteKey}" data-language="${lang}" data-callback="onTurnstileSuccess"></div></form>${support}</div>
 <script>function onTurnstileSuccess(token){document.getElementById('turnstile-form').submit();}</script>
 </body></html>`;
 
   return new Response(html, {
     headers: {
       "Content-Type": "text/html; charset=utf-8",
+      "Content-Language": lang,
+      "Cache-Control": "no-store",
+      "Referrer-Policy": "no-referrer",
+      "X-Robots-Tag": "noindex, nofollow, noarchive",
+    },
+  });
+}
+
+// 7-3) presentBlockPage(): ブロックされた客向けのページ（言語 / ブランドは challenge と共通、お問い合わせID付き）
+async function presentBlockPage(request, env, status, incidentId, logBuffer) {
+  const page = await getChallengePage(env, logBuffer);
+  const lang = resolveChallengeLang(request, page);
+  const copy = { ...DEFAULT_CHALLENGE_COPY.en, ...(DEFAULT_CHALLENGE_COPY[lang] || {}), ...(page.copy[lang] || {}) };
+  const brand = page.brand;
+
+  const logoOrigin = brand.logoUrl ? new URL(brand.logoUrl).origin : "";
+  const csp =
+    "default-src 'none'; style-src 'unsafe-inline'; " + (logoOrigin ? `img-src ${logoOrigin}; ` : "") + "base-uri 'none'; form-action 'none'";
+
+  const logo = brand.logoUrl ? `<img class="logo" src="${escapeHtml(brand.logoUrl)}" alt="${escapeHtml(brand.name)}">` : "";
+  const supportHref = brand.supportUrl || (brand.supportEmail ? `mailto:${brand.supportEmail}` : "");
+  const support = supportHref ? `<p class="support"><a href="${escapeHtml(supportHref)}">${escapeHtml(copy.support)}</a></p>` : "";
+
+  const html = `<!DOCTYPE html><html lang="${lang}"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(copy.blockTitle)}</title>
+<meta name="robots" content="noindex,nofollow">
+<meta http-equiv="Content-Security-Policy" content="${csp}">
+<style>body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif;display:flex;justify-content:center;align-items:center;height:100vh;margin:0;background-color:${brand.backgroundColor};color:${brand.textColor};}.container{text-align:center;padding:2em;max-width:32em;background-color:white;border-radius:8px;box-shadow:0 4px 12px rgba(0,0,0,0.1);border-top:4px solid ${brand.primaryColor};}.logo{max-height:48px;max-width:200px;margin-bottom:1em;}h1{font-size:1.2em;margin-bottom:0.5em;}p{margin-top:0;color:#666;}.incident{font-family:ui-monospace,Menlo,Consolas,monospace;font-size:1.1em;color:${brand.textColor};user-select:all;}.support a{color:${brand.primaryColor};font-size:0.9em;}</style>
+</head><body><div class="container">${logo}<h1>${escapeHtml(copy.blockHeading)}</h1><p>${escapeHtml(copy.blockMessage)}</p>
+<p>${escapeHtml(copy.blockIncident)}: <span class="incident">${escapeHtml(incidentId)}</span></p>${support}</div>
+</body></html>`;
+
+  return new Response(html, {
+    status,
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+      "Content-Language": lang,
       "Cache-Control": "no-store",
       "Referrer-Policy": "no-referrer",
+      "X-Robots-Tag": "noindex, nofollow, noarchive",
+      "x-bot-blocker-incident": incidentId,
     },
   });
 }
 
+// 7-4) resolveChallengeLang(): 表示言語を決める
+// - パスに言語（/en, /fr-ch など）があればそれ（parseLocaleLite と同じ解釈）
+// - 無ければ Accept-Language の q 値が高い順 → defaultLang
+// - 文言が無い言語は飛ばす
+function resolveChallengeLang(request, page) {
+  const available = (lang) => Boolean(DEFAULT_CHALLENGE_COPY[lang] || page.copy[lang]);
+  const path = new URL(request.url).pathname;
+
+  const seg = path.replace(/^\/+/, "").split("/")[0];
+  const fromPath = parseLocaleLite(path).lang;
+  if (seg !== "" && fromPath !== "unknown" && available(fromPath)) return fromPath;
+
+  const accepted = (request.headers.get("Accept-Language") || "")
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().toLowerCase().split(";");
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      return { lang: tag.split("-")[0], q: q ? Number(q.slice(2)) || 0 : 1 };
+    })
+    .filter((a) => /^[a-z]{2}$/.test(a.lang) && a.q > 0)
+    .sort((a, b) => b.q - a.q);
+  for (const a of accepted) if (available(a.lang)) return a.lang;
+
+  return page.defaultLang;
+}
+
+// 7-5) getChallengePage(): CHALLENGE_PAGE（KV）→ R2 → 既定 の順で読み、検証して返す（30秒ごと）
+async function getChallengePage(env, logBuffer) {
+  const now = Date.now();
+  if (challengePageCache !== null && now - challengePageLastRead < CONFIG_REFRESH_MS) return challengePageCache.page;
+  challengePageLastRead = now;
+
+  let raw = null;
+  try {
+    raw = await env.BOT_BLOCKER_KV.get(CHALLENGE_PAGE_KEY, { type: "json", cacheTtl: 30 });
+    if (!raw && env.BLOCKLIST_R2) {
+      const obj = await env.BLOCKLIST_R2.get(CHALLENGE_PAGE_R2_KEY);
+      if (obj) raw = await obj.json();
+    }
+  } catch (e) {
+    logBuffer.push(`[CONFIG] Failed to load challenge page template: ${e.message}`);
+  }
+
+  const version = raw?.version ?? "default";
+  if (challengePageCache === null || challengePageCache.version !== version) {
+    challengePageCache = { version, page: normalizeChallengePage(raw || {}, logBuffer) };
+    logBuffer.push(`[CONFIG] Loaded challenge page template (version ${version}).`);
+  }
+  return challengePageCache.page;
+}
+
+// 7-6) normalizeChallengePage(): 色は #hex、URL は https だけ通す（HTML/CSSへの埋め込みを安全にする）
+function normalizeChallengePage(raw, logBuffer) {
+  const b = raw.brand || {};
+  const brand = { ...DEFAULT_CHALLENGE_BRAND };
+  const color = /^#[0-9a-f]{3,8}$/i;
+  const https = (v) => {
+    try {
+      return new URL(v).protocol === "https:";
+    } catch {
+      return false;
+    }
+  };
+
+  if (typeof b.name === "string") brand.name = b.name.slice(0, 100);
+  for (const k of ["primaryColor", "backgroundColor", "textColor"]) {
+    if (b[k] === undefined) continue;
+    if (typeof b[k] === "string" && color.test(b[k])) brand[k] = b[k];
+    else logBuffer.push(`[CONFIG] challenge page: ignored brand.${k} (expected #hex)`);
+  }
+  for (const k of ["logoUrl", "supportUrl"]) {
+    if (b[k] === undefined) continue;
+    if (typeof b[k] === "string" && https(b[k])) brand[k] = b[k];
+    else logBuffer.push(`[CONFIG] challenge page: ignored brand.${k} (expected https URL)`);
+  }
+  if (typeof b.supportEmail === "string" && /^[^\s@<>"]+@[^\s@<>"]+$/.test(b.supportEmail)) brand.supportEmail = b.supportEmail;
+
+  const copy = {};
+  for (const [lang, c] of Object.entries(raw.copy || {})) {
+    if (!/^[a-z]{2}$/.test(lang) || !c || typeof c !== "object") continue;
+    copy[lang] = {};
+    for (const k of Object.keys(DEFAULT_CHALLENGE_COPY.en)) {
+      if (typeof c[k] === "string" && c[k]) copy[lang][k] = c[k].slice(0, 500);
+    }
+  }
+
+  const defaultLang =
+    typeof raw.defaultLang === "string" && (DEFAULT_CHALLENGE_COPY[raw.defaultLang] || copy[raw.defaultLang])
+      ? raw.defaultLang
+      : CHALLENGE_FALLBACK_LANG;
+  return { defaultLang, brand, copy };
+}
+
 /* -----------------------------------------------------------------
  * 8) Violation handling (KV/R2)
  * ----------------------------------------------------------------- */
 
-// 8-1) handleViolationSideEffects(): KVブロック/R2記録などの副作用をまとめて実行
-async function handleViolationSideEffects(ip, ua, reason, ipCount, env, ctx, fingerprint, fpCount, logBuffer) {
-  logBuffer.push(`[VIOLATION] IP=${ip} FP=${fingerprint} reason=${reason} IP_count=${ipCount} FP_count=${fpCount}`);
-
-  const effectiveCount = Math.max(ipCount, fpCount);
-
-  if (effectiveCount === 1) {
-    ctx.waitUntil(putOnce(env, ip, "temp-1", 600));
-    ctx.waitUntil(putOnce(env, `FP-${fingerprint}`, "temp-1", 600));
-  } else if (effectiveCount === 2) {
-    ctx.waitUntil(putOnce(env, ip, "temp-2", 1800));
-    ctx.waitUntil(putOnce(env, `FP-${fingerprint}`, "temp-2", 1800));
-  } else if (effectiveCount === 3) {
-    ctx.waitUntil(putOnce(env, ip, "temp-3", 24 * 3600));
-    ctx.waitUntil(putOnce(env, `FP-${fingerprint}`, "temp-3", 24 * 3600));
-  } else if (effectiveCount >= 4) {
-    ctx.waitUntil(putOnce(env, ip, "permanent-block"));
-    ctx.waitUntil(putOnce(env, `FP-${fingerprint}`, "permanent-block"));
-
-    const record = JSON.stringify({
+// --- 違反カウンタ（再犯者を temp-1 → temp-2 → temp-3 → permanent-block へ段階的に昇格） ---
+const VIOLATION_NS = "VC:";      // VC:<ip>   = JSON { count, last }
+const VIOLATIONFP_NS = "VCFP:";  // VCFP:<fp> = JSON { count, last }
+
+const IPV4_RANGE_NS = "V24:"; // V24:<a.b.c.0/24> = JSON { ips, first }
+
+// IPのまとめ方（WORKER_CONFIG.ipAggregation で上書き可）
+// - ipv6Prefix: IPv6 はこのプレフィックス長でブロック / RL: / LF: / VC: のキーを作る（既定 /64、/48 も可）
+// - ipv4Range24: 同じ /24 から minOffenders 個以上のIPが windowSec 内に違反したら /24 ごとブロック
+const DEFAULT_IP_AGGREGATION = {
+  ipv6Prefix: 64,
+  ipv4Range24: { enabled: false, minOffenders: 3, windowSec: 24 * 3600 },
+};
+
+// 既定の昇格ラダー（WORKER_CONFIG.escalation で上書き可）
+// - ladder[n-1] が n回目の違反で適用される段階（回数がラダー長を超えたら最後の段階）
+// - ladder は IP（ipBlockKey）の違反回数、fpLadder は FP の違反回数で引く（互いの回数は混ぜない）
+// - FP は同じブラウザ / 回線の無関係な客でも同じ値になるので、fpLadder に permanent-block は置けない
+// - decayIntervalSec: 最後の違反からこの時間が経つごとにカウントを1段下げる
+// - cooldownSec: この時間内の連続違反（同じスキャンの連射）は1回として数える
+const DEFAULT_ESCALATION = {
+  ladder: [
+    { status: "temp-1", ttl: 600 },
+    { status: "temp-2", ttl: 1800 },
+    { status: "temp-3", ttl: 24 * 3600 },
+    { status: "permanent-block" },
+  ],
+  fpLadder: [
+    { status: "temp-1", ttl: 600 },
+    { status: "temp-2", ttl: 1800 },
+    { status: "temp-3", ttl: 24 * 3600 },
+  ],
+  decayIntervalSec: 3 * 24 * 3600,
+  cooldownSec: 60,
+};
+
+// 8-1) resolveEscalationConfig(): config.escalation を検証し、不正な値は既定値に戻す
+function resolveEscalationConfig(config) {
+  const c = config?.escalation || {};
+
+  const validLadder = (v, allowPermanent) =>
+    Array.isArray(v) &&
+    v.length > 0 &&
+    v.every(
+      (st) =>
+        st &&
+        BLOCK_STATUSES.includes(st.status) &&
+        (st.status === "permanent-block"
+          ? allowPermanent
+          : typeof st.ttl === "number" && st.ttl >= KV_MIN_EXP_TTL_SEC)
+    );
+
+  const num = (v, min, fallback) => (typeof v === "number" && v >= min ? v : fallback);
+  return {
+    ladder: validLadder(c.ladder, true) ? c.ladder : DEFAULT_ESCALATION.ladder,
+    fpLadder: validLadder(c.fpLadder, false) ? c.fpLadder : DEFAULT_ESCALATION.fpLadder,
+    decayIntervalSec: num(c.decayIntervalSec, 60, DEFAULT_ESCALATION.decayIntervalSec),
+    cooldownSec: num(c.cooldownSec, 0, DEFAULT_ESCALATION.cooldownSec),
+  };
+}
+
+// 8-2) resolveIpAggregation(): config.ipAggregation を検証し、不正な値は既定値に戻す
+function resolveIpAggregation(config) {
+  const c = config?.ipAggregation || {};
+  const r = c.ipv4Range24 || {};
+  const d = DEFAULT_IP_AGGREGATION.ipv4Range24;
+  const int = (v, min, max, fallback) => (Number.isInteger(v) && v >= min && v <= max ? v : fallback);
+  return {
+    ipv6Prefix: int(c.ipv6Prefix, 32, 128, DEFAULT_IP_AGGREGATION.ipv6Prefix),
+    ipv4Range24: {
+      enabled: typeof r.enabled === "boolean" ? r.enabled : d.enabled,
+      minOffenders: int(r.minOffenders, 2, 256, d.minOffenders),
+      windowSec: int(r.windowSec, 60, 30 * 24 * 3600, d.windowSec),
+    },
+  };
+}
+
+// 8-3) bumpViolationCounter(): 減衰を反映してから違反カウンタを1つ進める（KV）
+// - cooldown 中は書き込まずに現在値を返す
+// - TTL は「全段階が減衰しきるまで」なので、放置すれば自然消滅する
+async function bumpViolationCounter(env, key, esc, ladder = esc.ladder) {
+  const now = Date.now();
+  const raw = await env.BOT_BLOCKER_KV.get(key);
+
+  let st;
+  try { st = raw ? JSON.parse(raw) : null; } catch { st = null; }
+  if (!st || typeof st.count !== "number" || typeof st.last !== "number") {
+    st = { count: 0, last: 0 };
+  }
+
+  const decaySteps = Math.floor((now - st.last) / (esc.decayIntervalSec * 1000));
+  if (decaySteps > 0) st.count = Math.max(0, st.count - decaySteps);
+
+  if (st.count > 0 && now - st.last < esc.cooldownSec * 1000) return st.count;
+
+  st.count += 1;
+  st.last = now;
+
+  const ttl = Math.max(esc.decayIntervalSec * ladder.length, KV_MIN_EXP_TTL_SEC);
+  await env.BOT_BLOCKER_KV.put(key, JSON.stringify(st), { expirationTtl: ttl });
+  return st.count;
+}
+
+// 8-4) handleViolation(): IP/FP の違反カウンタを進めて、段階に応じた副作用を実行
+// - IP側のカウンタ/ブロックは ipBlockKey()（IPv6 は /64 等）単位
+// - config は呼び出し元（handle()）で読んだもの（1リクエストの途中で設定の版が混ざらないように）
+async function handleViolation(ip, ua, reason, env, ctx, fingerprint, logBuffer, incidentId, config) {
+  const esc = resolveEscalationConfig(config);
+  const ipAgg = resolveIpAggregation(config);
+  const ipKey = ipBlockKey(ip, ipAgg);
+
+  const [ipCount, fpCount] = await Promise.all([
+    bumpViolationCounter(env, VIOLATION_NS + ipKey, esc),
+    bumpViolationCounter(env, VIOLATIONFP_NS + fingerprint, esc, esc.fpLadder),
+  ]);
+  await handleViolationSideEffects(ip, ua, reason, ipCount, env, ctx, fingerprint, fpCount, logBuffer, esc, ipKey, incidentId, config);
+
+  if (ipAgg.ipv4Range24.enabled && isIpAddress(ip) && !ip.includes(":")) {
+    await trackIpv4RangeOffender(env, ip, reason, ipCount, fpCount, esc, ipAgg, logBuffer);
+  }
+}
+
+// 8-5) handleViolationSideEffects(): KVブロック/R2記録/外部通知などの副作用をまとめて実行
+// - IP キーは ipCount で ladder、FP キーは fpCount で fpLadder を引く（permanent-block になるのは IP だけ）
+async function handleViolationSideEffects(ip, ua, reason, ipCount, env, ctx, fingerprint, fpCount, logBuffer, esc = DEFAULT_ESCALATION, ipKey = ip, incidentId = null, config = null) {
+  const stepOf = (ladder, count) => ladder[Math.min(Math.max(count, 1), ladder.length) - 1];
+  const ipStep = stepOf(esc.ladder, ipCount);
+  const fpStep = stepOf(esc.fpLadder, fpCount);
+  const status = ipStep.status;
+  const ttlOf = (step) => (step.status === "permanent-block" ? undefined : step.ttl);
+
+  logBuffer.push(
+    `[VIOLATION] IP=${ip} key=${ipKey} FP=${fingerprint} reason=${reason} IP_count=${ipCount} FP_count=${fpCount} -> ${status} FP -> ${fpStep.status} incident=${incidentId ?? "-"}`
+  );
+
+  // incident: 管理APIのブロック一覧（metadata）から、客が伝えてきたIDで引けるように
+  const meta = { reason: String(reason).slice(0, 200), at: Date.now(), incident: incidentId };
+  const fpKey = `FP-${fingerprint}`;
+
+  ctx.waitUntil(putOnce(env, ipKey, status, ttlOf(ipStep), { status, ...meta }));
+  ctx.waitUntil(putOnce(env, fpKey, fpStep.status, ttlOf(fpStep), { status: fpStep.status, ...meta }));
+  ctx.waitUntil(rememberBlockStatus(ipKey, status));
+  ctx.waitUntil(rememberBlockStatus(fpKey, fpStep.status));
+  // 自己解除の素通し中に再び違反したら、素通しは打ち切る（回数はそのまま）
+  ctx.waitUntil(endSelfUnblockBypass(env, fingerprint));
+
+  if (status === "permanent-block") {
+    const record = {
       ip,
+      blockKey: ipKey,
       fingerprint,
       userAgent: ua,
       reason,
+      incidentId,
       ipCount,
       fpCount,
       timestamp: new Date().toISOString(),
-    });
+    };
 
-    ctx.waitUntil(env.BLOCKLIST_R2.put(`${ip}-${fingerprint.substring(0, 8)}-${Date.now()}.json`, record));
+    // 日付パーティション + customMetadata（22) 参照 / 索引は cron で作る）
+    ctx.waitUntil(writePermanentBlockRecord(env, record));
     ctx.waitUntil(putOnce(env, `FP-HIGH-COUNT-${fingerprint}`, "pending-permanent-block", 24 * 3600));
+    queueAlert(env, ctx, config, "permanent-block", { ip, blockKey: ipKey, fingerprint, reason, incidentId, userAgent: ua });
   }
 }
 
-// 8-2) logAndBlock(): 即ブロック系のショートカット
-function logAndBlock(ip, ua, reason, env, ctx, fingerprint, logBuffer) {
-  ctx.waitUntil(handleViolationSideEffects(ip, ua, reason, 1, env, ctx, fingerprint, 1, logBuffer));
-  return new Response("Not Found", { status: 404 });
+// 8-6) trackIpv4RangeOffender(): 同じ /24 から違反したIPを数え、minOffenders 以上なら /24 ごとブロック
+// - V24:<a.b.c.0/24> = JSON { ips: [...], first }（windowSec で自然消滅）
+// - /24 に付ける段階は、今回の違反と同じ段階（ラダー）に合わせる
+async function trackIpv4RangeOffender(env, ip, reason, ipCount, fpCount, esc, ipAgg, logBuffer) {
+  const cfg = ipAgg.ipv4Range24;
+  const rangeKey = ipPrefixKey(ip, 24);
+  const key = IPV4_RANGE_NS + rangeKey;
+  const now = Date.now();
+
+  let st;
+  try { st = JSON.parse((await env.BOT_BLOCKER_KV.get(key)) || "null"); } catch { st = null; }
+  if (!st || !Array.isArray(st.ips) || typeof st.first !== "number" || now - st.first > cfg.windowSec * 1000) {
+    st = { ips: [], first: now };
+  }
+  if (!st.ips.includes(ip)) st.ips.push(ip);
+
+  await env.BOT_BLOCKER_KV.put(key, JSON.stringify(st), {
+    expirationTtl: Math.max(cfg.windowSec, KV_MIN_EXP_TTL_SEC),
+  });
+  if (st.ips.length < cfg.minOffenders) return;
+
+  const step = esc.ladder[Math.min(Math.max(ipCount, 1), esc.ladder.length) - 1];
+  const ttl = step.status === "permanent-block" ? undefined : step.ttl;
+  const meta = { status: step.status, reason: `range24:${String(reason).slice(0, 180)}`, at: now };
+  await putOnce(env, rangeKey, step.status, ttl, meta);
+  await rememberBlockStatus(rangeKey, step.status);
+  logBuffer.push(`[RANGE BLOCK] ${rangeKey} offenders=${st.ips.length} -> ${step.status}`);
 }
 
-/* -----------------------------------------------------------------
- * 9) Bot verification (CIDR)
- * ----------------------------------------------------------------- */
+// 8-7) logAndBlock(): 即ブロック系のショートカット（違反を記録して blockResponse を返す）
+// - カウンタ読み書きを待つのは違反リクエストだけ（正常リクエストの遅延は増えない）
+async function logAndBlock(ip, ua, reason, env, ctx, fingerprint, logBuffer, request, incidentId, config) {
+  await handleViolation(ip, ua, reason, env, ctx, fingerprint, logBuffer, incidentId, config);
 
-// 9-1) verifyBotIp(): BOT_CIDRS(KV)のCIDRに含まれるか
-async function verifyBotIp(ip, botKey, env, logBuffer) {
-  const botCidrsCache = await env.BOT_BLOCKER_KV.get("BOT_CIDRS", { type: "json", cacheTtl: 3600 });
-  const cidrs = botCidrsCache ? botCidrsCache[botKey] : null;
+  // 学習（17) 参照）：違反した UA のトークンを候補として数える
+  const ipKey = ipBlockKey(ip, resolveIpAggregation(config));
+  const path = new URL(request.url).pathname;
+  await recordLearningCandidate(env, ua, reason, { ip, ipKey, fingerprint, path }, config, logBuffer);
 
-  if (!cidrs || !Array.isArray(cidrs) || cidrs.length === 0) {
-    logBuffer.push(`[WARN] CIDR list for bot '${botKey}' is empty or not found in KV.`);
-    return false;
-  }
-  return cidrs.some((cidr) => ipInCidr(ip, cidr, logBuffer));
+  return await blockResponse(request, env, reason, incidentId, logBuffer, config);
 }
 
-/* -----------------------------------------------------------------
- * 10) Utilities (admin, cookies, token, cidr)
- * ----------------------------------------------------------------- */
+// --- block レスポンス（WORKER_CONFIG.blockPage で上書き可） ---
+// - 客（ブラウザのページ遷移）には言語別の block ページ + お問い合わせID、status は statusByReason で理由ごとに変えられる
+// - スキャナ / ボット（disguiseReasons に当たる理由・botっぽいUA・HTML以外）は従来どおり素の 404
+// - statusByReason / disguiseReasons のキーは reason の部分一致（例: "impersonation" → googlebot-impersonation）
+const DEFAULT_BLOCK_PAGE = {
+  enabled: true,
+  defaultStatus: 403,
+  statusByReason: {},
+  disguiseReasons: ["path-scan", "impersonation", "unwanted-bot", "active-bad-bot"],
+};
 
-// 10-1) isAdminPath(): 管理用パス判定
-function isAdminPath(p) {
-  return p.startsWith("/admin/") || p.startsWith("/reset-state") || p.startsWith("/debug/");
+// 8-8) resolveBlockPageConfig(): config.blockPage を検証し、不正な値は既定値に戻す
+function resolveBlockPageConfig(config) {
+  const c = config?.blockPage || {};
+  const isStatus = (v) => Number.isInteger(v) && v >= 400 && v <= 599;
+  const statusByReason = {};
+  for (const [k, v] of Object.entries(c.statusByReason && typeof c.statusByReason === "object" ? c.statusByReason : {})) {
+    if (k && isStatus(v)) statusByReason[k] = v;
+  }
+  return {
+    enabled: typeof c.enabled === "boolean" ? c.enabled : DEFAULT_BLOCK_PAGE.enabled,
+    defaultStatus: isStatus(c.defaultStatus) ? c.defaultStatus : DEFAULT_BLOCK_PAGE.defaultStatus,
+    statusByReason,
+    disguiseReasons: Array.isArray(c.disguiseReasons)
+      ? c.disguiseReasons.filter((v) => typeof v === "string" && v)
+      : DEFAULT_BLOCK_PAGE.disguiseReasons,
+  };
 }
 
-// 10-2) parseCookieSafe(): Cookieを安全にパース
+// 8-9) blockResponse(): ブロック時のレスポンスを決める（block ページ or 素の 404）
+async function blockResponse(request, env, reason, incidentId, logBuffer, config) {
+  const cfg = resolveBlockPageConfig(config);
+  const r = String(reason || "");
+
+  const disguise =
+    !cfg.enabled || !incidentId || cfg.disguiseReasons.some((k) => r.includes(k)) || !isShopperNavigation(request);
+
+  if (disguise) {
+    logBuffer.push(`[BLOCK] incident=${incidentId ?? "-"} reason=${r} -> 404 (disguised)`);
+    return new Response("Not Found", { status: 404 });
+  }
+
+  const key = Object.keys(cfg.statusByReason).find((k) => r.includes(k));
+  const status = key ? cfg.statusByReason[key] : cfg.defaultStatus;
+  logBuffer.push(`[BLOCK] incident=${incidentId} reason=${r} -> ${status} (block page)`);
+  return await presentBlockPage(request, env, status, incidentId, logBuffer);
+}
+
+// --- 自己解除（一時ブロック中の客が Turnstile を通して自分で解除 / WORKER_CONFIG.selfUnblock で上書き可） ---
+// - 対象は statuses の一時ブロックだけ（permanent-block は対象外）
+// - FP のブロックは消す。IP（共有IP / CGNAT の可能性）のブロックは残し、このFPだけ素通しにする
+// - decrementViolations: FP の違反カウンタを1段下げる（誤検知で次の段階へ上がりにくくする）
+// - SU:<fp> = JSON { day, count, until, ipKeys }（解除回数 / 素通しの期限と対象IPキー）
+const SELF_UNBLOCK_NS = "SU:";
+const DEFAULT_SELF_UNBLOCK = {
+  enabled: true,
+  statuses: ["temp-1", "temp-2"],
+  maxPerDay: 3,
+  decrementViolations: true,
+};
+
+// 8-10) resolveSelfUnblockConfig(): config.selfUnblock を検証し、不正な値は既定値に戻す
+function resolveSelfUnblockConfig(config) {
+  const c = config?.selfUnblock || {};
+  const statuses = Array.isArray(c.statuses)
+    ? c.statuses.filter((st) => BLOCK_STATUSES.includes(st) && st !== "permanent-block")
+    : DEFAULT_SELF_UNBLOCK.statuses;
+  return {
+    enabled: typeof c.enabled === "boolean" ? c.enabled : DEFAULT_SELF_UNBLOCK.enabled,
+    statuses,
+    maxPerDay: Number.isInteger(c.maxPerDay) && c.maxPerDay >= 0 && c.maxPerDay <= 100 ? c.maxPerDay : DEFAULT_SELF_UNBLOCK.maxPerDay,
+    decrementViolations:
+      typeof c.decrementViolations === "boolean" ? c.decrementViolations : DEFAULT_SELF_UNBLOCK.decrementViolations,
+  };
+}
+
+// 8-11) getSelfUnblockState() / selfUnblocksToday() / isSelfUnblocked()
+// - ブロックに当たったリクエストでだけ読む（通常のリクエストではKVを読まない）
+async function getSelfUnblockState(env, fingerprint) {
+  const raw = await env.BOT_BLOCKER_KV.get(SELF_UNBLOCK_NS + fingerprint, { type: "json" });
+  return {
+    day: typeof raw?.day === "string" ? raw.day : "",
+    count: typeof raw?.count === "number" ? raw.count : 0,
+    until: typeof raw?.until === "number" ? raw.until : 0,
+    ipKeys: Array.isArray(raw?.ipKeys) ? raw.ipKeys : [],
+  };
+}
+
+function selfUnblocksToday(st) {
+  return st.day === new Date(Date.now()).toISOString().slice(0, 10) ? st.count : 0;
+}
+
+function isSelfUnblocked(st, kvBlocks) {
+  if (!(st.until > Date.now())) return false;
+  return kvBlocks.every((b) => b.kind === "fp" || st.ipKeys.includes(b.key));
+}
+
+// 8-12) selfUnblock(): Turnstile 通過後に一時ブロックを解除（回数制限つき）
+// - [SELF_UNBLOCK] の行に元のブロック理由を出す（誤検知の多いルールを探すため）
+async function selfUnblock(env, ip, fingerprint, config, logBuffer) {
+  const su = resolveSelfUnblockConfig(config);
+  if (!su.enabled) return { ok: false, lifted: [] };
+
+  const st = await getSelfUnblockState(env, fingerprint);
+  const today = new Date(Date.now()).toISOString().slice(0, 10);
+  const used = selfUnblocksToday(st);
+  if (used >= su.maxPerDay) {
+    logBuffer.push(`[SELF_UNBLOCK] limit reached FP=${fingerprint} IP=${ip} count=${used}/${su.maxPerDay}`);
+    return { ok: false, lifted: [] };
+  }
+
+  const esc = resolveEscalationConfig(config);
+  const ipKeys = ipBlockLookupKeys(ip, resolveIpAggregation(config));
+  const fpKey = `FP-${fingerprint}`;
+
+  const lifted = [];
+  for (const key of [fpKey, ...ipKeys]) {
+    const { value, metadata } = await env.BOT_BLOCKER_KV.getWithMetadata(key);
+    if (!value) continue;
+    if (!su.statuses.includes(value)) {
+      logBuffer.push(`[SELF_UNBLOCK] refused key=${key} status=${value} FP=${fingerprint} IP=${ip}`);
+      return { ok: false, lifted: [] };
+    }
+    lifted.push({ key, status: value, reason: metadata?.reason ?? null, incident: metadata?.incident ?? null });
+  }
+  if (lifted.length === 0) return { ok: false, lifted: [] };
+
+  // 素通しの期限 = 解除したブロックのうち一番長い段階のTTL（ブロックが自然に切れるまで）
+  const ttlOf = (status) => Math.max(0, ...[...esc.ladder, ...esc.fpLadder].filter((s) => s.status === status).map((s) => s.ttl ?? 0));
+  const until = Date.now() + Math.max(...lifted.map((b) => ttlOf(b.status))) * 1000;
+
+  await env.BOT_BLOCKER_KV.put(
+    SELF_UNBLOCK_NS + fingerprint,
+    JSON.stringify({ day: today, count: used + 1, until, ipKeys }),
+    { expirationTtl: 2 * 24 * 3600 }
+  );
+
+  if (lifted.some((b) => b.key === fpKey)) {
+    await env.BOT_BLOCKER_KV.delete(fpKey);
+    await invalidateBlockStatus(fpKey);
+  }
+
+  if (su.decrementViolations) {
+    const counterKey = VIOLATIONFP_NS + fingerprint;
+    const counter = await env.BOT_BLOCKER_KV.get(counterKey, { type: "json" });
+    if (counter && typeof counter.count === "number" && counter.count > 0) {
+      counter.count -= 1;
+      const ttl = Math.max(esc.decayIntervalSec * esc.fpLadder.length, KV_MIN_EXP_TTL_SEC);
+      await env.BOT_BLOCKER_KV.put(counterKey, JSON.stringify(counter), { expirationTtl: ttl });
+    }
+  }
+
+  for (const b of lifted) {
+    logBuffer.push(
+      `[SELF_UNBLOCK] FP=${fingerprint} IP=${ip} key=${b.key} status=${b.status} reason=${b.reason ?? "-"} ` +
+        `incident=${b.incident ?? "-"} count=${used + 1}/${su.maxPerDay}`
+    );
+  }
+  return { ok: true, lifted };
+}
+
+// 8-13) endSelfUnblockBypass(): 素通しの期限だけ消す（SU:<fp> が無ければ何もしない）
+async function endSelfUnblockBypass(env, fingerprint) {
+  const key = SELF_UNBLOCK_NS + fingerprint;
+  const raw = await env.BOT_BLOCKER_KV.get(key, { type: "json" });
+  if (!raw || !(raw.until > Date.now())) return;
+  await env.BOT_BLOCKER_KV.put(key, JSON.stringify({ ...raw, until: 0 }), { expirationTtl: 2 * 24 * 3600 });
+}
+
+// 8-14) isShopperNavigation(): 客のブラウザによるページ遷移らしいか（block ページ / 自己解除を出す条件）
+function isShopperNavigation(request) {
+  const ua = request.headers.get("User-Agent") || "";
+  const accept = request.headers.get("Accept") || "";
+  return request.method === "GET" && accept.includes("text/html") && !BOT_UA_PATTERN.test(ua);
+}
+
+/* -----------------------------------------------------------------
+ * 9) Bot verification (CIDR / reverse DNS)
+ * ----------------------------------------------------------------- */
+
+// 9-1) verifyBotIp(): BOT_CIDRS(KV)のCIDRに含まれるか
+async function verifyBotIp(ip, botKey, env, logBuffer) {
+  const botCidrsCache = await env.BOT_BLOCKER_KV.get("BOT_CIDRS", { type: "json", cacheTtl: 3600 });
+  const cidrs = botCidrsCache ? botCidrsCache[botKey] : null;
+
+  if (!cidrs || !Array.isArray(cidrs) || cidrs.length === 0) {
+    logBuffer.push(`[WARN] CIDR list for bot '${botKey}' is empty or not found in KV.`);
+    return false;
+  }
+  return cidrs.some((cidr) => ipInCidr(ip, cidr, logBuffer));
+}
+
+// --- 検証済みクローラのレジストリ ---
+// - uaPattern: UA に対する正規表現（大文字小文字無視）
+// - cidrKey: BOT_CIDRS(KV) のキー（GitHub Actions が R2 に置いた公開リストを cron で検証して取り込む・19) 参照）
+// - rdnsSuffixes: 逆引き→正引き一致（FCrDNS）で確認するホスト名の末尾。CIDRで確認できないときだけ使う
+// - rateLimitPerMin: 検証済みでも1分あたりこれを超えたら 429（未指定なら制限なし）
+// WORKER_CONFIG.verifiedBots に同じ name で書けば上書き、enabled:false で無効化、新しい name で追加
+const DEFAULT_VERIFIED_BOTS = [
+  { name: "amazon", uaPattern: "^AmazonProductDiscovery/1\\.0", cidrKey: "amazon" },
+  { name: "googlebot", uaPattern: "Googlebot|Google-InspectionTool|GoogleOther|Storebot-Google", cidrKey: "google", rdnsSuffixes: [".googlebot.com", ".google.com", ".googleusercontent.com"] },
+  { name: "bingbot", uaPattern: "bingbot|BingPreview|adidxbot", cidrKey: "bing", rdnsSuffixes: [".search.msn.com"] },
+  { name: "applebot", uaPattern: "Applebot", cidrKey: "apple", rdnsSuffixes: [".applebot.apple.com"] },
+];
+
+const VBOT_NS = "VBOT:"; // VBOT:<name>:<ip> = "1" | "0"（逆引き結果のキャッシュ）
+const VBOT_POSITIVE_TTL_SEC = 24 * 3600;
+const VBOT_NEGATIVE_TTL_SEC = 3600;
+const VBOT_UNKNOWN_RATE_PER_MIN = 60; // DoH の失敗で確認できないクローラの1分あたり上限（レジストリに rateLimitPerMin があればそちら）
+const DOH_ENDPOINT = "https://cloudflare-dns.com/dns-query";
+const DOH_TIMEOUT_MS = 2000;
+
+// 9-2) getVerifiedBotRegistry(): 既定 + config.verifiedBots をマージして正規表現をコンパイル（config単位でキャッシュ）
+function getVerifiedBotRegistry(config, logBuffer) {
+  const source = config?.verifiedBots;
+  if (verifiedBotRegistryCache && verifiedBotRegistryCache.source === source) return verifiedBotRegistryCache.bots;
+
+  const byName = new Map(DEFAULT_VERIFIED_BOTS.map((b) => [b.name, b]));
+  if (Array.isArray(source)) {
+    for (const b of source) {
+      if (!b || typeof b.name !== "string") continue;
+      byName.set(b.name, { ...(byName.get(b.name) || {}), ...b });
+    }
+  }
+
+  const bots = [];
+  for (const b of byName.values()) {
+    if (b.enabled === false || typeof b.uaPattern !== "string") continue;
+    try {
+      bots.push({
+        name: b.name,
+        uaRegex: new RegExp(b.uaPattern, "i"),
+        cidrKey: typeof b.cidrKey === "string" ? b.cidrKey : null,
+        rdnsSuffixes: Array.isArray(b.rdnsSuffixes)
+          ? b.rdnsSuffixes.map((x) => String(x).toLowerCase()).map((x) => (x.startsWith(".") ? x : `.${x}`))
+          : [],
+        rateLimitPerMin: typeof b.rateLimitPerMin === "number" && b.rateLimitPerMin > 0 ? b.rateLimitPerMin : null,
+      });
+    } catch {
+      logBuffer.push(`[REGEX_ERROR] Invalid uaPattern in verifiedBots: ${b.name}`);
+    }
+  }
+
+  verifiedBotRegistryCache = { source, bots };
+  return bots;
+}
+
+// 9-3) findClaimedBot(): UA がレジストリのどのクローラを名乗っているか
+function findClaimedBot(ua, config, logBuffer) {
+  return getVerifiedBotRegistry(config, logBuffer).find((b) => b.uaRegex.test(ua)) || null;
+}
+
+// 9-4) verifyClaimedBot(): CIDR → 逆引きDNS の順で本物か確認（true / false / null = 確認できない）
+// - null（DoH の失敗）はキャッシュしない（次のリクエストでまた確認する）
+async function verifyClaimedBot(ip, bot, env, logBuffer) {
+  if (bot.cidrKey && (await verifyBotIp(ip, bot.cidrKey, env, logBuffer))) return true;
+  if (bot.rdnsSuffixes.length === 0) return false;
+
+  const cacheKey = `${VBOT_NS}${bot.name}:${ip}`;
+  const cached = await env.BOT_BLOCKER_KV.get(cacheKey, { cacheTtl: 300 });
+  if (cached === "1" || cached === "0") return cached === "1";
+
+  const ok = await verifyBotRdns(ip, bot.rdnsSuffixes, logBuffer);
+  if (ok === null) {
+    logBuffer.push(`[RDNS] bot=${bot.name} IP=${ip} verified=unknown (DoH failed)`);
+    return null;
+  }
+  await putOnce(env, cacheKey, ok ? "1" : "0", ok ? VBOT_POSITIVE_TTL_SEC : VBOT_NEGATIVE_TTL_SEC);
+  logBuffer.push(`[RDNS] bot=${bot.name} IP=${ip} verified=${ok}`);
+  return ok;
+}
+
+// 9-5) verifyBotRdns(): FCrDNS（PTR のホスト名が許可ドメインで、かつ正引きで同じIPに戻るか）
+// - true / false / null（DoH が失敗して一致を確認できなかった）
+async function verifyBotRdns(ip, suffixes, logBuffer) {
+  const ptrName = reverseDnsName(ip);
+  if (!ptrName) return false;
+
+  const ptr = await dohQuery(ptrName, "PTR", logBuffer);
+  if (ptr === null) return null;
+  const hosts = ptr.map((h) => h.replace(/\.$/, "").toLowerCase());
+  const isV6 = ip.includes(":");
+
+  let unknown = false;
+  for (const host of hosts) {
+    if (!suffixes.some((sfx) => host.endsWith(sfx))) continue;
+    const addrs = await dohQuery(host, isV6 ? "AAAA" : "A", logBuffer);
+    if (addrs === null) {
+      unknown = true;
+      continue;
+    }
+    try {
+      const target = ipToBigInt(ip);
+      if (addrs.some((a) => isIpAddress(a) && ipToBigInt(a) === target)) return true;
+    } catch {}
+  }
+  return unknown ? null : false;
+}
+
+// 9-6) dohQuery(): DNS over HTTPS（JSON）で回答の data だけ返す
+// - 失敗（タイムアウト / 非2xx / 通信エラー / NOERROR・NXDOMAIN 以外の Status）は null（「一致しない」の [] と区別する）
+async function dohQuery(name, type, logBuffer) {
+  try {
+    const res = await fetch(`${DOH_ENDPOINT}?name=${encodeURIComponent(name)}&type=${type}`, {
+      headers: { accept: "application/dns-json" },
+      signal: AbortSignal.timeout(DOH_TIMEOUT_MS),
+    });
+    if (!res.ok) {
+      logBuffer.push(`[DOH_FAIL] ${type} ${name} HTTP ${res.status}`);
+      return null;
+    }
+    const body = await res.json();
+    if (body?.Status !== 0 && body?.Status !== 3) {
+      logBuffer.push(`[DOH_FAIL] ${type} ${name} DNS status ${body?.Status}`);
+      return null;
+    }
+    return (body?.Answer || []).map((a) => String(a.data || "")).filter(Boolean);
+  } catch (e) {
+    logBuffer.push(`[DOH_FAIL] ${type} ${name} ${String(e?.message || e)}`);
+    return null;
+  }
+}
+
+// 9-7) reverseDnsName(): PTR 用の名前（in-addr.arpa / ip6.arpa）
+function reverseDnsName(ip) {
+  if (!isIpAddress(ip)) return null;
+  if (!ip.includes(":")) return `${ip.split(".").reverse().join(".")}.in-addr.arpa`;
+  const hex = ipToBigInt(ip).toString(16).padStart(32, "0");
+  return `${hex.split("").reverse().join(".")}.ip6.arpa`;
+}
+
+/* -----------------------------------------------------------------
+ * 10) Utilities (admin, cookies, token, cidr)
+ * ----------------------------------------------------------------- */
+
+// 10-1) isAdminPath(): 管理用パス判定
+function isAdminPath(p) {
+  return p.startsWith("/admin/") || p.startsWith("/reset-state") || p.startsWith("/debug/");
+}
+
+// 10-2) parseCookieSafe(): Cookieを安全にパース
 function parseCookieSafe(req) {
   const header = req.headers.get("Cookie") || "";
   const map = Object.create(null);
@@ -811,11 +2121,16 @@ function constantTimeEqual(a, b) {
   return r === 0;
 }
 
-// 10-4) isAuthorizedAdmin(): admin_key cookie と env.ADMIN_KEY を比較
-function isAuthorizedAdmin(req, env) {
-  const c = parseCookieSafe(req);
-  const val = c["admin_key"];
-  return val ? constantTimeEqual(val, env.ADMIN_KEY) : false;
+// 10-4) isAuthorizedAdmin(): root（env.ADMIN_KEY）か名前付きキー（ADMIN_KEYS・スコープは問わない）の admin_key cookie / Bearer か
+// - 管理APIそのものの認証は 25) authenticateAdmin()（名前付きキー / スコープ）。ここは shadow ヘッダを見せるかだけ
+// - 外れても失敗回数は数えない（客のリクエストでロックアウトしない）。KV を読むのは資格情報があって root でないときだけ
+async function isAuthorizedAdmin(req, env) {
+  const val = adminCredential(req);
+  if (!val) return false;
+  if (typeof env.ADMIN_KEY === "string" && env.ADMIN_KEY && constantTimeEqual(val, env.ADMIN_KEY)) return true;
+  const hash = await sha256Hex(val);
+  const now = Date.now();
+  return (await readAdminKeys(env)).some((k) => constantTimeEqual(k.sha256, hash) && !(k.expiresAt && k.expiresAt <= now));
 }
 
 // 10-5) base64url(): URL-safe base64
@@ -833,24 +2148,76 @@ function generateToken(len = 32) {
 
 const PASS_NS = "PASS:";
 
-// 10-7) issueKvPassToken(): Turnstile通過用 ts_pass をKVへ発行
-async function issueKvPassToken(env, fingerprint, ttlSeconds = 600) {
-  const token = generateToken();
-  const value = JSON.stringify({ fp: fingerprint, iat: Date.now() });
-  await env.BOT_BLOCKER_KV.put(PASS_NS + token, value, { expirationTtl: ttlSeconds });
-  return `ts_pass=${token}; Max-Age=${ttlSeconds}; Path=/; HttpOnly; Secure; SameSite=Lax`;
+// ts_pass（署名付き・KV不要）
+// - 形式: v1.<kid>.<payload(base64url JSON)>.<HMAC-SHA256(base64url)>
+// - payload: { fp, ipp（IPv4 は /24、IPv6 は ipAggregation.ipv6Prefix）, iat, exp, jti }（秒）
+// - 署名鍵: TURNSTILE_HMAC_SECRET。ローテーション中だけ旧鍵を TURNSTILE_HMAC_SECRET_PREV に置く（検証のみ）
+// - 失効: PASS_REVOCATIONS（KV）を ts_pass 付きリクエストが来たときだけ読む（30秒キャッシュ）
+const PASS_TOKEN_VERSION = "v1";
+const PASS_TOKEN_TTL_SEC = 10 * 60;
+const PASS_REVOCATIONS_KEY = "PASS_REVOCATIONS"; // { revokeBefore(ms), jtis: { <jti>: exp(秒) } }
+const PASS_REVOCATIONS_REFRESH_MS = 30_000;
+
+// 10-7) issuePassToken(): Turnstile通過用 ts_pass を発行（HMAC署名。シークレット未設定なら旧KV方式）
+async function issuePassToken(env, fingerprint, ip, config, logBuffer) {
+  const keys = await getPassTokenKeys(env);
+  if (keys.length === 0) {
+    logBuffer.push("[PASS] TURNSTILE_HMAC_SECRET is not set. Falling back to KV pass token.");
+    return await issueKvPassToken(env, fingerprint, PASS_TOKEN_TTL_SEC);
+  }
+
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = {
+    fp: String(fingerprint || ""),
+    ipp: passTokenIpScope(ip || "", resolveIpAggregation(config)),
+    iat,
+    exp: iat + PASS_TOKEN_TTL_SEC,
+    jti: generateToken(12),
+  };
+  const { kid, key } = keys[0];
+  const body = `${PASS_TOKEN_VERSION}.${kid}.${base64url(new TextEncoder().encode(JSON.stringify(payload)))}`;
+  const sig = new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(body)));
+  return `ts_pass=${body}.${base64url(sig)}; Max-Age=${PASS_TOKEN_TTL_SEC}; Path=/; HttpOnly; Secure; SameSite=Lax`;
 }
 
-// 10-8) checkKvPassToken(): ts_pass を検証
-async function checkKvPassToken(env, token, fingerprint) {
+// 10-8) checkPassToken(): ts_pass を検証（署名 → 期限 → FP / IPスコープ → 失効）
+// - v1 でないトークンはデプロイ前に発行された KV 方式として扱う（TTL 10分で自然に消える）
+async function checkPassToken(env, token, fingerprint, ip, config, logBuffer) {
   if (!token) return false;
-  const raw = await env.BOT_BLOCKER_KV.get(PASS_NS + token, { cacheTtl: 60 });
-  if (!raw) return false;
+  if (!token.startsWith(`${PASS_TOKEN_VERSION}.`)) return await checkKvPassToken(env, token, fingerprint);
+
+  const parts = token.split(".");
+  if (parts.length !== 4) return false;
+  const [, kid, payloadB64, sigB64] = parts;
+
+  const entry = (await getPassTokenKeys(env)).find((k) => k.kid === kid);
+  if (!entry) return false;
+
+  let payload;
   try {
-    const data = JSON.parse(raw);
-    if (data?.fp === fingerprint) return true;
-  } catch {}
-  return false;
+    const ok = await crypto.subtle.verify(
+      "HMAC",
+      entry.key,
+      base64urlDecode(sigB64),
+      new TextEncoder().encode(`${PASS_TOKEN_VERSION}.${kid}.${payloadB64}`)
+    );
+    if (!ok) return false;
+    payload = JSON.parse(new TextDecoder().decode(base64urlDecode(payloadB64)));
+  } catch {
+    return false;
+  }
+
+  const nowSec = Math.floor(Date.now() / 1000);
+  if (typeof payload?.exp !== "number" || payload.exp <= nowSec) return false;
+  if (payload.fp !== fingerprint) return false;
+  if (payload.ipp !== passTokenIpScope(ip, resolveIpAggregation(config))) return false;
+
+  const revoked = await getPassRevocations(env, logBuffer);
+  if (payload.iat * 1000 < revoked.revokeBefore || revoked.jtis[payload.jti]) {
+    logBuffer.push(`[PASS] Revoked pass token jti=${payload.jti}`);
+    return false;
+  }
+  return true;
 }
 
 // 10-9) ipToBigInt(): IPv4/IPv6をBigIntへ
@@ -893,3 +2260,3805 @@ function ipInCidr(ip, cidr, logBuffer) {
     return false;
   }
 }
+
+// 10-11) jsonResponse(): 管理API用のJSONレスポンス（キャッシュ・インデックスさせない）
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "no-store",
+      "X-Robots-Tag": "noindex, nofollow, noarchive",
+    },
+  });
+}
+
+// 10-12) isIpAddress(): IPv4/IPv6 の形をしているか（厳密な検証ではなくキー判別用）
+function isIpAddress(v) {
+  const str = String(v || "");
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(str)) return str.split(".").every((o) => Number(o) <= 255);
+  return str.includes(":") && str.length <= 39 && /^[0-9a-f:]+$/i.test(str);
+}
+
+// 10-13) bigIntToIp(): ipToBigInt() の逆（IPv6 は最長の0連続を :: に圧縮）
+function bigIntToIp(n, isV6) {
+  if (!isV6) {
+    return [24n, 16n, 8n, 0n].map((sh) => String((n >> sh) & 0xffn)).join(".");
+  }
+
+  const groups = [];
+  for (let i = 7; i >= 0; i--) groups.push(((n >> BigInt(i * 16)) & 0xffffn).toString(16));
+
+  let bestStart = -1, bestLen = 0;
+  for (let i = 0; i < 8; ) {
+    if (groups[i] !== "0") { i++; continue; }
+    let j = i;
+    while (j < 8 && groups[j] === "0") j++;
+    if (j - i > bestLen && j - i >= 2) { bestStart = i; bestLen = j - i; }
+    i = j;
+  }
+  if (bestStart < 0) return groups.join(":");
+  const head = groups.slice(0, bestStart).join(":");
+  const tail = groups.slice(bestStart + bestLen).join(":");
+  return `${head}::${tail}`;
+}
+
+// 10-14) ipPrefixKey(): IP をプレフィックスのネットワークアドレスにして "<addr>/<len>" を返す
+function ipPrefixKey(ip, prefix) {
+  const isV6 = ip.includes(":");
+  const totalBits = isV6 ? 128 : 32;
+  const mask = ((1n << BigInt(prefix)) - 1n) << BigInt(totalBits - prefix);
+  return `${bigIntToIp(ipToBigInt(ip) & mask, isV6)}/${prefix}`;
+}
+
+// 10-15) ipBlockKey(): ブロック / レート制限 / 違反カウンタに使う IP 側のキー
+// - IPv6: ipAggregation.ipv6Prefix（既定 /64）のプレフィックス、IPv4: そのままのIP
+function ipBlockKey(ip, ipAgg) {
+  if (!isIpAddress(ip) || !ip.includes(":")) return ip;
+  try {
+    return ipPrefixKey(ip, ipAgg.ipv6Prefix);
+  } catch {
+    return ip;
+  }
+}
+
+// 10-16) ipBlockLookupKeys(): ブロック判定で見るキー（プレフィックス / 旧形式の単一IP / IPv4 /24）
+function ipBlockLookupKeys(ip, ipAgg) {
+  const keys = [ipBlockKey(ip, ipAgg)];
+  if (keys[0] !== ip) keys.push(ip); // 以前に単一IPで書かれたIPv6ブロック
+  if (ipAgg.ipv4Range24.enabled && isIpAddress(ip) && !ip.includes(":")) keys.push(ipPrefixKey(ip, 24));
+  return keys;
+}
+
+// 10-17) base64urlDecode(): base64url → Uint8Array
+function base64urlDecode(s) {
+  const b64 = s.replace(/-/g, "+").replace(/_/g, "/") + "=".repeat((4 - (s.length % 4)) % 4);
+  return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+}
+
+// 10-18) getPassTokenKeys(): ts_pass の署名鍵（先頭 = 署名に使う現行鍵、以降は検証のみ）
+// - kid は鍵から導出する（ローテーションで現行鍵を _PREV に移しても同じ kid のまま検証できる）
+async function getPassTokenKeys(env) {
+  const secrets = [env.TURNSTILE_HMAC_SECRET, env.TURNSTILE_HMAC_SECRET_PREV].filter((v) => typeof v === "string" && v);
+  const source = secrets.join("\n");
+  if (passTokenKeysCache && passTokenKeysCache.source === source) return passTokenKeysCache.keys;
+
+  const keys = await importHmacKeys(secrets, "ts_pass-kid");
+  passTokenKeysCache = { source, keys };
+  return keys;
+}
+
+// 10-19) passTokenIpScope(): ts_pass を縛るIPの範囲（IPv4 は /24、IPv6 は ipBlockKey と同じプレフィックス）
+// - モバイル回線などで同じ範囲内のIPが変わっても、解き直しにならないように
+function passTokenIpScope(ip, ipAgg) {
+  if (!isIpAddress(ip)) return ip;
+  try {
+    return ip.includes(":") ? ipBlockKey(ip, ipAgg) : ipPrefixKey(ip, 24);
+  } catch {
+    return ip;
+  }
+}
+
+// 10-20) getPassRevocations(): PASS_REVOCATIONS を読む（30秒ごと / 無ければ空）
+async function getPassRevocations(env, logBuffer) {
+  const now = Date.now();
+  if (passRevocationsCache && now - passRevocationsLastRead < PASS_REVOCATIONS_REFRESH_MS) return passRevocationsCache;
+  passRevocationsLastRead = now;
+
+  let raw = null;
+  try {
+    raw = await env.BOT_BLOCKER_KV.get(PASS_REVOCATIONS_KEY, { type: "json", cacheTtl: 30 });
+  } catch (e) {
+    logBuffer.push(`[PASS] Failed to read ${PASS_REVOCATIONS_KEY}: ${e.message}`);
+  }
+  passRevocationsCache = {
+    revokeBefore: typeof raw?.revokeBefore === "number" ? raw.revokeBefore : 0,
+    jtis: raw?.jtis && typeof raw.jtis === "object" ? raw.jtis : {},
+  };
+  return passRevocationsCache;
+}
+
+// 10-21) issueKvPassToken(): 旧方式（KVへ PASS:<token> を書く）。署名鍵が無いときだけ使う
+async function issueKvPassToken(env, fingerprint, ttlSeconds = 600) {
+  const token = generateToken();
+  const value = JSON.stringify({ fp: fingerprint, iat: Date.now() });
+  await env.BOT_BLOCKER_KV.put(PASS_NS + token, value, { expirationTtl: ttlSeconds });
+  return `ts_pass=${token}; Max-Age=${ttlSeconds}; Path=/; HttpOnly; Secure; SameSite=Lax`;
+}
+
+// 10-22) checkKvPassToken(): 旧方式の ts_pass を検証
+async function checkKvPassToken(env, token, fingerprint) {
+  if (!token) return false;
+  const raw = await env.BOT_BLOCKER_KV.get(PASS_NS + token, { cacheTtl: 60 });
+  if (!raw) return false;
+  try {
+    const data = JSON.parse(raw);
+    if (data?.fp === fingerprint) return true;
+  } catch {}
+  return false;
+}
+
+// 10-23) escapeHtml(): HTMLへ埋め込む文字列のエスケープ
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// 10-24) newIncidentId(): お問い合わせID（電話 / メールで読み上げやすいように紛らわしい文字を除く）
+function newIncidentId() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const buf = new Uint8Array(10);
+  crypto.getRandomValues(buf);
+  const d = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  return `BB-${d}-${Array.from(buf, (b) => alphabet[b % alphabet.length]).join("")}`;
+}
+
+// 10-25) sha256Hex(): 文字列の SHA-256（hex 小文字）。設定に平文の鍵を置かないための照合用
+async function sha256Hex(text) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)));
+  return Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// 10-26) hmacSha256Hex(): HMAC-SHA256（hex 小文字）。外部通知の署名（23) 参照）
+async function hmacSha256Hex(secret, text) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const sig = new Uint8Array(await crypto.subtle.sign("HMAC", key, enc.encode(text)));
+  return Array.from(sig, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// 10-27) importHmacKeys(): 署名鍵の一覧を CryptoKey に（kid は鍵と用途ラベルから導出 / ts_pass・素通しパスで共通）
+async function importHmacKeys(secrets, kidLabel) {
+  const enc = new TextEncoder();
+  const keys = [];
+  for (const secret of secrets) {
+    const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, [
+      "sign",
+      "verify",
+    ]);
+    const kidBytes = new Uint8Array(await crypto.subtle.sign("HMAC", key, enc.encode(kidLabel)));
+    keys.push({ kid: base64url(kidBytes.slice(0, 6)), key });
+  }
+  return keys;
+}
+
+/* -----------------------------------------------------------------
+ * 11) Admin API (block state / lists)
+ * ----------------------------------------------------------------- */
+
+// 管理APIから参照・リセットできるKVキー
+// - WORKER_CONFIG は入れない（消すと版の履歴 / last known-good と食い違う。戻すのは /admin/config/rollback）
+const ADMIN_LISTS = [
+  "ACTIVE_BAD_BOT_LIST",
+  "LEARNED_BAD_BOTS",
+  "LEARNED_BAD_BOTS_META",
+  "LEARNED_REJECTS",
+  "PATH_RULES",
+  PASS_REVOCATIONS_KEY,
+  CHALLENGE_PAGE_KEY,
+];
+
+// ブロック一覧: 1回でKVを走査するキー数 / metadataが無い旧エントリを個別getする上限
+const ADMIN_LIST_SCAN_LIMIT = 1000;
+const ADMIN_LIST_LEGACY_GET_MAX = 50;
+
+// 11-1) handleAdminRequest(): 管理APIのルーティング（25-1) handleAdminEntry で認証・スコープ確認済み前提）
+async function handleAdminRequest(request, env, logBuffer, principal) {
+  const url = new URL(request.url);
+  const method = request.method;
+  const parts = adminPathParts(url);
+
+  // /admin/blocks, /admin/blocks/<ip | FP-xxxxxxxx>
+  if (parts[0] === "admin" && parts[1] === "blocks") {
+    if (parts.length === 2 && method === "GET") return await adminListBlocks(env, url);
+    if (parts.length === 3) {
+      const key = parts[2];
+      if (!isBlockKey(key)) return jsonResponse({ error: "invalid key (expected IP or FP-<fingerprint>)" }, 400);
+      if (method === "GET") return await adminGetBlock(env, key);
+      if (method === "PUT" || method === "POST") return await adminPutBlock(request, env, key, logBuffer);
+      if (method === "DELETE") return await adminDeleteBlock(env, key, logBuffer);
+    }
+    return jsonResponse({ error: "method not allowed" }, 405);
+  }
+
+  // /admin/lists/<NAME>
+  if (parts[0] === "admin" && parts[1] === "lists" && parts.length === 3) {
+    const name = parts[2];
+    if (!ADMIN_LISTS.includes(name)) return jsonResponse({ error: `unknown list: ${name}` }, 404);
+    if (method === "GET") {
+      // JSON でない値（wrangler で手で put した値 / 壊れた値）でも 500 にせず、そのまま返す
+      const raw = await env.BOT_BLOCKER_KV.get(name);
+      if (raw === null) return jsonResponse({ name, value: null });
+      try {
+        return jsonResponse({ name, value: JSON.parse(raw) });
+      } catch (e) {
+        return jsonResponse({ name, value: raw, error: `invalid JSON (${e.message})` });
+      }
+    }
+    if (method === "DELETE") return await adminResetList(env, name, logBuffer);
+    return jsonResponse({ error: "method not allowed" }, 405);
+  }
+
+  // /admin/pass/revoke : ts_pass の失効（{ "jti": "..." } で1件 / { "all": true } でそれまでに発行した全部）
+  if (parts[0] === "admin" && parts[1] === "pass" && parts[2] === "revoke" && parts.length === 3) {
+    if (method !== "POST") return jsonResponse({ error: "method not allowed" }, 405);
+    return await adminRevokePassTokens(request, env, logBuffer);
+  }
+
+  // /admin/learning : 学習候補と学習済みパターン（17) 参照）
+  // - GET 一覧 / POST approve { token } で昇格 / POST reject { token } で却下（学習済みからも外す・以後は候補にしない）
+  if (parts[0] === "admin" && parts[1] === "learning") {
+    if (parts.length === 2 && method === "GET") return await adminListLearning(env, url);
+    if (parts.length === 3 && method === "POST" && parts[2] === "approve") return await adminApproveLearning(request, env, logBuffer);
+    if (parts.length === 3 && method === "POST" && parts[2] === "reject") return await adminRejectLearning(request, env, logBuffer);
+    return jsonResponse({ error: "not found" }, 404);
+  }
+
+  // /admin/list-versions/<SYSTEM_BAD_BOT_LIST | BOT_CIDRS | ASN_BLOCKLIST> : 取り込んだ版の履歴（19) 参照）
+  // - POST .../rollback { version } で戻す / POST /admin/list-versions/sync { force } で今すぐ同期
+  if (parts[0] === "admin" && parts[1] === "list-versions") {
+    if (parts.length === 3 && parts[2] === "sync" && method === "POST") return await adminSyncLists(request, env, logBuffer);
+    const name = parts[2];
+    if (!SYNCED_LISTS.includes(name)) return jsonResponse({ error: `unknown list: ${name}` }, 404);
+    if (parts.length === 3 && method === "GET") return await adminListVersions(env, name);
+    if (parts.length === 4 && parts[3] === "rollback" && method === "POST") return await adminRollbackList(request, env, name, logBuffer);
+    return jsonResponse({ error: "method not allowed" }, 405);
+  }
+
+  // /admin/config : WORKER_CONFIG の参照 / 検証してから投入 / 版の履歴とロールバック（20) 参照）
+  // - PUT（POST も可）で投入、POST /admin/config/validate で検証だけ、POST /admin/config/rollback { id | version } で戻す
+  if (parts[0] === "admin" && parts[1] === "config") {
+    if (parts.length === 2 && method === "GET") return await adminGetConfig(env);
+    if (parts.length === 2 && (method === "PUT" || method === "POST")) return await adminPutConfig(request, env, logBuffer, principal);
+    if (parts.length === 3 && parts[2] === "validate" && method === "POST") return await adminValidateConfig(request);
+    if (parts.length === 3 && parts[2] === "rollback" && method === "POST") return await adminRollbackConfig(request, env, logBuffer, principal);
+    return jsonResponse({ error: "method not allowed" }, 405);
+  }
+
+  // /admin/permanent-blocks : permanent-block 記録の検索（?from=&to=&ip=&fp=&reason=&limit=&format=json|csv / 22) 参照）
+  if (parts[0] === "admin" && parts[1] === "permanent-blocks" && parts.length === 2) {
+    if (method !== "GET") return jsonResponse({ error: "method not allowed" }, 405);
+    return await adminQueryPermanentBlocks(env, url);
+  }
+
+  // /admin/metrics : 判定の件数 / レイテンシ / リストの件数（Prometheus テキスト、?format=json で JSON / 21) 参照）
+  if (parts[0] === "admin" && parts[1] === "metrics" && parts.length === 2) {
+    if (method !== "GET") return jsonResponse({ error: "method not allowed" }, 405);
+    return await adminMetrics(env, url, logBuffer);
+  }
+
+  // /admin/bypass : スタッフ / 取引先の素通し（24) 参照）
+  // - GET 一覧 / POST entries { type, value, identity, paths?, ttlSec? } / DELETE entries/<id>
+  // - POST passes { identity, paths?, ttlSec? } で署名付きパスを発行 / DELETE passes/<jti> で失効
+  if (parts[0] === "admin" && parts[1] === "bypass") {
+    if (parts.length === 2 && method === "GET") return await adminListBypass(env);
+    if (parts[2] === "entries" && parts.length === 3 && method === "POST") return await adminAddBypassEntry(request, env, logBuffer);
+    if (parts[2] === "entries" && parts.length === 4 && method === "DELETE") return await adminDeleteBypassEntry(env, parts[3], logBuffer);
+    if (parts[2] === "passes" && parts.length === 3 && method === "POST") return await adminIssueBypassPass(request, env, logBuffer);
+    if (parts[2] === "passes" && parts.length === 4 && method === "DELETE") return await adminRevokeBypassPass(env, parts[3], logBuffer);
+    return jsonResponse({ error: "not found" }, 404);
+  }
+
+  // /admin/keys : 名前付きの管理キー（root = env.ADMIN_KEY のみ / 25) 参照）
+  // - GET 一覧 / POST { name, scopes, ttlSec?, sha256? } で発行 / DELETE /admin/keys/<id | name>
+  if (parts[0] === "admin" && parts[1] === "keys") {
+    if (parts.length === 2 && method === "GET") return await adminListKeys(env);
+    if (parts.length === 2 && method === "POST") return await adminCreateKey(request, env, logBuffer);
+    if (parts.length === 3 && method === "DELETE") return await adminDeleteKey(env, parts[2], logBuffer);
+    return jsonResponse({ error: "method not allowed" }, 405);
+  }
+
+  // /admin/audit : 変更系の管理操作の監査ログ（?date=YYYY-MM-DD&actor=&limit= / 25) 参照）
+  if (parts[0] === "admin" && parts[1] === "audit" && parts.length === 2) {
+    if (method !== "GET") return jsonResponse({ error: "method not allowed" }, 405);
+    return await adminQueryAudit(env, url);
+  }
+
+  // /reset-state?ip=...&fp=... : IP / FP のブロック状態をまとめて解除
+  if (parts[0] === "reset-state") {
+    if (method !== "POST" && method !== "DELETE") return jsonResponse({ error: "method not allowed" }, 405);
+    const keys = stateKeysFromQuery(url, await getWorkerConfig(env, logBuffer));
+    if (keys.length === 0) return jsonResponse({ error: "ip or fp is required" }, 400);
+    const results = [];
+    for (const key of keys) results.push(await deleteBlockKey(env, key, logBuffer));
+    await bumpCacheEpoch(env);
+    return jsonResponse({ reset: results });
+  }
+
+  // /debug/state?ip=...&fp=... : 現在の状態をKVから直接読む（キャッシュを通さない）
+  if (parts[0] === "debug" && parts[1] === "state") {
+    const keys = stateKeysFromQuery(url, await getWorkerConfig(env, logBuffer));
+    if (keys.length === 0) return jsonResponse({ error: "ip or fp is required" }, 400);
+    const state = {};
+    for (const key of keys) {
+      const { value, metadata } = await env.BOT_BLOCKER_KV.getWithMetadata(key);
+      const counterKey = key.startsWith("FP-") ? VIOLATIONFP_NS + key.slice(3) : VIOLATION_NS + key;
+      const violations = await env.BOT_BLOCKER_KV.get(counterKey, { type: "json" });
+      state[key] = { status: value || null, metadata: metadata || null, violations: violations || null };
+    }
+    const fp = url.searchParams.get("fp");
+    if (fp) state.jsExecuted = (await env.BOT_BLOCKER_KV.get(FPJS_NS + fp)) === "1";
+    return jsonResponse(state);
+  }
+
+  return jsonResponse({ error: "not found" }, 404);
+}
+
+// 11-2) adminListBlocks(): KVを走査してブロック中のIP/FPを返す
+// - ?prefix=FP- でFPだけ、?cursor= で続きから、?incident=BB-... で客が伝えてきたIDのブロックだけ
+// - IPキーはprefixが無いので、走査したキーのうちブロックキーの形をしたものだけ返す
+async function adminListBlocks(env, url) {
+  const prefix = url.searchParams.get("prefix") || undefined;
+  const cursor = url.searchParams.get("cursor") || undefined;
+  const incident = url.searchParams.get("incident") || null;
+  const listed = await env.BOT_BLOCKER_KV.list({ prefix, cursor, limit: ADMIN_LIST_SCAN_LIMIT });
+
+  const blocks = [];
+  let legacyGets = 0;
+  for (const k of listed.keys) {
+    if (!isBlockKey(k.name)) continue;
+    if (incident && k.metadata?.incident !== incident) continue;
+
+    let status = k.metadata?.status;
+    if (!status && legacyGets < ADMIN_LIST_LEGACY_GET_MAX) {
+      legacyGets++;
+      status = await env.BOT_BLOCKER_KV.get(k.name);
+    }
+    if (status && !BLOCK_STATUSES.includes(status)) continue;
+
+    blocks.push({
+      key: k.name,
+      status: status || "unknown",
+      reason: k.metadata?.reason ?? null,
+      incident: k.metadata?.incident ?? null,
+      at: k.metadata?.at ?? null,
+      expiration: k.expiration ?? null,
+    });
+  }
+
+  return jsonResponse({
+    blocks,
+    cursor: listed.list_complete ? null : listed.cursor,
+    complete: !!listed.list_complete,
+  });
+}
+
+// 11-3) adminGetBlock(): 1キー分の状態（KV直読み）
+async function adminGetBlock(env, key) {
+  const { value, metadata } = await env.BOT_BLOCKER_KV.getWithMetadata(key);
+  if (!value) return jsonResponse({ key, status: null }, 404);
+  return jsonResponse({ key, status: value, metadata: metadata || null });
+}
+
+// 11-4) adminPutBlock(): ブロックの追加/変更  body: { status, ttl?, reason? }
+async function adminPutBlock(request, env, key, logBuffer) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "bad json" }, 400);
+  }
+
+  const status = body?.status;
+  if (!BLOCK_STATUSES.includes(status)) {
+    return jsonResponse({ error: `status must be one of ${BLOCK_STATUSES.join(", ")}` }, 400);
+  }
+
+  // 既定TTLは昇格ラダーの同じ段階に合わせる ※permanent-block は無期限
+  const esc = resolveEscalationConfig(await getWorkerConfig(env, logBuffer));
+  const step = esc.ladder.find((st) => st.status === status) || DEFAULT_ESCALATION.ladder.find((st) => st.status === status);
+  let ttl = step.ttl;
+  if (status !== "permanent-block" && typeof body.ttl === "number") {
+    ttl = Math.max(Math.floor(body.ttl), KV_MIN_EXP_TTL_SEC);
+  }
+
+  const metadata = { status, reason: String(body.reason || "admin").slice(0, 200), at: Date.now() };
+  const opts = { metadata };
+  if (typeof ttl === "number") opts.expirationTtl = ttl;
+
+  await env.BOT_BLOCKER_KV.put(key, status, opts);
+  await invalidateBlockStatus(key);
+  await bumpCacheEpoch(env);
+
+  logBuffer.push(`[ADMIN] block set key=${key} status=${status} ttl=${ttl ?? "none"}`);
+  return jsonResponse({ key, status, ttl: ttl ?? null, metadata });
+}
+
+// 11-5) adminDeleteBlock(): ブロック解除
+async function adminDeleteBlock(env, key, logBuffer) {
+  const result = await deleteBlockKey(env, key, logBuffer);
+  await bumpCacheEpoch(env);
+  return jsonResponse(result);
+}
+
+// 11-6) deleteBlockKey(): KVから削除し、手元のキャッシュも捨てる
+async function deleteBlockKey(env, key, logBuffer) {
+  const previous = await env.BOT_BLOCKER_KV.get(key);
+  await env.BOT_BLOCKER_KV.delete(key);
+  // 違反カウンタも消す（解除直後の誤検知で上の段階から再開しないように）
+  if (key.startsWith("FP-")) {
+    await env.BOT_BLOCKER_KV.delete(`FP-HIGH-COUNT-${key.slice(3)}`);
+    await env.BOT_BLOCKER_KV.delete(VIOLATIONFP_NS + key.slice(3));
+  } else {
+    await env.BOT_BLOCKER_KV.delete(VIOLATION_NS + key);
+  }
+  await invalidateBlockStatus(key);
+
+  logBuffer.push(`[ADMIN] block removed key=${key} previous=${previous || "none"}`);
+  return { key, previous: previous || null };
+}
+
+// 11-7) adminResetList(): リスト/設定をKVから消し、このisolateのキャッシュも捨てる
+async function adminResetList(env, name, logBuffer) {
+  await env.BOT_BLOCKER_KV.delete(name);
+
+  if (name === "ACTIVE_BAD_BOT_LIST" || name === "LEARNED_BAD_BOTS") invalidateUaMatchers(name);
+  if (name === "PATH_RULES") pathRulesLastRead = 0;
+  if (name === PASS_REVOCATIONS_KEY) passRevocationsLastRead = 0;
+  if (name === CHALLENGE_PAGE_KEY) challengePageLastRead = 0;
+  await bumpCacheEpoch(env);
+
+  logBuffer.push(`[ADMIN] list reset name=${name}`);
+  return jsonResponse({ name, reset: true });
+}
+
+// 11-8) isBlockKey(): ブロック状態のKVキー（<ip> / <prefix>/<len> / FP-<fingerprint>）か
+function isBlockKey(key) {
+  if (/^FP-[0-9a-f]{8}$/.test(key) || isIpAddress(key)) return true;
+  const [base, len, extra] = String(key).split("/");
+  return extra === undefined && isIpAddress(base) && /^\d{1,3}$/.test(len || "");
+}
+
+// 11-9) stateKeysFromQuery(): ?ip= / ?fp= からKVキーを作る
+// - IPは「そのIP」と「実際にブロックを書くキー（IPv6プレフィックス / IPv4 /24）」の両方
+function stateKeysFromQuery(url, config) {
+  const keys = [];
+  const ip = url.searchParams.get("ip");
+  const fp = url.searchParams.get("fp");
+  if (ip && isIpAddress(ip)) keys.push(...ipBlockLookupKeys(ip, resolveIpAggregation(config)));
+  if (fp && /^[0-9a-f]{8}$/.test(fp)) keys.push(`FP-${fp}`);
+  return keys;
+}
+
+// 11-10) adminRevokePassTokens(): PASS_REVOCATIONS を更新して各isolateへ反映（期限切れの jti は掃除）
+async function adminRevokePassTokens(request, env, logBuffer) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "invalid JSON body" }, 400);
+  }
+  const jti = typeof body?.jti === "string" ? body.jti.trim() : "";
+  if (!jti && body?.all !== true) return jsonResponse({ error: "jti or all:true is required" }, 400);
+
+  const current = (await env.BOT_BLOCKER_KV.get(PASS_REVOCATIONS_KEY, { type: "json" })) || {};
+  const nowSec = Math.floor(Date.now() / 1000);
+  const jtis = {};
+  for (const [k, exp] of Object.entries(current.jtis || {})) {
+    if (typeof exp === "number" && exp > nowSec) jtis[k] = exp;
+  }
+  // 発行済みトークンは最長でも PASS_TOKEN_TTL_SEC で切れるので、それ以上は覚えておかない
+  if (jti) jtis[jti] = nowSec + PASS_TOKEN_TTL_SEC;
+  const revokeBefore = body?.all === true ? Date.now() : current.revokeBefore || 0;
+
+  await env.BOT_BLOCKER_KV.put(PASS_REVOCATIONS_KEY, JSON.stringify({ revokeBefore, jtis }));
+  passRevocationsLastRead = 0;
+  await bumpCacheEpoch(env);
+
+  logBuffer.push(`[ADMIN] pass token revoked ${jti ? `jti=${jti}` : "all"}`);
+  return jsonResponse({ revokeBefore, revoked: Object.keys(jtis).length });
+}
+
+// 11-11) adminListLearning(): 学習候補（LC:）と学習済みパターン（meta 付き）・却下リスト
+// - 候補は hits の多い順。?cursor= で KV 走査の続きから
+async function adminListLearning(env, url) {
+  const cursor = url.searchParams.get("cursor") || undefined;
+  const listed = await env.BOT_BLOCKER_KV.list({ prefix: LEARN_CANDIDATE_NS, cursor, limit: ADMIN_LIST_LEGACY_GET_MAX });
+  const candidates = [];
+  for (const k of listed.keys) {
+    const cand = await env.BOT_BLOCKER_KV.get(k.name, { type: "json" });
+    if (cand) candidates.push(cand);
+  }
+  candidates.sort((a, b) => b.hits - a.hits);
+
+  const [learned, meta, rejected] = await Promise.all([
+    env.BOT_BLOCKER_KV.get(LEARNED_BAD_BOTS_KEY, { type: "json" }),
+    env.BOT_BLOCKER_KV.get(LEARNED_META_KEY, { type: "json" }),
+    env.BOT_BLOCKER_KV.get(LEARNED_REJECTS_KEY, { type: "json" }),
+  ]);
+  return jsonResponse({
+    candidates,
+    learned: (Array.isArray(learned) ? learned : []).map((pattern) => ({ pattern, ...(meta?.[pattern] || {}) })),
+    rejected: Array.isArray(rejected) ? rejected : [],
+    cursor: listed.list_complete ? null : listed.cursor,
+  });
+}
+
+// 11-12) adminApproveLearning(): 候補（無ければ token から作る）を LEARNED_BAD_BOTS に昇格
+async function adminApproveLearning(request, env, logBuffer) {
+  const token = await learningTokenFromBody(request);
+  if (!token) return jsonResponse({ error: "token is required" }, 400);
+
+  const id = token.toLowerCase();
+  const key = LEARN_CANDIDATE_NS + id;
+  const learning = resolveLearningConfig(await getWorkerConfig(env, logBuffer));
+  const cand = (await env.BOT_BLOCKER_KV.get(key, { type: "json" })) || {
+    token,
+    pattern: escapeRegExp(token),
+    hits: 0,
+    ips: [],
+    sources: {},
+    firstSeen: Date.now(),
+    lastSeen: Date.now(),
+    examples: [],
+  };
+  cand.promoted = true;
+  await promoteLearnedPattern(env, cand, "admin", learning, logBuffer);
+  await env.BOT_BLOCKER_KV.put(key, JSON.stringify(cand), { expirationTtl: learning.candidateTtlSec });
+
+  // 以前に却下していたなら戻す
+  const rejects = (await env.BOT_BLOCKER_KV.get(LEARNED_REJECTS_KEY, { type: "json" })) || [];
+  if (Array.isArray(rejects) && rejects.includes(id)) {
+    await env.BOT_BLOCKER_KV.put(LEARNED_REJECTS_KEY, JSON.stringify(rejects.filter((t) => t !== id)));
+  }
+
+  logBuffer.push(`[ADMIN] learning approved token=${token}`);
+  return jsonResponse({ approved: cand.pattern });
+}
+
+// 11-13) adminRejectLearning(): 誤検知として却下（学習済みから外し、候補を消し、以後は数えない）
+async function adminRejectLearning(request, env, logBuffer) {
+  const token = await learningTokenFromBody(request);
+  if (!token) return jsonResponse({ error: "token is required" }, 400);
+
+  const id = token.toLowerCase();
+  const pattern = escapeRegExp(token);
+  const removed = await removeLearnedPatterns(
+    env,
+    (p, m) => p.toLowerCase() === pattern.toLowerCase() || String(m?.token || "").toLowerCase() === id,
+    logBuffer
+  );
+
+  const rejects = (await env.BOT_BLOCKER_KV.get(LEARNED_REJECTS_KEY, { type: "json" })) || [];
+  const next = Array.isArray(rejects) ? rejects : [];
+  if (!next.includes(id)) next.push(id);
+  await env.BOT_BLOCKER_KV.put(LEARNED_REJECTS_KEY, JSON.stringify(next));
+  await env.BOT_BLOCKER_KV.delete(LEARN_CANDIDATE_NS + id);
+
+  logBuffer.push(`[ADMIN] learning rejected token=${token} removed=${removed.length}`);
+  return jsonResponse({ rejected: id, removed });
+}
+
+// 11-14) learningTokenFromBody(): { "token": "python-requests" } を読む（無ければ null）
+async function learningTokenFromBody(request) {
+  try {
+    const body = await request.json();
+    const token = typeof body?.token === "string" ? body.token.trim() : "";
+    return token && token.length <= 100 ? token : null;
+  } catch {
+    return null;
+  }
+}
+
+// 11-15) adminListVersions(): LIST_VERSIONS:<name> と、KV に今載っている版（metadata.version）
+async function adminListVersions(env, name) {
+  const [idx, live] = await Promise.all([
+    env.BOT_BLOCKER_KV.get(LIST_VERSIONS_NS + name, { type: "json" }),
+    env.BOT_BLOCKER_KV.getWithMetadata(name),
+  ]);
+  return jsonResponse({
+    name,
+    live: live.metadata?.version ?? null,
+    current: idx?.current ?? null,
+    history: Array.isArray(idx?.history) ? idx.history : [],
+  });
+}
+
+// 11-16) adminRollbackList(): { "version": "20250818T023000000Z" } の版に戻す
+async function adminRollbackList(request, env, name, logBuffer) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "invalid JSON body" }, 400);
+  }
+  const version = typeof body?.version === "string" ? body.version.trim() : "";
+  if (!/^\d{8}T\d{9}Z$/.test(version)) return jsonResponse({ error: "version is required" }, 400);
+
+  const saved = await rollbackListVersion(env, name, version, logBuffer);
+  if (!saved) return jsonResponse({ error: `version not found: ${version}` }, 404);
+  logBuffer.push(`[ADMIN] list rollback name=${name} version=${version}`);
+  return jsonResponse({ name, version, count: saved.count ?? null });
+}
+
+// 11-17) adminSyncLists(): cron を待たずに同期（{ "force": true } で減少チェックを飛ばす）
+async function adminSyncLists(request, env, logBuffer) {
+  let body = {};
+  try {
+    body = (await request.json()) || {};
+  } catch {}
+  const results = await syncLists(env, logBuffer, { force: body.force === true });
+  logBuffer.push(`[ADMIN] list sync force=${body.force === true}`);
+  return jsonResponse(results);
+}
+
+// 11-18) adminGetConfig(): KV に今ある WORKER_CONFIG（と検証結果）/ このisolateで使っている版 / 履歴
+async function adminGetConfig(env) {
+  const [raw, idx] = await Promise.all([
+    env.BOT_BLOCKER_KV.get("WORKER_CONFIG"),
+    env.BOT_BLOCKER_KV.get(CONFIG_VERSIONS_KEY, { type: "json" }),
+  ]);
+  let live = null;
+  let errors = [];
+  try {
+    live = raw === null ? {} : JSON.parse(raw);
+    errors = validateWorkerConfig(live);
+  } catch (e) {
+    errors = [`WORKER_CONFIG: invalid JSON (${e.message})`];
+  }
+  return jsonResponse({
+    live,
+    valid: errors.length === 0,
+    errors,
+    active: workerConfigCache?.version ?? null,
+    current: idx?.current ?? null,
+    history: Array.isArray(idx?.history) ? idx.history : [],
+  });
+}
+
+// 11-19) adminPutConfig(): body の設定を検証し、通ったものだけ版として保存して反映
+// - version は必須で、今 KV にあるものと違う値にする（各isolateは version が変わったときだけ読み直す）
+async function adminPutConfig(request, env, logBuffer, principal) {
+  let config;
+  try {
+    config = await request.json();
+  } catch {
+    return jsonResponse({ error: "invalid JSON body" }, 400);
+  }
+  const errors = validateWorkerConfig(config);
+  if (errors.length) return jsonResponse({ error: "invalid config", errors }, 400);
+  if (config.version === undefined) return jsonResponse({ error: "version is required" }, 400);
+
+  const live = await env.BOT_BLOCKER_KV.get("WORKER_CONFIG", { type: "json" }).catch(() => null);
+  if (live && live.version === config.version) {
+    return jsonResponse({ error: `version ${config.version} is already live (bump version to reload)` }, 409);
+  }
+
+  const id = await saveConfigVersion(env, config, { by: principal?.name ?? "admin" });
+  logBuffer.push(`[ADMIN] config uploaded id=${id} version=${config.version}`);
+  return jsonResponse({ id, version: config.version });
+}
+
+// 11-20) adminValidateConfig(): 検証だけ（保存しない）
+async function adminValidateConfig(request) {
+  let config;
+  try {
+    config = await request.json();
+  } catch {
+    return jsonResponse({ error: "invalid JSON body" }, 400);
+  }
+  const errors = validateWorkerConfig(config);
+  return jsonResponse({ valid: errors.length === 0, errors });
+}
+
+// 11-21) adminRollbackConfig(): { "id": "20250818T023000000Z" } か { "version": 12 } の版に戻す（今のスキーマで検証し直す）
+async function adminRollbackConfig(request, env, logBuffer, principal) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "invalid JSON body" }, 400);
+  }
+  const id = typeof body?.id === "string" && /^\d{8}T\d{9}Z$/.test(body.id) ? body.id : null;
+  const version = typeof body?.version === "string" || typeof body?.version === "number" ? body.version : null;
+  if (!id && version === null) return jsonResponse({ error: "id or version is required" }, 400);
+
+  const saved = await findConfigVersion(env, { id, version });
+  if (!saved?.config) return jsonResponse({ error: `version not found: ${id ?? version}` }, 404);
+  const errors = validateWorkerConfig(saved.config);
+  if (errors.length) return jsonResponse({ error: "saved config no longer passes validation", errors }, 409);
+
+  const live = await env.BOT_BLOCKER_KV.get("WORKER_CONFIG", { type: "json" }).catch(() => null);
+  if (live && live.version === saved.config.version) {
+    return jsonResponse({ error: `version ${saved.config.version} is already live` }, 409);
+  }
+
+  const newId = await saveConfigVersion(env, saved.config, { by: principal?.name ?? "admin", rollbackOf: saved.id });
+  logBuffer.push(`[ADMIN] config rollback id=${newId} version=${saved.config.version ?? "none"} rollbackOf=${saved.id}`);
+  return jsonResponse({ id: newId, version: saved.config.version ?? null, rollbackOf: saved.id });
+}
+
+// 11-22) adminMetrics(): このisolateの未送信分を書き出してから、DO の合計 + リストの件数を返す
+// - DO が読めないときは bb_metrics_aggregator_up 0（カウンタは空）
+async function adminMetrics(env, url, logBuffer) {
+  await flushMetrics(env, null, await getWorkerConfig(env, logBuffer), true);
+  const [snapshot, gauges] = await Promise.all([readMetricsSnapshot(env), listHealthGauges(env)]);
+
+  gauges.push({ name: "bb_metrics_aggregator_up", labels: {}, value: snapshot ? 1 : 0 });
+  if (snapshot) {
+    gauges.push({ name: "bb_metrics_aggregator_start_time_seconds", labels: {}, value: Math.floor(snapshot.startedAt / 1000) });
+    gauges.push({ name: "bb_metrics_dropped_series", labels: {}, value: snapshot.droppedSeries || 0 });
+  }
+
+  const data = snapshot || { counters: {}, histograms: {} };
+  if (url.searchParams.get("format") === "json") return jsonResponse(metricsJson(data, gauges));
+  return new Response(renderPrometheus(data, gauges), {
+    headers: {
+      "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      "Cache-Control": "no-store",
+      "X-Robots-Tag": "noindex, nofollow, noarchive",
+    },
+  });
+}
+
+// 11-23) adminQueryPermanentBlocks(): permanent-block 記録を絞り込んで JSON / CSV で返す（新しい順）
+async function adminQueryPermanentBlocks(env, url) {
+  const filter = parsePermanentBlockQuery(url);
+  if (filter.error) return jsonResponse({ error: filter.error }, 400);
+
+  const result = await queryPermanentBlocks(env, filter);
+  if (filter.format === "csv") {
+    return new Response(permanentBlocksCsv(result.rows), {
+      headers: {
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="permanent-blocks-${new Date(filter.from).toISOString().slice(0, 10)}-${new Date(filter.to).toISOString().slice(0, 10)}.csv"`,
+        "Cache-Control": "no-store",
+        "X-Robots-Tag": "noindex, nofollow, noarchive",
+        "X-Truncated": String(result.truncated),
+      },
+    });
+  }
+  return jsonResponse({
+    from: new Date(filter.from).toISOString(),
+    to: new Date(filter.to).toISOString(),
+    count: result.rows.length,
+    truncated: result.truncated,
+    sources: result.sources,
+    records: result.rows,
+  });
+}
+
+// 11-24) adminListBypass(): 許可リストと発行済みパス（期限切れを除く / トークン本体は返さない）
+async function adminListBypass(env) {
+  const list = pruneBypassAllowlist(await readBypassAllowlist(env));
+  return jsonResponse({
+    signing: (await getBypassKeys(env)).length > 0,
+    entries: list.entries,
+    passes: Object.entries(list.passes).map(([jti, p]) => ({ jti, ...p })),
+  });
+}
+
+// 11-25) adminAddBypassEntry(): { type: "ip" | "cidr" | "asn", value, identity, paths?, ttlSec? } を許可リストに足す
+async function adminAddBypassEntry(request, env, logBuffer) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "invalid JSON body" }, 400);
+  }
+  const parsed = parseBypassEntry(body);
+  if (parsed.error) return jsonResponse({ error: parsed.error }, 400);
+
+  const entry = { id: generateToken(9), ...parsed.entry, addedAt: Date.now() };
+  const list = pruneBypassAllowlist(await readBypassAllowlist(env));
+  if (list.entries.length >= BYPASS_MAX_ENTRIES) return jsonResponse({ error: `at most ${BYPASS_MAX_ENTRIES} entries` }, 409);
+  list.entries.push(entry);
+  await saveBypassAllowlist(env, list);
+
+  logBuffer.push(`[ADMIN] bypass entry added id=${entry.id} ${entry.type}=${entry.value} identity=${entry.identity}`);
+  return jsonResponse(entry, 201);
+}
+
+// 11-26) adminDeleteBypassEntry(): 許可リストから1件外す
+async function adminDeleteBypassEntry(env, id, logBuffer) {
+  const list = pruneBypassAllowlist(await readBypassAllowlist(env));
+  const entry = list.entries.find((e) => e.id === id);
+  if (!entry) return jsonResponse({ error: "not found" }, 404);
+  list.entries = list.entries.filter((e) => e.id !== id);
+  await saveBypassAllowlist(env, list);
+
+  logBuffer.push(`[ADMIN] bypass entry removed id=${id} ${entry.type}=${entry.value} identity=${entry.identity}`);
+  return jsonResponse({ removed: entry });
+}
+
+// 11-27) adminIssueBypassPass(): { identity, paths?, ttlSec? } の署名付きパスを発行（トークンはこの応答でしか見られない）
+async function adminIssueBypassPass(request, env, logBuffer) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "invalid JSON body" }, 400);
+  }
+  const keys = await getBypassKeys(env);
+  if (keys.length === 0) return jsonResponse({ error: "BYPASS_HMAC_SECRET is not set" }, 503);
+
+  const identity = parseBypassIdentity(body?.identity);
+  if (!identity) return jsonResponse({ error: "identity is required (1-100 chars)" }, 400);
+  const paths = parseBypassPaths(body?.paths);
+  if (!paths) return jsonResponse({ error: "paths must be an array of path prefixes starting with /" }, 400);
+  const ttlSec = body?.ttlSec ?? BYPASS_PASS_DEFAULT_TTL_SEC;
+  if (!Number.isInteger(ttlSec) || ttlSec < 60 || ttlSec > BYPASS_PASS_MAX_TTL_SEC) {
+    return jsonResponse({ error: `ttlSec must be an integer between 60 and ${BYPASS_PASS_MAX_TTL_SEC}` }, 400);
+  }
+
+  const list = pruneBypassAllowlist(await readBypassAllowlist(env));
+  if (Object.keys(list.passes).length >= BYPASS_MAX_PASSES) return jsonResponse({ error: `at most ${BYPASS_MAX_PASSES} active passes` }, 409);
+
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = { sub: identity, paths, iat, exp: iat + ttlSec, jti: generateToken(12) };
+  const token = await signBypassPass(keys[0], payload);
+  list.passes[payload.jti] = { identity, paths, iat, exp: payload.exp };
+  await saveBypassAllowlist(env, list);
+
+  logBuffer.push(`[ADMIN] bypass pass issued jti=${payload.jti} identity=${identity} exp=${new Date(payload.exp * 1000).toISOString()}`);
+  return jsonResponse(
+    {
+      jti: payload.jti,
+      identity,
+      paths,
+      expiresAt: new Date(payload.exp * 1000).toISOString(),
+      token,
+      // ブラウザ（スタッフ）は cookie、サーバー（取引先）はヘッダで送る
+      cookie: `${BYPASS_COOKIE}=${token}; Max-Age=${ttlSec}; Path=/; HttpOnly; Secure; SameSite=Lax`,
+      header: `${BYPASS_HEADER}: ${token}`,
+    },
+    201
+  );
+}
+
+// 11-28) adminRevokeBypassPass(): 発行済みパスを失効（台帳から消す = 以後は署名が正しくても通さない）
+async function adminRevokeBypassPass(env, jti, logBuffer) {
+  const list = pruneBypassAllowlist(await readBypassAllowlist(env));
+  const pass = list.passes[jti];
+  if (!pass) return jsonResponse({ error: "not found" }, 404);
+  delete list.passes[jti];
+  await saveBypassAllowlist(env, list);
+
+  logBuffer.push(`[ADMIN] bypass pass revoked jti=${jti} identity=${pass.identity}`);
+  return jsonResponse({ revoked: { jti, ...pass } });
+}
+
+// 11-29) adminListKeys(): 名前付きキーの一覧（sha256 は返さない / root のみ）
+async function adminListKeys(env) {
+  const keys = await readAdminKeys(env);
+  return jsonResponse({ scopes: ADMIN_SCOPES, keys: keys.map(({ sha256, ...rest }) => rest) });
+}
+
+// 11-30) adminCreateKey(): { name, scopes, ttlSec?, sha256? } でキーを足す（root のみ）
+// - sha256 を渡さなければここで生成し、平文（bbk_...）をこの応答でだけ返す
+// - sha256 を渡せば平文は API を通らない（echo -n "$KEY" | sha256sum）
+async function adminCreateKey(request, env, logBuffer) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "invalid JSON body" }, 400);
+  }
+  const name = typeof body?.name === "string" ? body.name.trim() : "";
+  if (!/^[\w.@:-]{1,64}$/.test(name)) return jsonResponse({ error: "name is required ([A-Za-z0-9_.@:-], 1-64 chars)" }, 400);
+  const scopes = Array.isArray(body?.scopes) ? [...new Set(body.scopes)] : [];
+  if (scopes.length === 0 || !scopes.every((s) => ADMIN_SCOPES.includes(s))) {
+    return jsonResponse({ error: `scopes must be a non-empty subset of ${ADMIN_SCOPES.join(", ")}` }, 400);
+  }
+  if (body.sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(String(body.sha256))) return jsonResponse({ error: "sha256 must be 64 hex chars" }, 400);
+  if (body.ttlSec !== undefined && (!Number.isInteger(body.ttlSec) || body.ttlSec < 60)) {
+    return jsonResponse({ error: "ttlSec must be an integer >= 60" }, 400);
+  }
+
+  const keys = await readAdminKeys(env);
+  if (keys.some((k) => k.name === name)) return jsonResponse({ error: `key '${name}' already exists` }, 409);
+  if (keys.length >= ADMIN_MAX_KEYS) return jsonResponse({ error: `at most ${ADMIN_MAX_KEYS} keys` }, 409);
+
+  const token = body.sha256 ? null : ADMIN_KEY_TOKEN_PREFIX + generateToken(24);
+  const key = {
+    id: generateToken(6),
+    name,
+    sha256: body.sha256 ? String(body.sha256).toLowerCase() : await sha256Hex(token),
+    scopes,
+    createdAt: Date.now(),
+    expiresAt: body.ttlSec ? Date.now() + body.ttlSec * 1000 : null,
+  };
+  await env.BOT_BLOCKER_KV.put(ADMIN_KEYS_KEY, JSON.stringify({ keys: [...keys, key] }));
+
+  logBuffer.push(`[ADMIN] admin key created id=${key.id} name=${name} scopes=${scopes.join(",")}`);
+  const { sha256, ...shown } = key;
+  return jsonResponse({ ...shown, ...(token ? { token } : {}) }, 201);
+}
+
+// 11-31) adminDeleteKey(): id か name で1件消す（root のみ）
+async function adminDeleteKey(env, idOrName, logBuffer) {
+  const keys = await readAdminKeys(env);
+  const key = keys.find((k) => k.id === idOrName || k.name === idOrName);
+  if (!key) return jsonResponse({ error: "not found" }, 404);
+  await env.BOT_BLOCKER_KV.put(ADMIN_KEYS_KEY, JSON.stringify({ keys: keys.filter((k) => k !== key) }));
+
+  logBuffer.push(`[ADMIN] admin key deleted id=${key.id} name=${key.name}`);
+  const { sha256, ...shown } = key;
+  return jsonResponse({ deleted: shown });
+}
+
+// 11-32) adminQueryAudit(): ?date=YYYY-MM-DD（既定 今日 UTC）&actor=<キー名>&limit= の監査ログ
+async function adminQueryAudit(env, url) {
+  const date = url.searchParams.get("date") || new Date(Date.now()).toISOString().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return jsonResponse({ error: "date must be YYYY-MM-DD" }, 400);
+  const limitRaw = url.searchParams.get("limit");
+  const limit = limitRaw === null ? AUDIT_QUERY_DEFAULT_LIMIT : Number(limitRaw);
+  if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_QUERY_MAX) {
+    return jsonResponse({ error: `limit must be an integer between 1 and ${AUDIT_QUERY_MAX}` }, 400);
+  }
+  const actor = url.searchParams.get("actor") || null;
+
+  const result = await queryAuditRecords(env, date, actor, limit);
+  return jsonResponse({ date, actor, count: result.records.length, truncated: result.truncated, records: result.records });
+}
+
+/* -----------------------------------------------------------------
+ * 12) Decision events (R2 NDJSON)
+ * ----------------------------------------------------------------- */
+
+// 1リクエスト = 1レコードの判定イベントを isolate 内でまとめ、R2 に NDJSON で書く
+// - キー: events/decisions/dt=YYYY-MM-DD/hh=HH/<時刻>-<乱数>.ndjson（UTC・時間パーティション）
+// - 書き出しはリクエスト到着時に「件数 or 経過時間」で判定（isolate が破棄されると未送信分は失われる）
+// - ping / Turnstile検証 / 管理API / アセット（EXT_SKIP）は記録しない
+// - WORKER_CONFIG.events: { enabled, batchSize, flushIntervalSec, forwardSampleRate }
+const DECISION_EVENTS_PREFIX = "events/decisions/";
+const DEFAULT_EVENTS_CONFIG = {
+  enabled: true,
+  batchSize: 100,
+  flushIntervalSec: 60,
+  forwardSampleRate: 1, // action=forward のレコードだけ間引ける（0〜1）
+};
+
+let decisionBuffer = [];
+let decisionBufferSince = 0;
+
+// 12-1) newDecision(): リクエストから分かる項目だけ先に埋める
+function newDecision(request) {
+  const cf = request.cf || {};
+  let path = "";
+  try { path = new URL(request.url).pathname; } catch {}
+  return {
+    ts: new Date().toISOString(),
+    label: null,
+    action: null,
+    rule: null,
+    score: null,
+    signals: [],
+    shadow: [], // [{ rule, action, reason }]（monitor only で見送った判定）
+    incident: null, // block 時のお問い合わせID（block ページ / [VIOLATION] / R2 記録と同じ）
+    bypass: null, // 素通しにした許可リスト / パスの identity（24) 参照）
+    ip: request.headers.get("CF-Connecting-IP") || null,
+    asn: cf.asn ?? null,
+    country: cf.country ?? null,
+    colo: cf.colo ?? null,
+    fp: null,
+    method: request.method,
+    path,
+    ua: (request.headers.get("User-Agent") || "").slice(0, 256),
+    status: null,
+  };
+}
+
+// 12-2) resolveEventsConfig(): config.events を既定値とマージ
+function resolveEventsConfig(config) {
+  const c = config?.events || {};
+  const num = (v, min, max, fallback) => (typeof v === "number" && v >= min && v <= max ? v : fallback);
+  return {
+    enabled: typeof c.enabled === "boolean" ? c.enabled : DEFAULT_EVENTS_CONFIG.enabled,
+    batchSize: num(c.batchSize, 1, 5000, DEFAULT_EVENTS_CONFIG.batchSize),
+    flushIntervalSec: num(c.flushIntervalSec, 1, 3600, DEFAULT_EVENTS_CONFIG.flushIntervalSec),
+    forwardSampleRate: num(c.forwardSampleRate, 0, 1, DEFAULT_EVENTS_CONFIG.forwardSampleRate),
+  };
+}
+
+// 12-3) recordDecision(): バッファへ追加し、条件を満たしたら waitUntil で書き出す
+function recordDecision(decision, env, ctx, config) {
+  if (!decision.action) return;
+
+  const cfg = resolveEventsConfig(config);
+  if (!cfg.enabled) return;
+  if (decision.action === "forward" && Math.random() >= cfg.forwardSampleRate) return;
+
+  const now = Date.now();
+  if (decisionBuffer.length === 0) decisionBufferSince = now;
+  decisionBuffer.push(JSON.stringify(decision));
+
+  if (decisionBuffer.length >= cfg.batchSize || now - decisionBufferSince >= cfg.flushIntervalSec * 1000) {
+    const lines = decisionBuffer;
+    decisionBuffer = [];
+    ctx.waitUntil(writeDecisionBatch(env, lines));
+  }
+}
+
+// 12-4) writeDecisionBatch(): NDJSON として R2 に1オブジェクトで書く
+async function writeDecisionBatch(env, lines) {
+  const d = new Date();
+  const iso = d.toISOString();
+  const key =
+    `${DECISION_EVENTS_PREFIX}dt=${iso.slice(0, 10)}/hh=${iso.slice(11, 13)}/` +
+    `${iso.replace(/[:.]/g, "-")}-${generateToken(6)}.ndjson`;
+
+  try {
+    await env.BLOCKLIST_R2.put(key, lines.join("\n") + "\n", {
+      httpMetadata: { contentType: "application/x-ndjson" },
+      customMetadata: { count: String(lines.length) },
+    });
+  } catch (e) {
+    console.log(`[EVENTS_FAIL] ${lines.length} records dropped: ${String(e?.message || e)}`);
+  }
+}
+
+/* -----------------------------------------------------------------
+ * 13) Path / header rule engine (KV: PATH_RULES)
+ * ----------------------------------------------------------------- */
+
+// PATH_RULES(KV) = { "version": 3, "rules": [ <rule>, ... ] }
+// <rule> = {
+//   id: "wp-login-post",                     // ログ / decision.rule に出る
+//   enabled: true,
+//   match: {
+//     path:    { prefix | exact | contains | regex },   // 小文字化したパスに対して
+//     methods: ["POST"],
+//     query:   { prefix | exact | contains | regex },   // "?" を除いたクエリ文字列
+//     headers: { "x-requested-with": { present: true } | { absent: true } | { exact | contains | regex } },
+//     countries: ["CN"], asns: [14061],
+//   },
+//   except: { ...match と同じ形... },         // 一致したらこのルールは適用しない
+//   action: "block" | "challenge" | "rate-limit" | "allow" | "log",
+//   reason: "path-scan",                     // block 時に handleViolationSideEffects() へ渡す
+//   rateLimit: { limit: 10, windowSec: 60 }, // action=rate-limit のとき
+//   shadow: true,                            // このルールだけ monitor only（WORKER_CONFIG.shadow の "path-scan" は block のルールだけ）
+// }
+// - match の各項目は AND、path 等に配列を渡すとその中は OR
+// - 不正なルールは読み込み時に捨ててログに出す（他のルールは生きる）
+const PATH_RULES_KEY = "PATH_RULES";
+const PATH_RULE_ACTIONS = ["block", "challenge", "rate-limit", "allow", "log"];
+
+// 従来 handle() に直書きしていた静的パターン（PATH_RULES が無いときの既定）
+const DEFAULT_PATH_RULES = [
+  "/wp-",
+  ".php",
+  "phpinfo",
+  "phpmyadmin",
+  "/.env",
+  "/config",
+  "/admin/",
+  "/dbadmin",
+  "/_profiler",
+  ".aws",
+  "credentials",
+].map((patt) => ({ id: `static:${patt}`, match: { path: { contains: patt } }, action: "block", reason: "path-scan" }));
+
+// 13-1) getPathRules(): PATH_RULES を読み、version が変わったときだけコンパイルし直す（hot reload）
+async function getPathRules(env, logBuffer) {
+  const now = Date.now();
+  if (pathRulesCache !== null && now - pathRulesLastRead < CONFIG_REFRESH_MS) return pathRulesCache.rules;
+  pathRulesLastRead = now;
+
+  const raw = await env.BOT_BLOCKER_KV.get(PATH_RULES_KEY, { type: "json", cacheTtl: 30 });
+  const source = raw && Array.isArray(raw.rules) ? raw : { version: "default", rules: DEFAULT_PATH_RULES };
+  const version = source.version ?? "none";
+
+  if (pathRulesCache === null || pathRulesCache.version !== version) {
+    const rules = [];
+    for (const r of source.rules) {
+      const compiled = compilePathRule(r);
+      if (compiled.error) logBuffer.push(`[RULE_ERROR] id=${r?.id ?? "?"} ${compiled.error}`);
+      else if (compiled.rule.enabled) rules.push(compiled.rule);
+    }
+    pathRulesCache = { version, rules };
+    logBuffer.push(`[CONFIG] Loaded ${rules.length} path rules (version ${version}).`);
+  }
+  return pathRulesCache.rules;
+}
+
+// 13-2) compilePathRule(): 文字列の正規表現などを事前にコンパイル。不正なら { error }
+function compilePathRule(r) {
+  if (!r || typeof r.id !== "string" || !r.id) return { error: "id is required" };
+  if (!PATH_RULE_ACTIONS.includes(r.action)) return { error: `unknown action: ${r.action}` };
+
+  let rateLimit = null;
+  if (r.action === "rate-limit") {
+    const limit = Number(r.rateLimit?.limit);
+    const windowSec = Number(r.rateLimit?.windowSec ?? 60);
+    if (!(limit > 0) || !(windowSec > 0)) return { error: "rateLimit.limit / windowSec must be positive" };
+    rateLimit = { limit, windowSec };
+  }
+
+  try {
+    return {
+      rule: {
+        id: r.id,
+        enabled: r.enabled !== false,
+        action: r.action,
+        reason: typeof r.reason === "string" && r.reason ? r.reason : `rule:${r.id}`,
+        rateLimit,
+        shadow: r.shadow === true,
+        match: compileRuleMatch(r.match || {}),
+        except: r.except ? compileRuleMatch(r.except) : null,
+      },
+    };
+  } catch (e) {
+    return { error: String(e?.message || e) };
+  }
+}
+
+// 13-3) compileRuleMatch(): match / except 部分のコンパイル
+function compileRuleMatch(m) {
+  const list = (v) => (v === undefined ? null : Array.isArray(v) ? v : [v]);
+
+  const headers = [];
+  for (const [name, spec] of Object.entries(m.headers || {})) {
+    headers.push({ name: name.toLowerCase(), spec: compileStringMatcher(spec, true) });
+  }
+
+  return {
+    path: list(m.path)?.map((x) => compileStringMatcher(x)) ?? null,
+    methods: list(m.methods)?.map((x) => String(x).toUpperCase()) ?? null,
+    query: list(m.query)?.map((x) => compileStringMatcher(x)) ?? null,
+    headers,
+    countries: list(m.countries)?.map((x) => String(x).toUpperCase()) ?? null,
+    asns: list(m.asns)?.map((x) => Number(x)) ?? null,
+  };
+}
+
+// 13-4) compileStringMatcher(): { exact | prefix | contains | regex } (+ present / absent はヘッダ用)
+function compileStringMatcher(spec, allowPresence = false) {
+  if (typeof spec === "string") spec = { regex: spec };
+  if (!spec || typeof spec !== "object") throw new Error("invalid matcher");
+
+  if (allowPresence && spec.present === true) return { type: "present" };
+  if (allowPresence && spec.absent === true) return { type: "absent" };
+  if (typeof spec.exact === "string") return { type: "exact", value: spec.exact };
+  if (typeof spec.prefix === "string") return { type: "prefix", value: spec.prefix };
+  if (typeof spec.contains === "string") return { type: "contains", value: spec.contains };
+  if (typeof spec.regex === "string") return { type: "regex", re: new RegExp(spec.regex, "i") };
+  throw new Error("matcher needs exact / prefix / contains / regex");
+}
+
+// 13-5) testStringMatcher(): value が null（ヘッダ無し）のときは present / absent だけ意味を持つ
+function testStringMatcher(mt, value) {
+  if (mt.type === "present") return value !== null;
+  if (mt.type === "absent") return value === null;
+  if (value === null) return false;
+  if (mt.type === "exact") return value === mt.value;
+  if (mt.type === "prefix") return value.startsWith(mt.value);
+  if (mt.type === "contains") return value.includes(mt.value);
+  return mt.re.test(value);
+}
+
+// 13-6) ruleMatchTest(): match の全項目（AND）を評価
+function ruleMatchTest(m, request, url, path) {
+  if (m.path && !m.path.some((mt) => testStringMatcher(mt, path))) return false;
+  if (m.methods && !m.methods.includes(request.method)) return false;
+  if (m.query && !m.query.some((mt) => testStringMatcher(mt, url.search.replace(/^\?/, "")))) return false;
+  for (const h of m.headers) {
+    if (!testStringMatcher(h.spec, request.headers.get(h.name))) return false;
+  }
+  if (m.countries && !m.countries.includes(String(request.cf?.country || "").toUpperCase())) return false;
+  if (m.asns && !m.asns.includes(Number(request.cf?.asn))) return false;
+  return true;
+}
+
+// 13-7) pathRuleMatches(): match に一致し、except に一致しない
+function pathRuleMatches(rule, request, url, path) {
+  if (!ruleMatchTest(rule.match, request, url, path)) return false;
+  if (rule.except && ruleMatchTest(rule.except, request, url, path)) return false;
+  return true;
+}
+
+/* -----------------------------------------------------------------
+ * 14) Rate-limit policies / cart protection (DO / KV fallback)
+ * ----------------------------------------------------------------- */
+
+// WORKER_CONFIG.rateLimits = { "policies": [ <policy>, ... ] }（id で既定にマージ / enabled:false で既定を止める）
+// <policy> = {
+//   id: "search",                             // ログ / decision.rule（rate-limit:<id>）/ DO の bucket 名
+//   enabled: true,
+//   match: { ...13) のパスルールと同じ形... }, except: { ... },
+//   key: "ip" | "fp" | "ip+fp",               // 何ごとに数えるか（ip+fp はどちらかが超えたら発動）
+//   limit: 30, windowSec: 60,
+//   action: "429" | "challenge" | "violation", // challenge は GET のページ遷移だけ（API / fetch は 429）/ violation は昇格ラダーへ
+//   reason: "rate-limit:search",              // violation 時に handleViolation() へ渡す
+//   shadow: true,                             // このポリシーだけ monitor only
+// }
+// - カウントは IPStateTrackerV2（インスタンス名 = ipKey / FP-<fp>、メモリのみ）。DO が落ちていれば KV（RL:）で数える
+// - 一致したリクエストだけ DO を呼ぶ（一致しないリクエストには追加コストなし）
+const RATE_LIMIT_ACTIONS = ["429", "challenge", "violation"];
+const RATE_LIMIT_KEYS = ["ip", "fp", "ip+fp"];
+const LOCALE_PREFIX_RE = "^/(?:[a-z]{2}(?:-[a-z]{2})?/)?";
+
+const DEFAULT_RATE_LIMIT_POLICIES = [
+  {
+    // 検索結果ページだけ（/search-guide や /searchanise/... などの別ページ、予測検索の suggest は含めない）
+    id: "search",
+    match: { path: { regex: `${LOCALE_PREFIX_RE}search/?$` }, methods: ["GET"] },
+    key: "ip+fp",
+    limit: 30,
+    windowSec: 60,
+    action: "challenge",
+  },
+  {
+    // 予測検索（入力のたびに呼ばれるので上限は高め / fetch なので 429）
+    id: "search-suggest",
+    match: { path: { regex: `${LOCALE_PREFIX_RE}search/suggest(\\.json)?$` }, methods: ["GET"] },
+    key: "ip+fp",
+    limit: 120,
+    windowSec: 60,
+    action: "429",
+  },
+  {
+    id: "collection-pagination",
+    match: { path: { regex: `${LOCALE_PREFIX_RE}collections/` }, query: { regex: "(^|&)page=\\d+" }, methods: ["GET"] },
+    key: "ip+fp",
+    limit: 60,
+    windowSec: 60,
+    action: "challenge",
+  },
+  {
+    id: "login",
+    match: { path: { regex: `${LOCALE_PREFIX_RE}account/(login|recover)` }, methods: ["POST"] },
+    key: "ip",
+    limit: 10,
+    windowSec: 300,
+    action: "429",
+  },
+  {
+    // カート追加（同じFPからの連打 = 在庫確保ボット）
+    id: "cart-add",
+    match: { path: { regex: `${LOCALE_PREFIX_RE}cart/add(\\.js|\\.json)?$` }, methods: ["POST"] },
+    key: "fp",
+    limit: 30,
+    windowSec: 60,
+    action: "429",
+  },
+  {
+    id: "cart-change",
+    match: { path: { regex: `${LOCALE_PREFIX_RE}cart/(change|update)(\\.js|\\.json)?$` }, methods: ["POST"] },
+    key: "fp",
+    limit: 60,
+    windowSec: 60,
+    action: "429",
+  },
+  {
+    // 従来 handle() の SafeBot（PetalBot）レート制限
+    id: "safe-bot",
+    match: { headers: { "user-agent": { contains: "PetalBot" } } },
+    key: "ip",
+    limit: 10,
+    windowSec: 60,
+    action: "429",
+  },
+];
+
+// 14-1) getRateLimitPolicies(): 既定 + config.rateLimits.policies をマージしてコンパイル（config単位でキャッシュ）
+function getRateLimitPolicies(config, logBuffer) {
+  const source = config?.rateLimits?.policies;
+  if (rateLimitPoliciesCache && rateLimitPoliciesCache.source === source) return rateLimitPoliciesCache.policies;
+
+  const byId = new Map(DEFAULT_RATE_LIMIT_POLICIES.map((p) => [p.id, p]));
+  if (Array.isArray(source)) {
+    for (const p of source) {
+      if (!p || typeof p.id !== "string" || !p.id) continue;
+      byId.set(p.id, { ...(byId.get(p.id) || {}), ...p });
+    }
+  }
+
+  const policies = [];
+  for (const p of byId.values()) {
+    if (p.enabled === false) continue;
+    const compiled = compileRateLimitPolicy(p);
+    if (compiled.error) logBuffer.push(`[RULE_ERROR] rate-limit policy id=${p.id} ${compiled.error}`);
+    else policies.push(compiled.policy);
+  }
+
+  rateLimitPoliciesCache = { source, policies };
+  return policies;
+}
+
+// 14-2) compileRateLimitPolicy(): 検証して match / except をコンパイル。不正なら { error }
+function compileRateLimitPolicy(p) {
+  if (!RATE_LIMIT_ACTIONS.includes(String(p.action))) return { error: `unknown action: ${p.action}` };
+  if (!RATE_LIMIT_KEYS.includes(p.key)) return { error: `unknown key: ${p.key}` };
+  const limit = Number(p.limit);
+  const windowSec = Number(p.windowSec);
+  if (!(limit > 0) || !(windowSec > 0) || windowSec > 24 * 3600) return { error: "limit / windowSec must be positive (windowSec <= 86400)" };
+
+  try {
+    return {
+      policy: {
+        id: p.id,
+        key: p.key,
+        limit,
+        windowSec,
+        action: String(p.action),
+        reason: typeof p.reason === "string" && p.reason ? p.reason : `rate-limit:${p.id}`,
+        shadow: p.shadow === true,
+        match: compileRuleMatch(p.match || {}),
+        except: p.except ? compileRuleMatch(p.except) : null,
+      },
+    };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+// 14-3) rateLimitHit(): name（ipKey / FP-<fp>）の bucket を1つ数える。DO → 失敗したら KV
+// - 戻り値: { allowed, retryAfterSec, via: "do" | "kv" }
+async function rateLimitHit(env, name, bucket, limit, windowSec, logBuffer) {
+  if (env.IP_STATE_TRACKER) {
+    const stub = env.IP_STATE_TRACKER.get(env.IP_STATE_TRACKER.idFromName(name));
+    const res = await safeFetchDO(
+      stub,
+      new Request("https://ip-state-tracker/rate-limit", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ bucket, limit, windowSec }),
+      }),
+      logBuffer,
+      `rate-limit ${bucket} ${name}`
+    );
+    if (res && res.ok) {
+      try {
+        const j = await res.json();
+        if (typeof j?.allowed === "boolean") {
+          return { allowed: j.allowed, retryAfterSec: Number(j.retryAfterSec) || windowSec, via: "do" };
+        }
+      } catch {}
+    }
+  }
+
+  const allowed = await kvRateLimitIp(env, name, limit, windowSec, bucket);
+  return { allowed, retryAfterSec: windowSec, via: "kv" };
+}
+
+// --- Shopify ストアフロントAPI / カート保護 ---
+// - STOREFRONT_API_PATH: 拡張子は .js / .json だが中身は動的（2) のアセット素通しから外す）
+// - CART_MUTATION_PATH: 数量を変えるカートAPI（8) の数量上限の対象）
+const STOREFRONT_API_PATH =
+  /^\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?(?:cart(?:\/[^/]+)?|search\/suggest|recommendations\/products|products(?:\/[^/]+)?|collections\/[^/]+(?:\/products)?)\.(?:js|json)$/;
+const CART_MUTATION_PATH = /^\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?cart\/(?:add|change|update)(?:\.js|\.json)?$/;
+const CART_BODY_MAX_BYTES = 64 * 1024;
+
+// WORKER_CONFIG.cartProtection = { enabled, maxQuantityPerLine, action: "reject" | "violation", shadow }
+// - reject: Shopify のカートAPIと同じ形の 422（テーマがそのままエラー文を出せる）
+// - violation: 昇格ラダーへ（買い占めボットを止めたいとき）
+// - 既定は無効（まとめ買い / B2B の注文も 422 になるので、上限を決めてから enabled: true にする）
+//   連打への対策は既定でも DEFAULT_RATE_LIMIT_POLICIES の cart-add / cart-change で効いている
+const DEFAULT_CART_PROTECTION = { enabled: false, maxQuantityPerLine: 20, action: "reject", shadow: false };
+
+// 14-4) resolveCartProtectionConfig(): config.cartProtection を検証し、不正な値は既定値に戻す
+function resolveCartProtectionConfig(config) {
+  const c = config?.cartProtection || {};
+  return {
+    enabled: typeof c.enabled === "boolean" ? c.enabled : DEFAULT_CART_PROTECTION.enabled,
+    maxQuantityPerLine:
+      Number.isInteger(c.maxQuantityPerLine) && c.maxQuantityPerLine > 0
+        ? c.maxQuantityPerLine
+        : DEFAULT_CART_PROTECTION.maxQuantityPerLine,
+    action: c.action === "violation" || c.action === "reject" ? c.action : DEFAULT_CART_PROTECTION.action,
+    shadow: c.shadow === true,
+  };
+}
+
+// 14-5) maxCartLineQuantity(): カートAPIの body から1行あたりの最大数量を取り出す（読めなければ 0）
+// - JSON: { quantity } / { items: [{ quantity }] } / { updates: { <id>: qty } | [qty] }
+// - form: quantity / items[0][quantity] / updates[<id>] / updates[]
+// - origin へは元の request を送るので clone() して読む
+async function maxCartLineQuantity(request, logBuffer) {
+  const len = Number(request.headers.get("Content-Length") || 0);
+  if (len > CART_BODY_MAX_BYTES) return 0;
+
+  const type = (request.headers.get("Content-Type") || "").toLowerCase();
+  const quantities = [];
+  try {
+    if (type.includes("application/json")) {
+      const body = await request.clone().json();
+      if (body?.quantity !== undefined) quantities.push(body.quantity);
+      if (Array.isArray(body?.items)) for (const it of body.items) quantities.push(it?.quantity ?? 1);
+      if (body?.updates && typeof body.updates === "object") quantities.push(...Object.values(body.updates));
+    } else if (type.includes("application/x-www-form-urlencoded") || type.includes("multipart/form-data")) {
+      const form = await request.clone().formData();
+      for (const [k, v] of form.entries()) {
+        if (k === "quantity" || /^items\[\d+\]\[quantity\]$/.test(k) || /^updates\[[^\]]*\]$/.test(k)) quantities.push(v);
+      }
+    }
+  } catch (e) {
+    logBuffer.push(`[CART] Failed to parse cart body: ${e.message}`);
+    return 0;
+  }
+
+  return quantities.reduce((max, q) => {
+    const n = Number(q);
+    return Number.isFinite(n) && n > max ? n : max;
+  }, 0);
+}
+
+// 14-6) cartErrorResponse(): Shopify のカートAPIのエラーと同じ形（status / message / description）
+function cartErrorResponse(maxQuantity) {
+  return new Response(
+    JSON.stringify({
+      status: 422,
+      message: "Cart Error",
+      description: `You can only add ${maxQuantity} of this item to your cart.`,
+    }),
+    { status: 422, headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" } }
+  );
+}
+
+/* -----------------------------------------------------------------
+ * 15) Catalog scraping defence (products.json / collection feeds)
+ * ----------------------------------------------------------------- */
+
+// WORKER_CONFIG.catalogProtection = {
+//   enabled: true,
+//   threshold: 60,                                   // signals のスコア合計がこれ以上で action
+//   action: "truncate" | "throttle" | "challenge",   // truncate: products を truncateTo 件に切って返す / throttle: 429
+//                                                    // challenge: Accept に text/html があるときだけ（他は 429）
+//   truncateTo: 0,
+//   volume: { limit: 30, windowSec: 60 },            // feed へのリクエスト数（IP / FP ごと。どちらかが超えたら volume）
+//   pageWalk: { minRun: 3, windowSec: 300 },         // 同じ feed を ?page=1,2,3… と連番で辿った回数
+//   scores: { volume: 40, pageWalk: 40, noPageView: 30 },
+//   partners: [{ name: "feed-partner", cidrs: ["198.51.100.0/24"], keySha256: "<hex>" }],
+//   shadow: true,                                    // monitor only（[SHADOW] と decision.shadow にだけ出る）
+// }
+// - no_page_view: FPJS（4) 参照）が無く、Referer も自ホストでない = HTML を見ずに feed だけ取っている
+// - partners: CIDR か X-Catalog-Key（平文を sha256 した hex を keySha256 に置く）のどちらかが一致すれば対象外
+// - 既定は shadow（feed アプリ / 価格比較の取引先も点数が付く。partners を入れてから shadow: false にする）
+//   action の既定は throttle（空の products を 200 で返すと、取る側は失敗に気づけない）
+const CATALOG_FEED_PATH =
+  /^\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?(?:products|collections\/[^/]+\/products|products\/[^/]+)\.json$/;
+const CATALOG_ACTIONS = ["truncate", "throttle", "challenge"];
+const CATALOG_KEY_HEADER = "X-Catalog-Key";
+
+const DEFAULT_CATALOG_PROTECTION = {
+  enabled: true,
+  threshold: 60,
+  action: "throttle",
+  truncateTo: 0,
+  volume: { limit: 30, windowSec: 60 },
+  pageWalk: { minRun: 3, windowSec: 300 },
+  scores: { volume: 40, pageWalk: 40, noPageView: 30 },
+  partners: [],
+  shadow: true,
+};
+
+// 15-1) resolveCatalogProtectionConfig(): config.catalogProtection を検証し、不正な値は既定値に戻す
+function resolveCatalogProtectionConfig(config) {
+  const c = config?.catalogProtection || {};
+  const d = DEFAULT_CATALOG_PROTECTION;
+  const posInt = (v, def) => (Number.isInteger(v) && v > 0 ? v : def);
+  const nonNeg = (v, def) => (typeof v === "number" && Number.isFinite(v) && v >= 0 ? v : def);
+
+  const partners = [];
+  for (const p of Array.isArray(c.partners) ? c.partners : []) {
+    if (!p || typeof p !== "object") continue;
+    const cidrs = Array.isArray(p.cidrs) ? p.cidrs.filter((x) => typeof x === "string" && x.includes("/")) : [];
+    const keySha256 = typeof p.keySha256 === "string" && /^[0-9a-f]{64}$/i.test(p.keySha256) ? p.keySha256.toLowerCase() : null;
+    if (cidrs.length || keySha256) partners.push({ name: String(p.name || "partner"), cidrs, keySha256 });
+  }
+
+  return {
+    enabled: typeof c.enabled === "boolean" ? c.enabled : d.enabled,
+    threshold: posInt(c.threshold, d.threshold),
+    action: CATALOG_ACTIONS.includes(c.action) ? c.action : d.action,
+    truncateTo: Number.isInteger(c.truncateTo) && c.truncateTo >= 0 ? c.truncateTo : d.truncateTo,
+    volume: {
+      limit: posInt(c.volume?.limit, d.volume.limit),
+      windowSec: Math.min(posInt(c.volume?.windowSec, d.volume.windowSec), 3600),
+    },
+    pageWalk: {
+      minRun: posInt(c.pageWalk?.minRun, d.pageWalk.minRun),
+      windowSec: Math.min(posInt(c.pageWalk?.windowSec, d.pageWalk.windowSec), 3600),
+    },
+    scores: {
+      volume: nonNeg(c.scores?.volume, d.scores.volume),
+      pageWalk: nonNeg(c.scores?.pageWalk, d.scores.pageWalk),
+      noPageView: nonNeg(c.scores?.noPageView, d.scores.noPageView),
+    },
+    partners,
+    shadow: typeof c.shadow === "boolean" ? c.shadow : d.shadow,
+  };
+}
+
+// 15-2) catalogPartner(): CIDR / X-Catalog-Key で検証済みパートナーを探す（無ければ null）
+async function catalogPartner(request, ip, partners, logBuffer) {
+  if (!partners.length) return null;
+  const key = request.headers.get(CATALOG_KEY_HEADER);
+  const keyHash = key ? await sha256Hex(key) : null;
+  for (const p of partners) {
+    if (keyHash && p.keySha256 === keyHash) return p;
+    if (p.cidrs.some((cidr) => ipInCidr(ip, cidr, logBuffer))) return p;
+  }
+  return null;
+}
+
+// 15-3) scoreCatalogRequest(): volume / page_walk / no_page_view を数えてスコアにする
+// - 戻り値: { score, signals } / パートナーは null
+async function scoreCatalogRequest(request, env, catalog, { ip, ipKey, fingerprint, path }, logBuffer) {
+  const partner = await catalogPartner(request, ip, catalog.partners, logBuffer);
+  if (partner) {
+    logBuffer.push(`[CATALOG] partner=${partner.name} path=${path} IP=${ip}`);
+    return null;
+  }
+
+  const url = new URL(request.url);
+  const page = Number(url.searchParams.get("page"));
+  const names = [ipKey, `FP-${fingerprint}`];
+
+  const [volume, runs, jsOk] = await Promise.all([
+    Promise.all(
+      names.map((n) => rateLimitHit(env, n, "catalog-volume", catalog.volume.limit, catalog.volume.windowSec, logBuffer))
+    ),
+    Number.isInteger(page) && page > 0
+      ? Promise.all(names.map((n) => catalogPageWalkRun(env, n, path, page, catalog.pageWalk.windowSec, logBuffer)))
+      : [],
+    isJsExecuted(env, fingerprint),
+  ]);
+
+  let score = 0;
+  const signals = [];
+  if (volume.some((r) => !r.allowed)) {
+    score += catalog.scores.volume;
+    signals.push("volume");
+  }
+  const run = Math.max(0, ...runs);
+  if (run >= catalog.pageWalk.minRun) {
+    score += catalog.scores.pageWalk;
+    signals.push(`page_walk:${run}`);
+  }
+  if (!jsOk && !isSameHostReferer(request, url)) {
+    score += catalog.scores.noPageView;
+    signals.push("no_page_view");
+  }
+  return { score, signals };
+}
+
+// 15-4) catalogPageWalkRun(): DO（IPStateTrackerV2 /page-walk）に page を渡して連番の長さを受け取る（失敗時は 0 = シグナル無し）
+async function catalogPageWalkRun(env, name, feed, page, windowSec, logBuffer) {
+  if (!env.IP_STATE_TRACKER) return 0;
+  const stub = env.IP_STATE_TRACKER.get(env.IP_STATE_TRACKER.idFromName(name));
+  const res = await safeFetchDO(
+    stub,
+    new Request("https://ip-state-tracker/page-walk", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ feed, page, windowSec }),
+    }),
+    logBuffer,
+    `page-walk ${name}`
+  );
+  if (!res || !res.ok) return 0;
+  try {
+    const j = await res.json();
+    return Number(j?.run) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+// 15-5) isSameHostReferer(): Referer が同じホスト（= ストアのページから来た）か
+function isSameHostReferer(request, url) {
+  const ref = request.headers.get("Referer");
+  if (!ref) return false;
+  try {
+    return new URL(ref).host === url.host;
+  } catch {
+    return false;
+  }
+}
+
+// 15-6) truncatedCatalogResponse(): origin の feed を取り、products を truncateTo 件に切って返す
+// - /products/<handle>.json（単品 = product）は 404（Shopify の「無い商品」と同じ）
+// - JSON でなければ 429（中身をそのまま渡さない）
+async function truncatedCatalogResponse(request, truncateTo, logBuffer) {
+  const headers = { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" };
+  try {
+    const res = await fetch(request);
+    if (!res.ok) return res;
+    const body = await res.json();
+    if (Array.isArray(body?.products)) {
+      body.products = body.products.slice(0, truncateTo);
+      return new Response(JSON.stringify(body), { status: 200, headers });
+    }
+    if (body?.product) return new Response(JSON.stringify({ errors: "Not Found" }), { status: 404, headers });
+  } catch (e) {
+    logBuffer.push(`[CATALOG] Failed to truncate feed: ${e.message}`);
+  }
+  return new Response("Too Many Requests", { status: 429, headers: { "Retry-After": "60" } });
+}
+
+/* -----------------------------------------------------------------
+ * 16) Behavioral session scoring (FingerprintTrackerV2)
+ * ----------------------------------------------------------------- */
+
+// WORKER_CONFIG.sessionScoring = {
+//   enabled: true,
+//   idleSec: 1800,                                    // これだけ間が空いたらセッション（score / strike）を数え直す
+//   htmlNoAssets: { minPages: 10, score: 30 },        // HTML を minPages 回見て JS を一度も読まない
+//   regularTiming: { minRequests: 8, maxCv: 0.15, maxMeanSec: 30, score: 30 }, // 間隔の変動係数が maxCv 以下
+//   deepPagination: { minPage: 20, score: 20 },       // ?page= が minPage 以上
+//   productSweep: { minProducts: 30, score: 30 },     // 商品を minProducts 件見てカートを一度も見ない
+//   shadow: true,                                     // session-challenge / session-block を monitor only に（SH のスコアにも足さない）
+// }
+// - シグナルは1セッション1回だけ加点。score は DO 側で 1点/分 減衰し、thresholds.challenge / thresholds.block と比べる
+// - BLOCK（TEMP_BLOCK / PERMANENT_BLOCK）は違反として昇格ラダー（8) 参照）へ。段階はラダーが決める
+// - DO が落ちている / 状態が消えたときはシグナル無し扱い（今までどおり1リクエスト単位の判定だけになる）
+const DEFAULT_SESSION_SCORING = {
+  enabled: true,
+  idleSec: 1800,
+  htmlNoAssets: { minPages: 10, score: 30 },
+  regularTiming: { minRequests: 8, maxCv: 0.15, maxMeanSec: 30, score: 30 },
+  deepPagination: { minPage: 20, score: 20 },
+  productSweep: { minProducts: 30, score: 30 },
+  shadow: false,
+};
+const SESSION_SIGNALS = ["htmlNoAssets", "regularTiming", "deepPagination", "productSweep"];
+const PRODUCT_PATH = /^\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?(?:collections\/[^/]+\/)?products\/([^/.]+)/;
+const CART_PATH = /^\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?cart(?:[/.]|$)/;
+
+// 16-1) resolveSessionScoringConfig(): config.sessionScoring を検証し、不正な値は既定値に戻す
+// - シグナルは false で無効、それ以外は項目ごとに既定値へマージ（数値は正の数だけ受け付ける）
+function resolveSessionScoringConfig(config) {
+  const c = config?.sessionScoring || {};
+  const d = DEFAULT_SESSION_SCORING;
+  const out = {
+    enabled: typeof c.enabled === "boolean" ? c.enabled : d.enabled,
+    idleSec: Number.isInteger(c.idleSec) && c.idleSec >= 60 ? c.idleSec : d.idleSec,
+    shadow: c.shadow === true,
+  };
+  for (const name of SESSION_SIGNALS) {
+    if (c[name] === false) {
+      out[name] = null;
+      continue;
+    }
+    const rule = { ...d[name] };
+    for (const k of Object.keys(rule)) {
+      const v = c[name]?.[k];
+      if (typeof v === "number" && Number.isFinite(v) && v > 0) rule[k] = v;
+    }
+    out[name] = rule;
+  }
+  return out;
+}
+
+// 16-2) updateSessionScore(): このリクエストを FingerprintTrackerV2 の /update-score に送ってセッションスコアを受け取る
+// - 戻り値: { score, action: "ALLOW" | "CHALLENGE" | "TEMP_BLOCK" | "PERMANENT_BLOCK", signals, fired } / 失敗時は null
+async function updateSessionScore(env, fingerprint, request, url, label, config, session, logBuffer) {
+  if (!env.FINGERPRINT_TRACKER) return null;
+  const stub = env.FINGERPRINT_TRACKER.get(env.FINGERPRINT_TRACKER.idFromName(fingerprint));
+  const res = await safeFetchDO(
+    stub,
+    new Request("https://fingerprint-tracker/update-score", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        scoreToAdd: 0,
+        config: { thresholds: config?.thresholds, session },
+        event: sessionEvent(request, url, label),
+      }),
+    }),
+    logBuffer,
+    `update-score FP-${fingerprint}`
+  );
+  if (!res || !res.ok) return null;
+  try {
+    const j = await res.json();
+    if (typeof j?.newScore !== "number") return null;
+    return {
+      score: j.newScore,
+      action: String(j.action || "ALLOW"),
+      signals: Array.isArray(j.signals) ? j.signals : [],
+      fired: Array.isArray(j.fired) ? j.fired : [],
+    };
+  } catch {
+    return null;
+  }
+}
+
+// 16-3) sessionEvent(): DO に渡す1リクエスト分の事実（判定は DO 側）
+function sessionEvent(request, url, label) {
+  const path = url.pathname.toLowerCase();
+  const page = Number(url.searchParams.get("page"));
+  return {
+    html: request.method === "GET" && (request.headers.get("Accept") || "").includes("text/html"),
+    jsOk: label === "[TH]",
+    product: PRODUCT_PATH.exec(path)?.[1] ?? null,
+    cart: CART_PATH.test(path),
+    page: Number.isInteger(page) && page > 0 ? page : 0,
+  };
+}
+
+/* -----------------------------------------------------------------
+ * 17) Bad-bot learning (candidates -> LEARNED_BAD_BOTS)
+ * ----------------------------------------------------------------- */
+
+// 違反した（path-scan / なりすまし / SH 高スコア）UA からブラウザ以外のトークン（例: python-requests/2.31 → python-requests）を取り出し、
+// 候補として数える。しきい値を超えるか管理者が承認すると LEARNED_BAD_BOTS（正規表現文字列の配列）に昇格する。
+//
+// WORKER_CONFIG.learning = {
+//   enabled: true,
+//   sources: ["path-scan", "impersonation", "sh-score"], // 違反理由の部分一致 / "sh-score" は SH の challenge スコア
+//   minShScore: 60,                  // sh-score はこれ以上のときだけ数える
+//   autoPromote: false,              // true ならしきい値で自動昇格。既定は管理者の承認（POST /admin/learning/approve）だけ
+//   promoteHits: 20,                 // 昇格に必要な回数
+//   promoteDistinctIps: 3,           // 昇格に必要な IP（ipKey）の種類
+//   candidateTtlSec: 604800,         // 最後に見てからこれだけで候補は消える
+//   learnedTtlSec: 2592000,          // 昇格してからこれだけで LEARNED_BAD_BOTS から外す（0 = 外さない / 6) scheduled で掃除）
+// }
+// - LC:<token小文字> = JSON { token, pattern, hits, ips: [...], sources: { <source>: n }, firstSeen, lastSeen, examples: [...] }
+// - LEARNED_BAD_BOTS_META = { <pattern>: { token, by: "auto" | "admin", promotedAt, expiresAt, hits } }
+// - LEARNED_REJECTS = [<token小文字>, ...]（誤検知として却下したもの。以後は候補にもしない）
+const LEARN_CANDIDATE_NS = "LC:";
+const LEARNED_BAD_BOTS_KEY = "LEARNED_BAD_BOTS";
+const LEARNED_META_KEY = "LEARNED_BAD_BOTS_META";
+const LEARNED_REJECTS_KEY = "LEARNED_REJECTS";
+const LEARN_MAX_EXAMPLES = 5;
+const LEARN_MAX_IPS = 20;
+
+const DEFAULT_LEARNING = {
+  enabled: true,
+  sources: ["path-scan", "impersonation", "sh-score"],
+  minShScore: 60,
+  autoPromote: false,
+  promoteHits: 20,
+  promoteDistinctIps: 3,
+  candidateTtlSec: 7 * 24 * 3600,
+  learnedTtlSec: 30 * 24 * 3600,
+};
+
+// ブラウザ / アプリ内ブラウザの UA に出るトークン（学習しない）
+// - Build は Android WebView の "Build/XXXX"、Line / FBAN / FBAV / Instagram / GSA などはアプリ内ブラウザ
+// - "Mozilla/" で始まる UA（ブラウザの形）はそもそも学習しない（17-2) 参照）。ここは Mozilla を名乗らない UA 用
+const BROWSER_UA_TOKENS = new Set([
+  "mozilla", "applewebkit", "chrome", "chromium", "safari", "gecko", "firefox", "version", "mobile", "edg", "edga",
+  "edgios", "opr", "crios", "fxios", "samsungbrowser", "yabrowser", "trident", "presto", "opera", "ucbrowser",
+  "webview", "khtml", "like", "build", "line", "fban", "fbav", "fbios", "fb_iab", "fb4a", "instagram", "gsa",
+  "duckduckgo", "ddg", "micromessenger", "wechat", "kakaotalk", "naver", "whale", "yjapp-ios", "yjapp-android",
+  "twitter", "tiktok", "musical_ly", "bytedancewebview", "snapchat", "pinterest", "linkedinapp", "miuibrowser",
+  "huaweibrowser", "vivobrowser", "heytapbrowser", "brave", "vivaldi", "focus", "silk", "qq", "qqbrowser", "baiduboxapp",
+]);
+
+// 17-1) resolveLearningConfig(): config.learning を検証し、不正な値は既定値に戻す
+function resolveLearningConfig(config) {
+  const c = config?.learning || {};
+  const d = DEFAULT_LEARNING;
+  const posInt = (v, def) => (Number.isInteger(v) && v > 0 ? v : def);
+  return {
+    enabled: typeof c.enabled === "boolean" ? c.enabled : d.enabled,
+    sources: Array.isArray(c.sources) ? c.sources.filter((x) => typeof x === "string" && x) : d.sources,
+    minShScore: posInt(c.minShScore, d.minShScore),
+    autoPromote: typeof c.autoPromote === "boolean" ? c.autoPromote : d.autoPromote,
+    promoteHits: posInt(c.promoteHits, d.promoteHits),
+    promoteDistinctIps: posInt(c.promoteDistinctIps, d.promoteDistinctIps),
+    candidateTtlSec: Math.max(posInt(c.candidateTtlSec, d.candidateTtlSec), KV_MIN_EXP_TTL_SEC),
+    learnedTtlSec: Number.isInteger(c.learnedTtlSec) && c.learnedTtlSec >= 0 ? c.learnedTtlSec : d.learnedTtlSec,
+  };
+}
+
+// 17-2) learnableUaToken(): UA から学習に使うトークンを1つ取り出す（無ければ null）
+// - ブラウザの形（"Mozilla/" で始まる）の UA からは学習しない（なりすましの UA から取ったトークンは本物の客にも出る）
+// - "name/version" の name のうち、ブラウザ / アプリ内ブラウザのものと検証済みクローラ（9) のレジストリ）に当たるものは除く
+// - "/" の無い UA（例: "scrapy"）は UA 全体をトークンにする
+function learnableUaToken(ua, config, logBuffer) {
+  const s = String(ua || "").trim();
+  if (!s || s === "UA_NOT_FOUND") return null;
+  if (/^mozilla\//i.test(s)) return null;
+
+  const names = [...s.matchAll(/([A-Za-z][A-Za-z0-9._-]{2,40})\/[\w.]+/g)].map((m) => m[1]);
+  if (names.length === 0 && /^[A-Za-z][A-Za-z0-9._ -]{2,40}$/.test(s)) names.push(s);
+
+  const verified = getVerifiedBotRegistry(config, logBuffer);
+  for (const name of names) {
+    if (BROWSER_UA_TOKENS.has(name.toLowerCase())) continue;
+    if (verified.some((b) => b.uaRegex.test(name))) continue;
+    return name;
+  }
+  return null;
+}
+
+// 17-3) learningSource(): 違反理由が学習の対象（learning.sources）なら source 名を返す
+function learningSource(reason, learning) {
+  return learning.sources.find((src) => String(reason).includes(src)) ?? null;
+}
+
+// 17-4) recordLearningCandidate(): 候補を1回数え、しきい値を超えたら昇格する（8-7 logAndBlock / 6-1 handle の SH から）
+// - 読んで書くだけ（同時に来た分は数え漏れる。昇格の目安なので十分）
+async function recordLearningCandidate(env, ua, reason, { ip, ipKey, fingerprint, path }, config, logBuffer) {
+  const learning = resolveLearningConfig(config);
+  const source = learning.enabled ? learningSource(reason, learning) : null;
+  if (!source) return;
+
+  const token = learnableUaToken(ua, config, logBuffer);
+  if (!token) return;
+  const id = token.toLowerCase();
+
+  try {
+    const rejects = (await env.BOT_BLOCKER_KV.get(LEARNED_REJECTS_KEY, { type: "json", cacheTtl: KV_CACHE_TTL_SEC })) || [];
+    if (Array.isArray(rejects) && rejects.includes(id)) return;
+
+    const key = LEARN_CANDIDATE_NS + id;
+    const now = Date.now();
+    const cand = (await env.BOT_BLOCKER_KV.get(key, { type: "json" })) || {
+      token,
+      pattern: escapeRegExp(token),
+      hits: 0,
+      ips: [],
+      sources: {},
+      firstSeen: now,
+      examples: [],
+    };
+    cand.hits++;
+    cand.lastSeen = now;
+    cand.sources[source] = (cand.sources[source] || 0) + 1;
+    if (!cand.ips.includes(ipKey) && cand.ips.length < LEARN_MAX_IPS) cand.ips.push(ipKey);
+    cand.examples.unshift({ at: new Date(now).toISOString(), ip, fp: fingerprint, path, reason: String(reason).slice(0, 200), ua: String(ua).slice(0, 300) });
+    cand.examples = cand.examples.slice(0, LEARN_MAX_EXAMPLES);
+
+    if (cand.promoted) {
+      await env.BOT_BLOCKER_KV.put(key, JSON.stringify(cand), { expirationTtl: learning.candidateTtlSec });
+      return;
+    }
+
+    const ready = cand.hits >= learning.promoteHits && cand.ips.length >= learning.promoteDistinctIps;
+    if (ready && learning.autoPromote) {
+      cand.promoted = true;
+      await promoteLearnedPattern(env, cand, "auto", learning, logBuffer);
+    }
+    await env.BOT_BLOCKER_KV.put(key, JSON.stringify(cand), { expirationTtl: learning.candidateTtlSec });
+    logBuffer.push(`[LEARN] candidate=${token} hits=${cand.hits} ips=${cand.ips.length} source=${source}${cand.promoted ? " -> promoted" : ""}`);
+  } catch (e) {
+    logBuffer.push(`[LEARN] Failed to record candidate ${token}: ${e.message}`);
+  }
+}
+
+// 17-5) promoteLearnedPattern(): LEARNED_BAD_BOTS に追加し、meta（期限など）を書く。全isolateに反映させる
+async function promoteLearnedPattern(env, cand, by, learning, logBuffer) {
+  const [list, meta] = await Promise.all([
+    env.BOT_BLOCKER_KV.get(LEARNED_BAD_BOTS_KEY, { type: "json" }),
+    env.BOT_BLOCKER_KV.get(LEARNED_META_KEY, { type: "json" }),
+  ]);
+  const patterns = Array.isArray(list) ? list : [];
+  const metas = meta && typeof meta === "object" ? meta : {};
+  const now = Date.now();
+
+  if (!patterns.includes(cand.pattern)) patterns.push(cand.pattern);
+  metas[cand.pattern] = {
+    token: cand.token,
+    by,
+    promotedAt: now,
+    expiresAt: learning.learnedTtlSec > 0 ? now + learning.learnedTtlSec * 1000 : null,
+    hits: cand.hits,
+  };
+
+  await env.BOT_BLOCKER_KV.put(LEARNED_BAD_BOTS_KEY, JSON.stringify(patterns));
+  await env.BOT_BLOCKER_KV.put(LEARNED_META_KEY, JSON.stringify(metas));
+  invalidateUaMatchers(LEARNED_BAD_BOTS_KEY);
+  await bumpCacheEpoch(env);
+  logBuffer.push(`[LEARN] promoted pattern=${cand.pattern} by=${by} hits=${cand.hits}`);
+}
+
+// 17-6) removeLearnedPatterns(): LEARNED_BAD_BOTS から外す（期限切れ / 却下）。外したものを返す
+async function removeLearnedPatterns(env, shouldRemove, logBuffer) {
+  const [list, meta] = await Promise.all([
+    env.BOT_BLOCKER_KV.get(LEARNED_BAD_BOTS_KEY, { type: "json" }),
+    env.BOT_BLOCKER_KV.get(LEARNED_META_KEY, { type: "json" }),
+  ]);
+  const patterns = Array.isArray(list) ? list : [];
+  const metas = meta && typeof meta === "object" ? meta : {};
+
+  const removed = patterns.filter((p) => shouldRemove(p, metas[p] || null));
+  if (removed.length === 0) return [];
+
+  for (const p of removed) delete metas[p];
+  await env.BOT_BLOCKER_KV.put(LEARNED_BAD_BOTS_KEY, JSON.stringify(patterns.filter((p) => !removed.includes(p))));
+  await env.BOT_BLOCKER_KV.put(LEARNED_META_KEY, JSON.stringify(metas));
+  invalidateUaMatchers(LEARNED_BAD_BOTS_KEY);
+  await bumpCacheEpoch(env);
+  logBuffer.push(`[LEARN] removed patterns=${removed.join(",")}`);
+  return removed;
+}
+
+// 17-7) expireLearnedBadBots(): 期限（meta.expiresAt）を過ぎた学習済みパターンを外す（5) scheduled から）
+async function expireLearnedBadBots(env, logBuffer) {
+  const now = Date.now();
+  return await removeLearnedPatterns(env, (_p, m) => Boolean(m?.expiresAt && m.expiresAt <= now), logBuffer);
+}
+
+// 17-8) escapeRegExp(): トークンを LEARNED_BAD_BOTS の正規表現としてそのまま使えるようにする
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+/* -----------------------------------------------------------------
+ * 18) UA matcher (compiled bad-bot lists)
+ * ----------------------------------------------------------------- */
+
+// ACTIVE_BAD_BOT_LIST / LEARNED_BAD_BOTS / SYSTEM_BAD_BOT_LIST（正規表現文字列の配列）を isolate ごとに1回だけコンパイルする
+// - 1本の正規表現（パターンごとにキャプチャグループ）にまとめ、どのグループが当たったかで「どのパターンか」を返す
+// - 後方参照（\1 / \k<name>）を含むもの、まとめるとコンパイルできないものは個別の RegExp で後から試す
+// - 不正なパターンは読み込み時に1回だけ [REGEX_ERROR] を出して捨てる（リクエストごとには出さない）
+// - KV は UA_LIST_REFRESH_MS ごとに読み直し、中身（JSON テキスト）が変わったときだけ作り直す
+const UA_LIST_REFRESH_MS = 10 * 60 * 1000;
+const UA_PATTERN_MAX_LENGTH = 512;
+
+// 18-1) getUaMatcher(): name のリストのマッチャー（KVが読めなければ前回のものを使い続ける）
+async function getUaMatcher(env, name, logBuffer) {
+  const now = Date.now();
+  const cached = uaMatcherCache.get(name);
+  if (cached && now - cached.lastRead < UA_LIST_REFRESH_MS) return cached.matcher;
+
+  let raw;
+  try {
+    raw = (await env.BOT_BLOCKER_KV.get(name)) || "[]";
+  } catch (e) {
+    logBuffer.push(`[CONFIG] Failed to read ${name}: ${e.message}`);
+    if (cached) return cached.matcher;
+    raw = "[]";
+  }
+
+  if (cached && cached.raw === raw) {
+    cached.lastRead = now;
+    return cached.matcher;
+  }
+
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch {
+    logBuffer.push(`[REGEX_ERROR] ${name} is not valid JSON. Keeping the previous list.`);
+    list = cached ? cached.matcher.patterns : [];
+  }
+
+  const matcher = compileUaMatcher(Array.isArray(list) ? list : [], name, logBuffer);
+  uaMatcherCache.set(name, { raw, matcher, lastRead: now });
+  logBuffer.push(`[CONFIG] Compiled ${name}: ${matcher.patterns.length} patterns (${matcher.rejected.length} rejected)`);
+  return matcher;
+}
+
+// 18-2) compileUaMatcher(): パターン配列 → { patterns, rejected, match(ua) }
+function compileUaMatcher(list, name, logBuffer) {
+  const patterns = [];
+  const rejected = [];
+  for (const p of list) {
+    if (typeof p !== "string" || !p || p.length > UA_PATTERN_MAX_LENGTH) {
+      rejected.push(p);
+      continue;
+    }
+    try {
+      new RegExp(p, "i");
+    } catch {
+      rejected.push(p);
+      continue;
+    }
+    if (!patterns.includes(p)) patterns.push(p);
+  }
+  for (const p of rejected) logBuffer.push(`[REGEX_ERROR] Invalid pattern in ${name} (skipped): ${String(p).slice(0, 100)}`);
+
+  // まとめられるもの（後方参照なし）は1本に、残りは個別
+  const combinable = [];
+  const separate = [];
+  for (const p of patterns) (/\\[1-9]|\\k</.test(p) ? separate : combinable).push(p);
+
+  let combined = null;
+  const groupOf = []; // グループ番号 -> パターン
+  if (combinable.length > 0) {
+    let group = 1;
+    const parts = [];
+    for (const p of combinable) {
+      groupOf[group] = p;
+      // パターン自身のキャプチャグループ数だけ番号を進める
+      group += 1 + (new RegExp(`${p}|`).exec("").length - 1);
+      parts.push(`(${p})`);
+    }
+    try {
+      combined = new RegExp(parts.join("|"), "i");
+    } catch {
+      // 名前付きグループの重複など。全部個別で試す
+      separate.unshift(...combinable);
+    }
+  }
+  const separateRegexes = separate.map((p) => ({ p, re: new RegExp(p, "i") }));
+
+  return {
+    patterns,
+    rejected,
+    // 最初に当たったパターン（無ければ null）
+    match(ua) {
+      if (combined) {
+        const m = combined.exec(ua);
+        if (m) {
+          for (let i = 1; i < groupOf.length; i++) {
+            if (groupOf[i] !== undefined && m[i] !== undefined) return groupOf[i];
+          }
+        }
+      }
+      for (const { p, re } of separateRegexes) if (re.test(ua)) return p;
+      return null;
+    },
+  };
+}
+
+// 18-3) addToUaMatcher(): 1件足したマッチャーに差し替え、KV に書く JSON テキストを返す（次の読み直しで作り直さない）
+function addToUaMatcher(name, pattern, logBuffer) {
+  const cached = uaMatcherCache.get(name);
+  const current = cached ? cached.matcher.patterns : [];
+  if (current.includes(pattern)) return null;
+  const next = [...current, pattern];
+  const raw = JSON.stringify(next);
+  uaMatcherCache.set(name, { raw, matcher: compileUaMatcher(next, name, logBuffer), lastRead: cached?.lastRead ?? Date.now() });
+  return raw;
+}
+
+// 18-4) invalidateUaMatchers(): 次のリクエストで KV を読み直させる（中身が同じならコンパイルはしない）
+function invalidateUaMatchers(name) {
+  for (const [k, entry] of uaMatcherCache) {
+    if (!name || k === name) entry.lastRead = 0;
+  }
+}
+
+/* -----------------------------------------------------------------
+ * 19) List sync (R2 staged sources -> KV / versions / rollback)
+ * ----------------------------------------------------------------- */
+
+// 5) scheduled() が R2 に置かれたソースを読み、検証 → 現行との差分 → 取り込み（版として保存）までを行う。
+// - SYSTEM_BAD_BOT_LIST: dictionaries/bad-bots.txt（1行1パターン / # はコメント）
+// - BOT_CIDRS:           lists/staged/cidrs/<cidrKey>.json（CIDR 配列 / 各社の公開形式 { prefixes: [...] } のまま置いてもよい）
+// - ASN_BLOCKLIST:       lists/staged/asn-blocklist.txt（1行1ASN / "AS13335" も可）
+// 取り込まない（現行のまま）とき:
+// - 不正な行が invalidRatio を超える / 件数が minItems 未満（壊れたファイル・HTML のエラーページ等）
+// - 現行より shrinkRatio を超えて減る（BOT_CIDRS はクローラごとに判定し、そのクローラだけ現行を残す）
+// - 差分なし（版を増やさない）
+// 版: R2 lists/versions/<KVキー>/<version>.json に中身、KV LIST_VERSIONS:<KVキー> に履歴（最新 LIST_VERSION_HISTORY 件）
+//
+// WORKER_CONFIG.listSync = { shrinkRatio: 0.5, invalidRatio: 0.2, minItems: { SYSTEM_BAD_BOT_LIST: 100, BOT_CIDRS: 1, ASN_BLOCKLIST: 1 } }
+const BAD_BOTS_SOURCE_KEY = "dictionaries/bad-bots.txt";
+const CIDR_SOURCE_PREFIX = "lists/staged/cidrs/";
+const ASN_SOURCE_KEY = "lists/staged/asn-blocklist.txt";
+const LIST_VERSIONS_PREFIX = "lists/versions/";
+const LIST_VERSIONS_NS = "LIST_VERSIONS:";
+const LIST_VERSION_HISTORY = 20;
+const SYNCED_LISTS = ["SYSTEM_BAD_BOT_LIST", "BOT_CIDRS", "ASN_BLOCKLIST"];
+
+const DEFAULT_LIST_SYNC = {
+  shrinkRatio: 0.5,
+  invalidRatio: 0.2,
+  minItems: { SYSTEM_BAD_BOT_LIST: 100, BOT_CIDRS: 1, ASN_BLOCKLIST: 1 },
+};
+
+// 19-1) resolveListSyncConfig(): config.listSync を検証し、不正な値は既定値に戻す
+function resolveListSyncConfig(config) {
+  const c = config?.listSync || {};
+  const ratio = (v, def) => (typeof v === "number" && v >= 0 && v <= 1 ? v : def);
+  const minItems = { ...DEFAULT_LIST_SYNC.minItems };
+  for (const name of SYNCED_LISTS) {
+    const v = c.minItems?.[name];
+    if (Number.isInteger(v) && v >= 0) minItems[name] = v;
+  }
+  return {
+    shrinkRatio: ratio(c.shrinkRatio, DEFAULT_LIST_SYNC.shrinkRatio),
+    invalidRatio: ratio(c.invalidRatio, DEFAULT_LIST_SYNC.invalidRatio),
+    minItems,
+  };
+}
+
+// 19-2) syncLists(): 全リストを同期して結果を返す（force: true で減少チェックだけ飛ばす / 管理APIから）
+// - 戻り値: { <KVキー>: { status: "accepted" | "unchanged" | "refused" | "missing", ... } }
+async function syncLists(env, logBuffer, { force = false } = {}) {
+  const config = await getWorkerConfig(env, logBuffer);
+  const cfg = resolveListSyncConfig(config);
+  const results = {};
+
+  // SYSTEM_BAD_BOT_LIST
+  const badBots = await readR2Text(env, BAD_BOTS_SOURCE_KEY);
+  if (badBots === null) {
+    results.SYSTEM_BAD_BOT_LIST = { status: "missing", source: BAD_BOTS_SOURCE_KEY };
+  } else {
+    const parsed = parseBadBotSource(badBots);
+    const current = await env.BOT_BLOCKER_KV.get("SYSTEM_BAD_BOT_LIST", { type: "json" });
+    results.SYSTEM_BAD_BOT_LIST = await applyListCandidate(
+      env, "SYSTEM_BAD_BOT_LIST", parsed, Array.isArray(current) ? current : [], cfg, force, BAD_BOTS_SOURCE_KEY, logBuffer
+    );
+  }
+
+  // BOT_CIDRS（クローラごと）
+  results.BOT_CIDRS = await syncBotCidrs(env, cfg, force, logBuffer);
+
+  // ASN_BLOCKLIST
+  const asnText = await readR2Text(env, ASN_SOURCE_KEY);
+  if (asnText === null) {
+    results.ASN_BLOCKLIST = { status: "missing", source: ASN_SOURCE_KEY };
+  } else {
+    const current = await env.BOT_BLOCKER_KV.get("ASN_BLOCKLIST", { type: "json" });
+    results.ASN_BLOCKLIST = await applyListCandidate(
+      env, "ASN_BLOCKLIST", parseAsnSource(asnText), Array.isArray(current) ? current : [], cfg, force, ASN_SOURCE_KEY, logBuffer
+    );
+  }
+
+  if (Object.values(results).some((r) => r.status === "accepted")) await bumpCacheEpoch(env);
+  return results;
+}
+
+// 19-3) syncBotCidrs(): lists/staged/cidrs/*.json をクローラごとに検証し、通ったものだけ差し替えた BOT_CIDRS を取り込む
+async function syncBotCidrs(env, cfg, force, logBuffer) {
+  const listed = await env.BLOCKLIST_R2.list({ prefix: CIDR_SOURCE_PREFIX });
+  const sources = listed.objects.map((o) => o.key).filter((k) => k.endsWith(".json"));
+  if (sources.length === 0) return { status: "missing", source: CIDR_SOURCE_PREFIX };
+
+  const current = (await env.BOT_BLOCKER_KV.get("BOT_CIDRS", { type: "json" })) || {};
+  const next = { ...current };
+  const crawlers = {};
+
+  for (const key of sources) {
+    const name = key.slice(CIDR_SOURCE_PREFIX.length, -".json".length);
+    let parsed;
+    try {
+      parsed = parseCidrSource(name, JSON.parse((await readR2Text(env, key)) || "null"));
+    } catch (e) {
+      parsed = { items: [], invalid: [`JSON: ${e.message}`] };
+    }
+    const cur = Array.isArray(current[name]) ? current[name] : [];
+    const check = checkListCandidate(parsed, cur, cfg.minItems.BOT_CIDRS, cfg, force);
+    if (check.ok) next[name] = parsed.items;
+    crawlers[name] = check.ok
+      ? { status: "ok", count: parsed.items.length, invalid: parsed.invalid.length }
+      : { status: "refused", reason: check.reason, count: parsed.items.length, current: cur.length };
+    if (!check.ok) logBuffer.push(`[LIST_SYNC] BOT_CIDRS:${name} refused reason=${check.reason} (keeping ${cur.length} current)`);
+  }
+
+  const diff = diffBotCidrs(current, next);
+  if (diff.added === 0 && diff.removed === 0) return { status: "unchanged", crawlers };
+
+  const version = await saveListVersion(env, "BOT_CIDRS", next, { count: Object.values(next).flat().length, ...diff, source: CIDR_SOURCE_PREFIX });
+  logBuffer.push(`[LIST_SYNC] BOT_CIDRS accepted version=${version} +${diff.added} -${diff.removed}`);
+  return { status: "accepted", version, ...diff, crawlers };
+}
+
+// 19-4) applyListCandidate(): 配列のリスト1つを検証 → 差分 → 取り込み
+async function applyListCandidate(env, name, parsed, current, cfg, force, source, logBuffer) {
+  const check = checkListCandidate(parsed, current, cfg.minItems[name], cfg, force);
+  if (!check.ok) {
+    logBuffer.push(`[LIST_SYNC] ${name} refused reason=${check.reason} (keeping ${current.length} current)`);
+    return { status: "refused", reason: check.reason, count: parsed.items.length, current: current.length, invalid: parsed.invalid.slice(0, 10) };
+  }
+
+  const diff = diffLists(current, parsed.items);
+  if (diff.added === 0 && diff.removed === 0) return { status: "unchanged", count: current.length };
+
+  const version = await saveListVersion(env, name, parsed.items, { count: parsed.items.length, ...diff, source });
+  logBuffer.push(`[LIST_SYNC] ${name} accepted version=${version} count=${parsed.items.length} +${diff.added} -${diff.removed} invalid=${parsed.invalid.length}`);
+  return { status: "accepted", version, count: parsed.items.length, ...diff, invalid: parsed.invalid.slice(0, 10) };
+}
+
+// 19-5) checkListCandidate(): 取り込んでよいか（{ ok } / { ok: false, reason }）
+function checkListCandidate(parsed, current, minItems, cfg, force) {
+  const total = parsed.items.length + parsed.invalid.length;
+  if (parsed.items.length < minItems) return { ok: false, reason: `too-few:${parsed.items.length}<${minItems}` };
+  if (total > 0 && parsed.invalid.length / total > cfg.invalidRatio) return { ok: false, reason: `invalid:${parsed.invalid.length}/${total}` };
+  if (!force && current.length > 0 && parsed.items.length < current.length * (1 - cfg.shrinkRatio)) {
+    return { ok: false, reason: `shrink:${current.length}->${parsed.items.length}` };
+  }
+  return { ok: true };
+}
+
+// 19-6) parseBadBotSource() / parseCidrSource() / parseAsnSource(): ソース → { items, invalid }
+// - bad bots: 正規表現としてコンパイルできるものだけ（18) と同じ基準）
+function parseBadBotSource(text) {
+  const lines = text.split("\n").map((l) => l.trim()).filter((l) => l && !l.startsWith("#"));
+  const { patterns, rejected } = compileUaMatcher(lines, "SYSTEM_BAD_BOT_LIST", []);
+  return { items: patterns, invalid: rejected };
+}
+
+// - CIDR: 配列 / { prefixes: [{ ip_prefix | ipv4Prefix | ipv6Prefix }] } / AWS の ip-ranges.json（amazon は service=AMAZON だけ）
+function parseCidrSource(name, json) {
+  let raw = [];
+  if (Array.isArray(json)) raw = json;
+  else if (json && typeof json === "object") {
+    const prefixes = [...(Array.isArray(json.prefixes) ? json.prefixes : []), ...(Array.isArray(json.ipv6_prefixes) ? json.ipv6_prefixes : [])];
+    raw = prefixes
+      .filter((p) => !(name === "amazon" && p?.service && p.service !== "AMAZON"))
+      .map((p) => (typeof p === "string" ? p : p?.ip_prefix ?? p?.ipv6_prefix ?? p?.ipv4Prefix ?? p?.ipv6Prefix));
+  }
+  const items = new Set();
+  const invalid = [];
+  for (const c of raw) {
+    if (isCidr(c)) items.add(c);
+    else invalid.push(c);
+  }
+  return { items: [...items], invalid };
+}
+
+// - ASN: 数字だけ（"AS" は外す）。KV には文字列で置く（6-1 handle の suspicious_asn と同じ形）
+function parseAsnSource(text) {
+  const items = new Set();
+  const invalid = [];
+  for (const line of text.split("\n").map((l) => l.replace(/#.*/, "").trim()).filter(Boolean)) {
+    const m = /^(?:AS)?(\d{1,10})$/i.exec(line);
+    if (!m) invalid.push(line);
+    else items.add(m[1]);
+  }
+  return { items: [...items], invalid };
+}
+
+// 19-7) isCidr(): "<ip>/<len>"（len は v4: 0-32 / v6: 0-128）
+function isCidr(v) {
+  if (typeof v !== "string") return false;
+  const [base, len, extra] = v.split("/");
+  if (extra !== undefined || !isIpAddress(base) || !/^\d{1,3}$/.test(len || "")) return false;
+  return Number(len) <= (base.includes(":") ? 128 : 32);
+}
+
+// 19-8) diffLists() / diffBotCidrs(): 追加・削除の件数と例（最大10件）
+function diffLists(current, next) {
+  const cur = new Set(current);
+  const nxt = new Set(next);
+  const added = next.filter((x) => !cur.has(x));
+  const removed = current.filter((x) => !nxt.has(x));
+  return { added: added.length, removed: removed.length, addedSample: added.slice(0, 10), removedSample: removed.slice(0, 10) };
+}
+
+function diffBotCidrs(current, next) {
+  const out = { added: 0, removed: 0, addedSample: [], removedSample: [] };
+  for (const name of new Set([...Object.keys(current), ...Object.keys(next)])) {
+    const d = diffLists(Array.isArray(current[name]) ? current[name] : [], Array.isArray(next[name]) ? next[name] : []);
+    out.added += d.added;
+    out.removed += d.removed;
+    out.addedSample.push(...d.addedSample.map((x) => `${name}:${x}`));
+    out.removedSample.push(...d.removedSample.map((x) => `${name}:${x}`));
+  }
+  out.addedSample = out.addedSample.slice(0, 10);
+  out.removedSample = out.removedSample.slice(0, 10);
+  return out;
+}
+
+// 19-9) saveListVersion(): 中身を R2 に版として保存 → KV に反映（metadata に version）→ 履歴を更新
+async function saveListVersion(env, name, value, info) {
+  const version = new Date().toISOString().replace(/[-:.]/g, "");
+  const at = new Date().toISOString();
+  await env.BLOCKLIST_R2.put(
+    `${LIST_VERSIONS_PREFIX}${name}/${version}.json`,
+    JSON.stringify({ name, version, at, ...info, value }),
+    { httpMetadata: { contentType: "application/json" } }
+  );
+  await env.BOT_BLOCKER_KV.put(name, JSON.stringify(value), { metadata: { version } });
+  await recordListHistory(env, name, { version, at, ...info });
+  return version;
+}
+
+// 19-10) recordListHistory(): LIST_VERSIONS:<KVキー> = { current, history: [...] }（新しい順）
+async function recordListHistory(env, name, entry) {
+  const key = LIST_VERSIONS_NS + name;
+  const idx = (await env.BOT_BLOCKER_KV.get(key, { type: "json" })) || { current: null, history: [] };
+  idx.current = entry.version;
+  idx.history = [entry, ...(Array.isArray(idx.history) ? idx.history : [])].slice(0, LIST_VERSION_HISTORY);
+  await env.BOT_BLOCKER_KV.put(key, JSON.stringify(idx));
+}
+
+// 19-11) rollbackListVersion(): R2 に残っている版を KV に戻す（履歴には rollbackOf 付きで積む）
+async function rollbackListVersion(env, name, version, logBuffer) {
+  const obj = await env.BLOCKLIST_R2.get(`${LIST_VERSIONS_PREFIX}${name}/${version}.json`);
+  if (!obj) return null;
+  const saved = await obj.json();
+
+  await env.BOT_BLOCKER_KV.put(name, JSON.stringify(saved.value), { metadata: { version } });
+  await recordListHistory(env, name, { version, at: new Date().toISOString(), count: saved.count, rollbackOf: version });
+  invalidateUaMatchers();
+  asnBlocklistCache = null;
+  await bumpCacheEpoch(env);
+  logBuffer.push(`[LIST_SYNC] ${name} rolled back to version=${version}`);
+  return saved;
+}
+
+// 19-12) readR2Text(): R2 のオブジェクトを文字列で（無ければ null）
+async function readR2Text(env, key) {
+  const obj = await env.BLOCKLIST_R2.get(key);
+  return obj ? await obj.text() : null;
+}
+
+/* -----------------------------------------------------------------
+ * 20) WORKER_CONFIG schema / versions / rollback
+ * ----------------------------------------------------------------- */
+
+// WORKER_CONFIG の形を宣言しておき、読み込み時（2-8) と管理APIでの投入時に同じ検証をかける
+// - 知らないキーもエラー（typo した設定が黙って既定値で動くのを防ぐ）
+// - 正規表現・レート制限ポリシー・CIDR は実際にコンパイル / パースして確かめる
+// - 各 resolveXxxConfig() の「不正な値は既定値に戻す」は残す（検証を通った設定でも二重の安全策として）
+//
+// 版: 管理API（PUT /admin/config / rollback）で入れた設定だけ R2 config/versions/<id>.json に中身、
+//     KV CONFIG_VERSIONS に履歴（最新 CONFIG_VERSION_HISTORY 件）。id は 19) と同じ形（20250818T023000000Z）
+// - isolate 起動直後に WORKER_CONFIG が不正だったときは、履歴の current（最後に管理APIで入れた版）→ 無ければ既定値で動く
+// - wrangler kv key put で直接書いた設定は履歴に残らない（検証も読み込み時だけ）ので、管理APIから入れること
+const CONFIG_VERSIONS_PREFIX = "config/versions/";
+const CONFIG_VERSIONS_KEY = "CONFIG_VERSIONS";
+const CONFIG_VERSION_HISTORY = 20;
+const CONFIG_MAX_ERRORS = 50;
+
+// スキーマの部品: type は "object" | "array" | "number" | "string" | "boolean" | "any"（配列で複数可）
+// - object: props（既知のキー）/ values（任意キーの値）/ keyPattern / required
+// - array: items / maxItems、number: int / min / max / gt（より大きい）、string: enum / pattern / regex（コンパイルできること）
+// - orFalse: false も許す、check(v): 追加の検証（エラー文字列 or null）
+const sInt = (min, max) => ({ type: "number", int: true, min, max });
+const sNum = (min, max) => ({ type: "number", min, max });
+const sPos = { type: "number", gt: 0 };
+const sBool = { type: "boolean" };
+const sStr = { type: "string" };
+const sObj = (props, extra = {}) => ({ type: "object", props, ...extra });
+const sArr = (items, extra = {}) => ({ type: "array", items, ...extra });
+
+const WORKER_CONFIG_SCHEMA = sObj({
+  version: { type: ["string", "number"] },
+  thresholds: sObj({ challenge: sNum(0), block: sNum(0) }),
+  scores: sObj({
+    suspiciousAsn: sNum(0),
+    missingHeadersFull: sNum(0),
+    missingHeadersPartial: sNum(0),
+    localeFanout: sNum(0),
+  }),
+  multiLanguageCountries: sObj({}, {
+    keyPattern: /^[A-Za-z]{2}$/,
+    values: sArr({ type: "string", pattern: /^[a-z]{2}$/ }),
+  }),
+  shadow: sObj({ all: sBool, rules: sArr({ type: "string", enum: SHADOW_RULES }) }),
+  escalation: sObj({
+    ladder: sArr(
+      sObj(
+        { status: { type: "string", enum: BLOCK_STATUSES }, ttl: sInt(KV_MIN_EXP_TTL_SEC) },
+        {
+          required: ["status"],
+          check: (st) => (st.status !== "permanent-block" && st.ttl === undefined ? "ttl is required for temp-*" : null),
+        }
+      ),
+      { maxItems: 10, check: (v) => (v.length === 0 ? "ladder must not be empty" : null) }
+    ),
+    // FP 用（8) 参照）: permanent-block は置けない
+    fpLadder: sArr(
+      sObj(
+        { status: { type: "string", enum: BLOCK_STATUSES.filter((st) => st !== "permanent-block") }, ttl: sInt(KV_MIN_EXP_TTL_SEC) },
+        { required: ["status", "ttl"] }
+      ),
+      { maxItems: 10, check: (v) => (v.length === 0 ? "fpLadder must not be empty" : null) }
+    ),
+    decayIntervalSec: sInt(60),
+    cooldownSec: sInt(0),
+  }),
+  verifiedBots: sArr(
+    sObj(
+      {
+        name: sStr,
+        enabled: sBool,
+        uaPattern: { type: "string", regex: true },
+        cidrKey: sStr,
+        rdnsSuffixes: sArr(sStr),
+        rateLimitPerMin: sPos,
+      },
+      { required: ["name"] }
+    )
+  ),
+  events: sObj({
+    enabled: sBool,
+    batchSize: sInt(1, 5000),
+    flushIntervalSec: sNum(1, 3600),
+    forwardSampleRate: sNum(0, 1),
+  }),
+  ipAggregation: sObj({
+    ipv6Prefix: sInt(32, 128),
+    ipv4Range24: sObj({ enabled: sBool, minOffenders: sInt(2, 256), windowSec: sInt(60, 30 * 24 * 3600) }),
+  }),
+  blockPage: sObj({
+    enabled: sBool,
+    defaultStatus: sInt(400, 599),
+    statusByReason: sObj({}, { values: sInt(400, 599) }),
+    disguiseReasons: sArr(sStr),
+  }),
+  selfUnblock: sObj({
+    enabled: sBool,
+    statuses: sArr({ type: "string", enum: BLOCK_STATUSES.filter((s) => s !== "permanent-block") }),
+    maxPerDay: sInt(0, 100),
+    decrementViolations: sBool,
+  }),
+  rateLimits: sObj({
+    policies: sArr(
+      sObj(
+        {
+          id: sStr,
+          enabled: sBool,
+          match: { type: "object" },
+          except: { type: "object" },
+          key: { type: "string", enum: RATE_LIMIT_KEYS },
+          limit: sPos,
+          windowSec: { ...sPos, max: 24 * 3600 },
+          action: { type: "string", enum: RATE_LIMIT_ACTIONS },
+          reason: sStr,
+          shadow: sBool,
+        },
+        { required: ["id"] }
+      ),
+      { check: checkRateLimitPolicies }
+    ),
+  }),
+  cartProtection: sObj({
+    enabled: sBool,
+    maxQuantityPerLine: sInt(1),
+    action: { type: "string", enum: ["reject", "violation"] },
+    shadow: sBool,
+  }),
+  catalogProtection: sObj({
+    enabled: sBool,
+    threshold: sInt(1),
+    action: { type: "string", enum: CATALOG_ACTIONS },
+    truncateTo: sInt(0),
+    volume: sObj({ limit: sInt(1), windowSec: sInt(1, 3600) }),
+    pageWalk: sObj({ minRun: sInt(1), windowSec: sInt(1, 3600) }),
+    scores: sObj({ volume: sNum(0), pageWalk: sNum(0), noPageView: sNum(0) }),
+    partners: sArr(
+      sObj(
+        {
+          name: sStr,
+          cidrs: sArr({ type: "string", check: (v) => (isCidr(v) ? null : "not a CIDR") }),
+          keySha256: { type: "string", pattern: /^[0-9a-f]{64}$/i },
+        },
+        { check: (p) => ((p.cidrs?.length ?? 0) === 0 && !p.keySha256 ? "cidrs or keySha256 is required" : null) }
+      )
+    ),
+    shadow: sBool,
+  }),
+  sessionScoring: sObj({
+    enabled: sBool,
+    idleSec: sInt(60),
+    htmlNoAssets: sObj({ minPages: sPos, score: sPos }, { orFalse: true }),
+    regularTiming: sObj(
+      { minRequests: sPos, maxCv: sPos, maxMeanSec: sPos, score: sPos },
+      { orFalse: true }
+    ),
+    deepPagination: sObj({ minPage: sPos, score: sPos }, { orFalse: true }),
+    productSweep: sObj({ minProducts: sPos, score: sPos }, { orFalse: true }),
+    shadow: sBool,
+  }),
+  learning: sObj({
+    enabled: sBool,
+    sources: sArr(sStr),
+    minShScore: sInt(1),
+    autoPromote: sBool,
+    promoteHits: sInt(1),
+    promoteDistinctIps: sInt(1),
+    candidateTtlSec: sInt(KV_MIN_EXP_TTL_SEC),
+    learnedTtlSec: sInt(0),
+  }),
+  metrics: sObj({ enabled: sBool, flushIntervalSec: sNum(1, 3600) }),
+  // ALERT_EVENTS / ALERT_FORMATS は 23) で定義（このオブジェクトより後なので check で参照する）
+  alerts: sObj({
+    enabled: sBool,
+    webhooks: sArr(
+      sObj(
+        {
+          name: sStr,
+          url: { type: "string", pattern: /^https:\/\/[^\s/]+/ },
+          format: { type: "string", check: (v) => (ALERT_FORMATS.includes(v) ? null : `must be one of ${ALERT_FORMATS.join(", ")}`) },
+          events: sArr({ type: "string", check: (v) => (ALERT_EVENTS.includes(v) ? null : `must be one of ${ALERT_EVENTS.join(", ")}`) }),
+          secretEnv: { type: "string", pattern: /^[A-Z][A-Z0-9_]*$/ },
+          enabled: sBool,
+        },
+        { required: ["url"] }
+      ),
+      { maxItems: 10 }
+    ),
+    minIntervalSec: sInt(KV_MIN_EXP_TTL_SEC, 24 * 3600),
+    digestMax: sInt(1, 200),
+    shChallengeSpike: sObj({ windowSec: sInt(60, 3600), minChallenges: sInt(1), factor: sNum(1) }),
+  }),
+  listSync: sObj({
+    shrinkRatio: sNum(0, 1),
+    invalidRatio: sNum(0, 1),
+    minItems: sObj(Object.fromEntries(SYNCED_LISTS.map((name) => [name, sInt(0)]))),
+  }),
+});
+
+// 20-1) validateWorkerConfig(): スキーマに合わない箇所を "rateLimits.policies[0].limit: ..." の形で返す（空配列 = OK）
+function validateWorkerConfig(config) {
+  const errors = [];
+  validateSchemaValue(config, WORKER_CONFIG_SCHEMA, "WORKER_CONFIG", errors);
+  return errors.slice(0, CONFIG_MAX_ERRORS);
+}
+
+// 20-2) validateSchemaValue(): 1つの値をスキーマと照合（再帰）
+function validateSchemaValue(value, schema, path, errors) {
+  if (errors.length >= CONFIG_MAX_ERRORS) return;
+  if (schema.orFalse && value === false) return;
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const actual = value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+  if (!types.includes("any") && !types.includes(actual)) {
+    errors.push(`${path}: expected ${types.join(" | ")}${schema.orFalse ? " | false" : ""}, got ${actual}`);
+    return;
+  }
+
+  if (actual === "number") {
+    if (!Number.isFinite(value)) errors.push(`${path}: must be a finite number`);
+    else if (schema.int && !Number.isInteger(value)) errors.push(`${path}: must be an integer`);
+    else if (schema.min !== undefined && value < schema.min) errors.push(`${path}: must be >= ${schema.min}`);
+    else if (schema.gt !== undefined && value <= schema.gt) errors.push(`${path}: must be > ${schema.gt}`);
+    else if (schema.max !== undefined && value > schema.max) errors.push(`${path}: must be <= ${schema.max}`);
+  }
+
+  if (actual === "string") {
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+    if (schema.pattern && !schema.pattern.test(value)) errors.push(`${path}: does not match ${schema.pattern}`);
+    if (schema.regex) {
+      try {
+        new RegExp(value, "i");
+      } catch (e) {
+        errors.push(`${path}: invalid regex (${e.message})`);
+      }
+    }
+  }
+
+  if (actual === "array") {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => validateSchemaValue(v, schema.items, `${path}[${i}]`, errors));
+  }
+
+  if (actual === "object") {
+    for (const k of schema.required || []) {
+      if (value[k] === undefined) errors.push(`${path}.${k}: is required`);
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (schema.props && Object.hasOwn(schema.props, k)) {
+        validateSchemaValue(v, schema.props[k], `${path}.${k}`, errors);
+      } else if (schema.values) {
+        if (schema.keyPattern && !schema.keyPattern.test(k)) errors.push(`${path}.${k}: invalid key`);
+        else validateSchemaValue(v, schema.values, `${path}.${k}`, errors);
+      } else if (schema.props) {
+        errors.push(`${path}.${k}: unknown key`);
+      }
+    }
+  }
+
+  if (schema.check && errors.length < CONFIG_MAX_ERRORS) {
+    const e = schema.check(value);
+    if (e) errors.push(`${path}: ${e}`);
+  }
+}
+
+// 20-3) checkRateLimitPolicies(): 既定とマージした後のポリシーが 14-2) でコンパイルできるか（match / except の正規表現も含む）
+function checkRateLimitPolicies(policies) {
+  const byId = new Map(DEFAULT_RATE_LIMIT_POLICIES.map((p) => [p.id, p]));
+  for (const p of policies) {
+    if (p && typeof p.id === "string" && p.id) byId.set(p.id, { ...(byId.get(p.id) || {}), ...p });
+  }
+  for (const p of byId.values()) {
+    if (p.enabled === false) continue;
+    const compiled = compileRateLimitPolicy(p);
+    if (compiled.error) return `policy id=${p.id} ${compiled.error}`;
+  }
+  return null;
+}
+
+// 20-4) lastKnownGoodConfig(): 履歴の current を R2 から読む（無い / 読めない / 今のスキーマで不正なら既定値 = {}）
+async function lastKnownGoodConfig(env, logBuffer) {
+  try {
+    const idx = await env.BOT_BLOCKER_KV.get(CONFIG_VERSIONS_KEY, { type: "json" });
+    const obj = idx?.current ? await env.BLOCKLIST_R2.get(`${CONFIG_VERSIONS_PREFIX}${idx.current}.json`) : null;
+    const saved = obj ? await obj.json() : null;
+    if (saved?.config && validateWorkerConfig(saved.config).length === 0) {
+      logBuffer.push(`[CONFIG] Using last known-good WORKER_CONFIG id=${idx.current} version=${saved.config.version ?? "none"}.`);
+      return saved.config;
+    }
+  } catch (e) {
+    logBuffer.push(`[CONFIG_ERROR] Failed to read last known-good WORKER_CONFIG: ${e.message}`);
+  }
+  logBuffer.push(`[CONFIG] No last known-good WORKER_CONFIG. Using defaults.`);
+  return {};
+}
+
+// 20-5) saveConfigVersion(): 中身を R2 に版として保存 → KV WORKER_CONFIG に反映 → 履歴を更新 → 全isolateへ通知
+async function saveConfigVersion(env, config, info) {
+  const id = new Date().toISOString().replace(/[-:.]/g, "");
+  const at = new Date().toISOString();
+  const version = config.version ?? null;
+  await env.BLOCKLIST_R2.put(
+    `${CONFIG_VERSIONS_PREFIX}${id}.json`,
+    JSON.stringify({ id, version, at, ...info, config }),
+    { httpMetadata: { contentType: "application/json" } }
+  );
+  await env.BOT_BLOCKER_KV.put("WORKER_CONFIG", JSON.stringify(config));
+
+  const idx = (await env.BOT_BLOCKER_KV.get(CONFIG_VERSIONS_KEY, { type: "json" })) || { current: null, history: [] };
+  idx.current = id;
+  idx.history = [{ id, version, at, ...info }, ...(Array.isArray(idx.history) ? idx.history : [])].slice(0, CONFIG_VERSION_HISTORY);
+  await env.BOT_BLOCKER_KV.put(CONFIG_VERSIONS_KEY, JSON.stringify(idx));
+
+  workerConfigLastRead = 0;
+  await bumpCacheEpoch(env);
+  return id;
+}
+
+// 20-6) findConfigVersion(): 履歴から id（完全一致）か version（WORKER_CONFIG.version・新しいものから）で1件探す
+async function findConfigVersion(env, { id, version }) {
+  const idx = await env.BOT_BLOCKER_KV.get(CONFIG_VERSIONS_KEY, { type: "json" });
+  const history = Array.isArray(idx?.history) ? idx.history : [];
+  const entry = id ? history.find((h) => h.id === id) : history.find((h) => h.version !== null && String(h.version) === String(version));
+  if (!entry) return null;
+  const obj = await env.BLOCKLIST_R2.get(`${CONFIG_VERSIONS_PREFIX}${entry.id}.json`);
+  return obj ? await obj.json() : null;
+}
+
+/* -----------------------------------------------------------------
+ * 21) Metrics (isolate counters -> MetricsAggregator DO / Prometheus)
+ * ----------------------------------------------------------------- */
+
+// 判定の件数・レイテンシ等を isolate のメモリで数え、一定間隔で MetricsAggregator（DO "global"）へ足し込む
+// - /admin/metrics で Prometheus テキスト（?format=json で JSON）。リストの件数 / 最終同期はその場で KV から読む
+// - 書き出しはリクエスト到着時に「経過時間 or 系列数」で判定（isolate が破棄されると未送信分は失われる = 12) と同じ）
+// - ラベルの値は有限に保つ（rule の UA パターン部分は落とす / DO のタグは先頭の語だけ）
+//
+// WORKER_CONFIG.metrics = { enabled: true, flushIntervalSec: 30 }
+const METRICS_DO_NAME = "global";
+const METRICS_MAX_SERIES = 2000; // isolate ごと。超えたら時間を待たずに書き出す
+const DEFAULT_METRICS = { enabled: true, flushIntervalSec: 30 };
+
+// 名前 -> [type, help]
+const METRIC_DEFS = {
+  bb_requests_total: ["counter", "Requests by label / action / rule (decision of handle())"],
+  bb_shadow_total: ["counter", "Shadow (monitor only) rule hits by rule / would-be action"],
+  bb_kv_block_hits_total: ["counter", "KV block state hits by kind (ip / fp) / status / outcome"],
+  bb_block_status_lookups_total: ["counter", "getBlockStatusCached() lookups by source (negative / memory / cache / kv) / result"],
+  bb_turnstile_challenges_total: ["counter", "Turnstile challenge pages served by kind (challenge / unblock)"],
+  bb_turnstile_verifications_total: ["counter", "Turnstile verifications by result"],
+  bb_do_failures_total: ["counter", "Durable Object calls that failed by call"],
+  bb_list_sync_total: ["counter", "List sync results by list / status"],
+  bb_config_rejected_total: ["counter", "WORKER_CONFIG versions rejected by schema validation (per isolate)"],
+  bb_alerts_sent_total: ["counter", "Alert webhook deliveries by event / webhook / result"],
+  bb_admin_auth_failures_total: ["counter", "Admin API requests with a wrong or expired key by reason"],
+  bb_request_duration_seconds: ["histogram", "Time spent in the worker per request by action (includes origin fetch)"],
+  bb_decision_score: ["histogram", "Suspicion / session / catalog score attached to a decision by label"],
+};
+
+// ヒストグラムの区切り（+Inf は自動）
+const METRIC_BUCKETS = {
+  bb_request_duration_seconds: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  bb_decision_score: [10, 20, 30, 40, 50, 60, 70, 80, 90, 100],
+};
+
+// rule の後ろに UA パターンが付くもの（系列が無限に増えるので family だけにする）
+const METRIC_RULE_PATTERN_FAMILIES = ["active-bad-bot", "unwanted-bot(learned)", "unwanted-bot(new)"];
+
+let metricsBuffer = { counters: new Map(), histograms: new Map(), rates: new Map() };
+let metricsBufferSince = 0;
+
+// 21-1) resolveMetricsConfig(): config.metrics を既定値とマージ
+function resolveMetricsConfig(config) {
+  const c = config?.metrics || {};
+  return {
+    enabled: typeof c.enabled === "boolean" ? c.enabled : DEFAULT_METRICS.enabled,
+    flushIntervalSec:
+      typeof c.flushIntervalSec === "number" && c.flushIntervalSec >= 1 && c.flushIntervalSec <= 3600
+        ? c.flushIntervalSec
+        : DEFAULT_METRICS.flushIntervalSec,
+  };
+}
+
+// 21-2) metricSeries(): 系列のキー（ラベルは名前順）
+function metricSeries(name, labels = {}) {
+  const sorted = Object.keys(labels)
+    .sort()
+    .map((k) => [k, String(labels[k] ?? "")]);
+  return JSON.stringify([name, Object.fromEntries(sorted)]);
+}
+
+// 21-3) metricInc() / metricObserve(): isolate のバッファに数える
+function metricInc(name, labels, n = 1) {
+  if (metricsBufferSince === 0) metricsBufferSince = Date.now();
+  const key = metricSeries(name, labels);
+  metricsBuffer.counters.set(key, (metricsBuffer.counters.get(key) || 0) + n);
+}
+
+function metricObserve(name, labels, value) {
+  const bounds = METRIC_BUCKETS[name];
+  if (!bounds || typeof value !== "number" || !Number.isFinite(value)) return;
+  if (metricsBufferSince === 0) metricsBufferSince = Date.now();
+  const key = metricSeries(name, labels);
+  let h = metricsBuffer.histograms.get(key);
+  if (!h) {
+    h = { buckets: new Array(bounds.length + 1).fill(0), sum: 0, count: 0 };
+    metricsBuffer.histograms.set(key, h);
+  }
+  const i = bounds.findIndex((b) => value <= b);
+  h.buckets[i < 0 ? bounds.length : i]++;
+  h.sum += value;
+  h.count++;
+}
+
+// 21-4) metricRule(): decision.rule をラベル用に（UA パターン部分を落とす）
+function metricRule(rule) {
+  if (!rule) return "none";
+  const family = METRIC_RULE_PATTERN_FAMILIES.find((f) => rule.startsWith(`${f}:`));
+  return family || rule;
+}
+
+// 21-5) recordRequestMetrics(): 1リクエストの decision を数える（fetch の finally から）
+function recordRequestMetrics(decision, durationMs) {
+  const label = decision.label ? decision.label.replace(/^\[|\]$/g, "") : "none";
+  const action = decision.action || "fast-path";
+  metricInc("bb_requests_total", { label, action, rule: metricRule(decision.rule) });
+  for (const s of decision.shadow) metricInc("bb_shadow_total", { rule: s.rule, action: s.action });
+  metricObserve("bb_request_duration_seconds", { action }, durationMs / 1000);
+  if (typeof decision.score === "number") metricObserve("bb_decision_score", { label }, decision.score);
+  // 急増の検知用（DO が分ごとに数える / 23) 参照）
+  if (label === "SH" && action === "challenge") metricsBuffer.rates.set("sh-challenge", (metricsBuffer.rates.get("sh-challenge") || 0) + 1);
+}
+
+// 21-6) flushMetrics(): 間隔 / 系列数を超えていたら DO へ送る（force: 管理API / cron から即時）
+// - 送れなかった分はバッファへ戻す（次の書き出しで再送）
+function flushMetrics(env, ctx, config, force = false) {
+  const cfg = resolveMetricsConfig(config);
+  if (!cfg.enabled || !env.METRICS_AGGREGATOR) {
+    metricsBuffer = { counters: new Map(), histograms: new Map(), rates: new Map() };
+    metricsBufferSince = 0;
+    return;
+  }
+  const size = metricsBuffer.counters.size + metricsBuffer.histograms.size;
+  if (size === 0) return;
+  if (!force && Date.now() - metricsBufferSince < cfg.flushIntervalSec * 1000 && size < METRICS_MAX_SERIES) return;
+
+  const batch = metricsBuffer;
+  metricsBuffer = { counters: new Map(), histograms: new Map(), rates: new Map() };
+  metricsBufferSince = 0;
+  const p = sendMetrics(env, batch, ctx, config);
+  if (ctx) ctx.waitUntil(p);
+  return p;
+}
+
+// 21-7) sendMetrics(): MetricsAggregator の /add に足し込む（応答の rates で SH challenge の急増を見る）
+async function sendMetrics(env, batch, ctx, config) {
+  const spike = resolveAlertsConfig(config).shChallengeSpike;
+  const stub = env.METRICS_AGGREGATOR.get(env.METRICS_AGGREGATOR.idFromName(METRICS_DO_NAME));
+  const res = await safeFetchDO(
+    stub,
+    new Request("https://metrics-aggregator/add", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        counters: Object.fromEntries(batch.counters),
+        histograms: Object.fromEntries(batch.histograms),
+        rates: Object.fromEntries(batch.rates),
+        rateWindowSec: spike.windowSec,
+      }),
+    }),
+    null,
+    "metrics add"
+  );
+  if (res?.ok) {
+    const body = await res.json().catch(() => null);
+    checkShChallengeSpike(env, ctx, config, body?.rates?.["sh-challenge"], spike);
+    return true;
+  }
+
+  for (const [k, n] of batch.counters) metricsBuffer.counters.set(k, (metricsBuffer.counters.get(k) || 0) + n);
+  for (const [k, h] of batch.histograms) {
+    const cur = metricsBuffer.histograms.get(k);
+    if (!cur) metricsBuffer.histograms.set(k, h);
+    else {
+      h.buckets.forEach((n, i) => (cur.buckets[i] += n));
+      cur.sum += h.sum;
+      cur.count += h.count;
+    }
+  }
+  for (const [k, n] of batch.rates) metricsBuffer.rates.set(k, (metricsBuffer.rates.get(k) || 0) + n);
+  if (metricsBufferSince === 0) metricsBufferSince = Date.now();
+  return false;
+}
+
+// 21-8) readMetricsSnapshot(): DO の合計（読めなければ null）
+async function readMetricsSnapshot(env) {
+  if (!env.METRICS_AGGREGATOR) return null;
+  const stub = env.METRICS_AGGREGATOR.get(env.METRICS_AGGREGATOR.idFromName(METRICS_DO_NAME));
+  const res = await safeFetchDO(stub, new Request("https://metrics-aggregator/snapshot"), null, "metrics snapshot");
+  if (!res?.ok) return null;
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+// 21-9) listHealthGauges(): リストの件数 / 最後に取り込んだ時刻（スクレイプ時に KV から）
+async function listHealthGauges(env) {
+  const names = ["ACTIVE_BAD_BOT_LIST", LEARNED_BAD_BOTS_KEY, ...SYNCED_LISTS];
+  const [values, indexes] = await Promise.all([
+    Promise.all(names.map((n) => env.BOT_BLOCKER_KV.get(n, { type: "json" }).catch(() => null))),
+    Promise.all(SYNCED_LISTS.map((n) => env.BOT_BLOCKER_KV.get(LIST_VERSIONS_NS + n, { type: "json" }).catch(() => null))),
+  ]);
+
+  const gauges = [];
+  names.forEach((list, i) => {
+    const v = values[i];
+    const items = Array.isArray(v)
+      ? v.length
+      : v && typeof v === "object"
+        ? Object.values(v).reduce((sum, x) => sum + (Array.isArray(x) ? x.length : 0), 0)
+        : 0;
+    gauges.push({ name: "bb_list_items", labels: { list }, value: items });
+  });
+  SYNCED_LISTS.forEach((list, i) => {
+    const at = Date.parse(indexes[i]?.history?.[0]?.at ?? "");
+    if (Number.isFinite(at)) gauges.push({ name: "bb_list_version_timestamp_seconds", labels: { list }, value: Math.floor(at / 1000) });
+  });
+  return gauges;
+}
+
+// 21-10) renderPrometheus(): テキスト形式（text/plain; version=0.0.4）
+function renderPrometheus(snapshot, gauges) {
+  const esc = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  const fmt = (labels) => {
+    const parts = Object.entries(labels).map(([k, v]) => `${k}="${esc(v)}"`);
+    return parts.length ? `{${parts.join(",")}}` : "";
+  };
+
+  const byName = new Map();
+  const push = (name, line) => {
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(line);
+  };
+
+  for (const [key, value] of Object.entries(snapshot.counters || {})) {
+    const [name, labels] = JSON.parse(key);
+    push(name, `${name}${fmt(labels)} ${value}`);
+  }
+  for (const [key, h] of Object.entries(snapshot.histograms || {})) {
+    const [name, labels] = JSON.parse(key);
+    const bounds = METRIC_BUCKETS[name] || [];
+    let cumulative = 0;
+    h.buckets.forEach((n, i) => {
+      cumulative += n;
+      push(name, `${name}_bucket${fmt({ ...labels, le: i < bounds.length ? bounds[i] : "+Inf" })} ${cumulative}`);
+    });
+    push(name, `${name}_sum${fmt(labels)} ${h.sum}`);
+    push(name, `${name}_count${fmt(labels)} ${h.count}`);
+  }
+
+  const lines = [];
+  for (const [name, [type, help]] of Object.entries(METRIC_DEFS)) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...(byName.get(name) || []));
+    byName.delete(name);
+  }
+  for (const [name, series] of byName) lines.push(`# TYPE ${name} untyped`, ...series);
+
+  const gaugeHelp = {
+    bb_list_items: "Items in each bot list (BOT_CIDRS: prefixes across crawlers)",
+    bb_list_version_timestamp_seconds: "When the current version of a synced list was saved",
+    bb_metrics_aggregator_up: "1 if the MetricsAggregator Durable Object answered",
+    bb_metrics_aggregator_start_time_seconds: "When the aggregator started counting (counters reset when it restarts)",
+    bb_metrics_dropped_series: "Series dropped by the aggregator (too many label values)",
+  };
+  const gaugeNames = [...new Set(gauges.map((g) => g.name))];
+  for (const name of gaugeNames) {
+    lines.push(`# HELP ${name} ${gaugeHelp[name] || name}`, `# TYPE ${name} gauge`);
+    for (const g of gauges.filter((x) => x.name === name)) lines.push(`${name}${fmt(g.labels)} ${g.value}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// 21-11) metricsJson(): JSON 形式（系列ごとに { name, labels, value } / { name, labels, buckets, sum, count }）
+function metricsJson(snapshot, gauges) {
+  const counters = Object.entries(snapshot.counters || {}).map(([key, value]) => {
+    const [name, labels] = JSON.parse(key);
+    return { name, labels, value };
+  });
+  const histograms = Object.entries(snapshot.histograms || {}).map(([key, h]) => {
+    const [name, labels] = JSON.parse(key);
+    const bounds = METRIC_BUCKETS[name] || [];
+    let cumulative = 0;
+    const buckets = {};
+    h.buckets.forEach((n, i) => (buckets[i < bounds.length ? bounds[i] : "+Inf"] = cumulative += n));
+    return { name, labels, buckets, sum: h.sum, count: h.count };
+  });
+  return { startedAt: snapshot.startedAt ? new Date(snapshot.startedAt).toISOString() : null, counters, histograms, gauges };
+}
+
+/* -----------------------------------------------------------------
+ * 22) Permanent-block records (R2 date partitions / daily index / query)
+ * ----------------------------------------------------------------- */
+
+// permanent-block の記録（8-5）を日付パーティションに置き、日ごとの索引を cron で作る
+// - 記録: blocks/permanent/dt=YYYY-MM-DD/<HHMMSSmmm>-<incident | fp8-乱数>.json（中身は従来と同じ JSON）
+//   customMetadata に ip / blockKey / fingerprint / reason / incidentId / ts / userAgent（list だけで絞り込めるように）
+// - 索引: blocks/permanent-index/dt=YYYY-MM-DD.json = { date, builtAt, complete, count, records: [...], byIp, byFingerprint, byReason }
+//   byXxx は値 -> records の添字。書くのは cron だけ（isolate 同士で索引を奪い合わない）
+// - 日が変わった後に作った索引は complete: true。それ以外の日（今日・索引が無い日）は検索時にパーティションを list する
+// - 旧形式（バケット直下の <ip>-<fp8>-<ms>.json）は cron で少しずつ新しい場所へ移す
+const PERMANENT_BLOCKS_PREFIX = "blocks/permanent/";
+const PERMANENT_INDEX_PREFIX = "blocks/permanent-index/";
+const LEGACY_PERMANENT_BLOCK_KEY = /^([\w:.]+)-([^/]+)-(\d{13})\.json$/;
+const LEGACY_MIGRATE_PER_RUN = 200;
+const BLOCK_QUERY_MAX_DAYS = 92;
+const BLOCK_QUERY_DEFAULT_DAYS = 7;
+const BLOCK_QUERY_MAX_RESULTS = 10000;
+const BLOCK_QUERY_DEFAULT_LIMIT = 1000;
+const BLOCK_CSV_COLUMNS = ["timestamp", "ip", "blockKey", "fingerprint", "reason", "incidentId", "userAgent", "key"];
+
+// 22-1) writePermanentBlockRecord(): 記録を日付パーティションへ（customMetadata 付き）
+async function writePermanentBlockRecord(env, record) {
+  const ts = record.timestamp || new Date().toISOString();
+  const suffix = record.incidentId || `${String(record.fingerprint).substring(0, 8)}-${generateToken(4)}`;
+  const key = `${PERMANENT_BLOCKS_PREFIX}dt=${ts.slice(0, 10)}/${ts.slice(11, 23).replace(/[:.]/g, "")}-${suffix}.json`;
+  await env.BLOCKLIST_R2.put(key, JSON.stringify(record), {
+    httpMetadata: { contentType: "application/json" },
+    customMetadata: permanentBlockMetadata({ ...record, timestamp: ts }),
+  });
+  return key;
+}
+
+// 22-2) permanentBlockMetadata(): 絞り込みに使う項目（R2 の customMetadata は合計 2KB までなので切り詰める）
+function permanentBlockMetadata(r) {
+  return {
+    ts: String(r.timestamp ?? ""),
+    ip: String(r.ip ?? ""),
+    blockKey: String(r.blockKey ?? r.ip ?? ""),
+    fingerprint: String(r.fingerprint ?? ""),
+    reason: String(r.reason ?? "").slice(0, 200),
+    incidentId: String(r.incidentId ?? ""),
+    userAgent: String(r.userAgent ?? "").slice(0, 256),
+  };
+}
+
+// 22-3) listPermanentBlockDay(): その日のパーティションを list して索引の1行ずつにする（中身は読まない）
+async function listPermanentBlockDay(env, date) {
+  const records = [];
+  let cursor;
+  do {
+    const listed = await env.BLOCKLIST_R2.list({
+      prefix: `${PERMANENT_BLOCKS_PREFIX}dt=${date}/`,
+      cursor,
+      include: ["customMetadata"],
+    });
+    for (const o of listed.objects) {
+      const m = o.customMetadata || {};
+      records.push({
+        key: o.key,
+        timestamp: m.ts || null,
+        ip: m.ip || null,
+        blockKey: m.blockKey || null,
+        fingerprint: m.fingerprint || null,
+        reason: m.reason || null,
+        incidentId: m.incidentId || null,
+        userAgent: m.userAgent || null,
+      });
+    }
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+  return records.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+}
+
+// 22-4) buildPermanentBlockIndex(): その日の索引を作り直す
+async function buildPermanentBlockIndex(env, date) {
+  const records = await listPermanentBlockDay(env, date);
+  const by = (field) => {
+    const out = {};
+    records.forEach((r, i) => {
+      if (r[field]) (out[r[field]] ||= []).push(i);
+    });
+    return out;
+  };
+  const builtAt = new Date();
+  const index = {
+    date,
+    builtAt: builtAt.toISOString(),
+    complete: builtAt.getTime() >= Date.parse(`${date}T00:00:00Z`) + 24 * 3600 * 1000,
+    count: records.length,
+    records,
+    byIp: by("ip"),
+    byFingerprint: by("fingerprint"),
+    byReason: by("reason"),
+  };
+  await env.BLOCKLIST_R2.put(`${PERMANENT_INDEX_PREFIX}dt=${date}.json`, JSON.stringify(index), {
+    httpMetadata: { contentType: "application/json" },
+    customMetadata: { count: String(records.length), complete: String(index.complete) },
+  });
+  return index;
+}
+
+// 22-5) indexPermanentBlocks(): cron から。旧形式を移し、昨日（これで complete）と今日の索引を作る
+// - 移した記録の日付の索引も作り直す
+async function indexPermanentBlocks(env, logBuffer) {
+  const dates = new Set(await migrateLegacyPermanentBlocks(env, logBuffer));
+  const now = Date.now();
+  dates.add(new Date(now - 24 * 3600 * 1000).toISOString().slice(0, 10));
+  dates.add(new Date(now).toISOString().slice(0, 10));
+
+  const counts = {};
+  for (const date of [...dates].sort()) counts[date] = (await buildPermanentBlockIndex(env, date)).count;
+  logBuffer.push(`[BLOCK_INDEX] ${JSON.stringify(counts)}`);
+}
+
+// 22-6) migrateLegacyPermanentBlocks(): バケット直下の旧形式を1回 LEGACY_MIGRATE_PER_RUN 件まで移す（移した日付を返す）
+async function migrateLegacyPermanentBlocks(env, logBuffer) {
+  const dates = new Set();
+  let moved = 0;
+  let cursor;
+  do {
+    const listed = await env.BLOCKLIST_R2.list({ cursor, delimiter: "/" });
+    for (const o of listed.objects) {
+      if (moved >= LEGACY_MIGRATE_PER_RUN) break;
+      const m = LEGACY_PERMANENT_BLOCK_KEY.exec(o.key);
+      if (!m) continue;
+
+      const obj = await env.BLOCKLIST_R2.get(o.key);
+      if (!obj) continue;
+      let record;
+      try {
+        record = JSON.parse(await obj.text());
+      } catch {
+        record = { ip: m[1] };
+      }
+      record.timestamp ||= new Date(Number(m[3])).toISOString();
+      record.legacyKey = o.key;
+
+      await writePermanentBlockRecord(env, record);
+      await env.BLOCKLIST_R2.delete(o.key);
+      dates.add(record.timestamp.slice(0, 10));
+      moved++;
+    }
+    cursor = listed.truncated && moved < LEGACY_MIGRATE_PER_RUN ? listed.cursor : undefined;
+  } while (cursor);
+
+  if (moved) logBuffer.push(`[BLOCK_INDEX] Migrated ${moved} legacy permanent-block records.`);
+  return [...dates];
+}
+
+// 22-7) readPermanentBlockDay(): complete な索引があればそれ、無ければパーティションを list
+async function readPermanentBlockDay(env, date) {
+  const obj = await env.BLOCKLIST_R2.get(`${PERMANENT_INDEX_PREFIX}dt=${date}.json`);
+  if (obj) {
+    try {
+      const index = await obj.json();
+      if (index?.complete && Array.isArray(index.records)) return { index, records: index.records };
+    } catch {}
+  }
+  return { index: null, records: await listPermanentBlockDay(env, date) };
+}
+
+// 22-8) parsePermanentBlockQuery(): ?from=&to=&ip=&fp=&reason=&limit=&format= を検証（不正なら { error }）
+// - from / to: YYYY-MM-DD か ISO 日時（UTC）。既定は直近 BLOCK_QUERY_DEFAULT_DAYS 日、最大 BLOCK_QUERY_MAX_DAYS 日
+// - ip: IP / CIDR（ip か blockKey が含まれる）、fp: 前方一致、reason: 部分一致
+function parsePermanentBlockQuery(url) {
+  const q = url.searchParams;
+  const now = Date.now();
+  const parseTime = (v, endOfDay) => {
+    if (!v) return null;
+    const t = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(v) ? `${v}T${endOfDay ? "23:59:59.999" : "00:00:00"}Z` : v);
+    return Number.isFinite(t) ? t : NaN;
+  };
+
+  const to = parseTime(q.get("to"), true) ?? now;
+  const from = parseTime(q.get("from"), false) ?? to - BLOCK_QUERY_DEFAULT_DAYS * 24 * 3600 * 1000;
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) return { error: "invalid from / to" };
+  if (to - from > BLOCK_QUERY_MAX_DAYS * 24 * 3600 * 1000) return { error: `range must be <= ${BLOCK_QUERY_MAX_DAYS} days` };
+
+  const ip = q.get("ip") || null;
+  if (ip && !isIpAddress(ip) && !isCidr(ip)) return { error: "ip must be an IP or CIDR" };
+
+  const limitRaw = Number(q.get("limit") || BLOCK_QUERY_DEFAULT_LIMIT);
+  const format = (q.get("format") || "json").toLowerCase();
+  if (format !== "json" && format !== "csv") return { error: "format must be json or csv" };
+
+  return {
+    from,
+    to,
+    ip,
+    fp: q.get("fp") || null,
+    reason: q.get("reason") || null,
+    limit: Number.isInteger(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, BLOCK_QUERY_MAX_RESULTS) : BLOCK_QUERY_DEFAULT_LIMIT,
+    format,
+  };
+}
+
+// 22-9) queryPermanentBlocks(): 日ごとに索引 / list を読んで絞り込む（新しい日から・limit で打ち切り）
+async function queryPermanentBlocks(env, filter) {
+  const dayOf = (t) => new Date(t).toISOString().slice(0, 10);
+  const days = [];
+  for (let t = Date.parse(dayOf(filter.to)); t >= Date.parse(dayOf(filter.from)); t -= 24 * 3600 * 1000) days.push(dayOf(t));
+
+  const errors = [];
+  const ipMatches = (r) => {
+    if (!filter.ip) return true;
+    if (isIpAddress(filter.ip)) return r.ip === filter.ip || r.blockKey === filter.ip;
+    return (r.ip && isIpAddress(r.ip) && ipInCidr(r.ip, filter.ip, errors)) || r.blockKey === filter.ip;
+  };
+
+  const rows = [];
+  const sources = { index: 0, list: 0 };
+  let truncated = false;
+  for (const date of days) {
+    const { index, records } = await readPermanentBlockDay(env, date);
+    sources[index ? "index" : "list"]++;
+
+    // 単一IPなら索引の byIp で候補を絞る
+    const candidates =
+      index && filter.ip && isIpAddress(filter.ip)
+        ? [...(index.byIp?.[filter.ip] || [])].map((i) => records[i]).filter(Boolean)
+        : records;
+
+    const matched = candidates.filter((r) => {
+      const t = Date.parse(r.timestamp ?? "");
+      if (!Number.isFinite(t) || t < filter.from || t > filter.to) return false;
+      if (filter.fp && !String(r.fingerprint ?? "").startsWith(filter.fp)) return false;
+      if (filter.reason && !String(r.reason ?? "").includes(filter.reason)) return false;
+      return ipMatches(r);
+    });
+    rows.push(...matched.reverse());
+    if (rows.length >= filter.limit) {
+      truncated = rows.length > filter.limit || date !== days[days.length - 1];
+      break;
+    }
+  }
+  return { rows: rows.slice(0, filter.limit), truncated, days: days.length, sources };
+}
+
+// 22-10) permanentBlocksCsv(): CSV（RFC 4180。表計算ソフトで式として解釈される先頭文字は ' を付ける）
+function permanentBlocksCsv(rows) {
+  const cell = (v) => {
+    let s = v === null || v === undefined ? "" : String(v);
+    if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [BLOCK_CSV_COLUMNS.join(",")];
+  for (const r of rows) lines.push(BLOCK_CSV_COLUMNS.map((c) => cell(r[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+/* -----------------------------------------------------------------
+ * 23) Alerts (outbound webhooks / digest / HMAC signature)
+ * ----------------------------------------------------------------- */
+
+// WORKER_CONFIG.alerts = {
+//   "enabled": true,
+//   "webhooks": [
+//     { "name": "ops-slack", "url": "https://hooks.slack.com/services/...", "format": "slack", "events": ["permanent-block", "sh-challenge-spike"] },
+//     { "name": "siem", "url": "https://siem.example.com/bot-blocker", "format": "json", "secretEnv": "ALERT_WEBHOOK_SECRET" }
+//   ],
+//   "minIntervalSec": 300, "digestMax": 20,
+//   "shChallengeSpike": { "windowSec": 300, "minChallenges": 50, "factor": 3 }
+// }
+// - events（省略時は全部）:
+//   permanent-block     8-5) で permanent-block に達した（IP / FP / reason / incident）
+//   active-list-grow    辞書（SYSTEM_BAD_BOT_LIST）に当たったパターンが ACTIVE_BAD_BOT_LIST に増えた
+//   sh-challenge-spike  直近 windowSec の [SH] challenge 数が minChallenges 以上、かつその前1時間の平均（windowSec あたり）の factor 倍以上
+//                       （21) の MetricsAggregator が分ごとに数える。metrics.enabled が false だと出ない）
+// - 同じイベントは minIntervalSec に1通だけ。その間に起きた分は isolate のメモリに溜めて次の1通にまとめる
+//   （digestMax 件まで。超えた分は dropped に件数だけ）。isolate をまたいだ間隔は KV の ALERT_LOCK:<event>（KV は結果整合なので best effort）
+// - format: json = { source, event, count, dropped, first, last, items: [{ at, ... }], sentAt } / slack = { text } / discord = { content }
+// - 署名（secretEnv の env。既定 ALERT_WEBHOOK_SECRET。未設定なら署名ヘッダ無しで送る）:
+//   X-Bot-Blocker-Timestamp: <unix秒>
+//   X-Bot-Blocker-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<body>")>
+//   受け手は同じ計算をして一致 + timestamp が数分以内かを見る（再送の使い回し対策）
+// - 送れなかった digest は再送しない（[ALERT_FAIL] と bb_alerts_sent_total{result="error"} に残る）
+const ALERT_EVENTS = ["permanent-block", "active-list-grow", "sh-challenge-spike"];
+const ALERT_FORMATS = ["json", "slack", "discord"];
+const ALERT_LOCK_NS = "ALERT_LOCK:";
+const ALERT_SECRET_ENV = "ALERT_WEBHOOK_SECRET";
+const ALERT_TIMEOUT_MS = 5000;
+const ALERT_TEXT_MAX = { slack: 3500, discord: 2000 };
+const DEFAULT_ALERTS = {
+  enabled: true,
+  webhooks: [],
+  minIntervalSec: 300,
+  digestMax: 20,
+  shChallengeSpike: { windowSec: 300, minChallenges: 50, factor: 3 },
+};
+
+// 23-1) resolveAlertsConfig(): config.alerts を既定値とマージ（https 以外の url / 無効な webhook は外す）
+function resolveAlertsConfig(config) {
+  const c = config?.alerts || {};
+  const spike = c.shChallengeSpike || {};
+  const num = (v, min, max, fallback) => (typeof v === "number" && v >= min && v <= max ? v : fallback);
+  const webhooks = (Array.isArray(c.webhooks) ? c.webhooks : [])
+    .filter((w) => w && w.enabled !== false && typeof w.url === "string" && w.url.startsWith("https://"))
+    .map((w, i) => ({
+      name: typeof w.name === "string" && w.name ? w.name : `webhook-${i}`,
+      url: w.url,
+      format: ALERT_FORMATS.includes(w.format) ? w.format : "json",
+      events: Array.isArray(w.events) ? w.events.filter((e) => ALERT_EVENTS.includes(e)) : ALERT_EVENTS,
+      secretEnv: typeof w.secretEnv === "string" && w.secretEnv ? w.secretEnv : ALERT_SECRET_ENV,
+    }));
+  return {
+    enabled: typeof c.enabled === "boolean" ? c.enabled : DEFAULT_ALERTS.enabled,
+    webhooks,
+    minIntervalSec: num(c.minIntervalSec, KV_MIN_EXP_TTL_SEC, 24 * 3600, DEFAULT_ALERTS.minIntervalSec),
+    digestMax: num(c.digestMax, 1, 200, DEFAULT_ALERTS.digestMax),
+    shChallengeSpike: {
+      windowSec: num(spike.windowSec, 60, 3600, DEFAULT_ALERTS.shChallengeSpike.windowSec),
+      minChallenges: num(spike.minChallenges, 1, Infinity, DEFAULT_ALERTS.shChallengeSpike.minChallenges),
+      factor: num(spike.factor, 1, Infinity, DEFAULT_ALERTS.shChallengeSpike.factor),
+    },
+  };
+}
+
+// 23-2) queueAlert(): isolate のバッファに溜めて、送れるなら waitUntil で送る（ctx が無いときは次のリクエストで）
+function queueAlert(env, ctx, config, event, item) {
+  const cfg = resolveAlertsConfig(config);
+  if (!cfg.enabled || !cfg.webhooks.some((w) => w.events.includes(event))) return;
+
+  const now = Date.now();
+  let pending = alertPending.get(event);
+  if (!pending) {
+    pending = { items: [], dropped: 0, first: now, last: now };
+    alertPending.set(event, pending);
+  }
+  if (pending.items.length < cfg.digestMax) pending.items.push({ at: new Date(now).toISOString(), ...item });
+  else pending.dropped++;
+  pending.last = now;
+
+  if (ctx) ctx.waitUntil(flushAlerts(env, config));
+}
+
+// 23-3) checkShChallengeSpike(): MetricsAggregator の応答 { current, baseline } が閾値を超えていたら通知
+function checkShChallengeSpike(env, ctx, config, rate, spike) {
+  if (!rate || typeof rate.current !== "number" || typeof rate.baseline !== "number") return;
+  if (rate.current < spike.minChallenges || rate.current < rate.baseline * spike.factor) return;
+  queueAlert(env, ctx, config, "sh-challenge-spike", {
+    challenges: rate.current,
+    baseline: Math.round(rate.baseline * 10) / 10,
+    windowSec: spike.windowSec,
+  });
+}
+
+// 23-4) flushAlerts(): minIntervalSec を過ぎたイベントだけ、溜まった分を1通にまとめて送る
+async function flushAlerts(env, config) {
+  const cfg = resolveAlertsConfig(config);
+  if (!cfg.enabled || cfg.webhooks.length === 0) {
+    alertPending.clear();
+    return;
+  }
+
+  const now = Date.now();
+  for (const [event, pending] of [...alertPending]) {
+    if (now - (alertLastSent.get(event) || 0) < cfg.minIntervalSec * 1000) continue;
+    // 先に印を付ける（同じ isolate の並行リクエストが同じ digest を送らないように）
+    alertLastSent.set(event, now);
+
+    const lockKey = ALERT_LOCK_NS + event;
+    try {
+      if (await env.BOT_BLOCKER_KV.get(lockKey)) continue; // 他の isolate が送ったばかり（溜めたまま次の間隔で）
+      await env.BOT_BLOCKER_KV.put(lockKey, String(now), { expirationTtl: cfg.minIntervalSec });
+    } catch (e) {
+      console.log(`[ALERT_FAIL] lock ${event}: ${String(e?.message || e)}`);
+    }
+
+    if (alertPending.get(event) !== pending) continue;
+    alertPending.delete(event);
+    await sendAlertDigest(env, cfg, event, pending);
+  }
+}
+
+// 23-5) sendAlertDigest(): このイベントを購読している webhook へ送る（署名付き / タイムアウト ALERT_TIMEOUT_MS）
+async function sendAlertDigest(env, cfg, event, pending) {
+  const digest = {
+    source: "shopify-bot-blocker",
+    event,
+    count: pending.items.length + pending.dropped,
+    dropped: pending.dropped,
+    first: new Date(pending.first).toISOString(),
+    last: new Date(pending.last).toISOString(),
+    items: pending.items,
+    sentAt: new Date(Date.now()).toISOString(),
+  };
+
+  await Promise.all(
+    cfg.webhooks
+      .filter((w) => w.events.includes(event))
+      .map(async (w) => {
+        const body = JSON.stringify(alertPayload(w.format, digest));
+        const headers = { "Content-Type": "application/json", "X-Bot-Blocker-Event": event };
+        const secret = env[w.secretEnv];
+        if (typeof secret === "string" && secret) {
+          const ts = String(Math.floor(Date.now() / 1000));
+          headers["X-Bot-Blocker-Timestamp"] = ts;
+          headers["X-Bot-Blocker-Signature"] = `sha256=${await hmacSha256Hex(secret, `${ts}.${body}`)}`;
+        }
+
+        let result = "ok";
+        try {
+          const res = await fetch(w.url, { method: "POST", headers, body, signal: AbortSignal.timeout(ALERT_TIMEOUT_MS) });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          console.log(`[ALERT] ${w.name} event=${event} count=${digest.count}${headers["X-Bot-Blocker-Signature"] ? "" : ` (unsigned: ${w.secretEnv} is not set)`}`);
+        } catch (e) {
+          result = "error";
+          console.log(`[ALERT_FAIL] ${w.name} event=${event} count=${digest.count}: ${String(e?.message || e)}`);
+        }
+        metricInc("bb_alerts_sent_total", { event, webhook: w.name, result });
+      })
+  );
+}
+
+// 23-6) alertPayload(): format ごとの本文（slack / discord は1行1件のテキスト）
+// - UA / reason は攻撃側が決められる文字列なので、slack は <>& をエスケープ（<!channel> 等にさせない）、discord はメンションを無効にする
+function alertPayload(format, digest) {
+  if (format === "json") return digest;
+
+  const lines = [`[${digest.source}] ${digest.event} x${digest.count} (${digest.first} - ${digest.last})`];
+  for (const item of digest.items) {
+    const fields = Object.entries(item)
+      .filter(([k, v]) => k !== "at" && v !== null && v !== undefined && v !== "")
+      .map(([k, v]) => `${k}=${String(v).slice(0, 120)}`);
+    lines.push(`- ${item.at} ${fields.join(" ")}`);
+  }
+  if (digest.dropped > 0) lines.push(`... and ${digest.dropped} more`);
+
+  const text = lines.join("\n").slice(0, ALERT_TEXT_MAX[format]);
+  if (format === "slack") return { text: text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;") };
+  return { content: text, allowed_mentions: { parse: [] } };
+}
+
+/* -----------------------------------------------------------------
+ * 24) Staff / partner bypass (signed passes / IP・CIDR・ASN allowlist)
+ * ----------------------------------------------------------------- */
+
+// 判定パイプライン全体を素通しにする相手（社内スタッフ / 倉庫・事務所の回線 / 決済などの取引先）
+// - 署名付きパス: 人（identity）ごとに管理APIで発行。期限（exp）と範囲（paths）付き
+//   形式: bb1.<kid>.<payload(base64url JSON)>.<HMAC-SHA256(base64url)>、payload: { sub, paths, iat, exp, jti }（秒）
+//   送り方: cookie bb_bypass（ブラウザ）or ヘッダ X-Bot-Blocker-Bypass（サーバー間）
+//   署名鍵: BYPASS_HMAC_SECRET（ローテーション中だけ旧鍵を BYPASS_HMAC_SECRET_PREV に / ts_pass と同じ手順）
+//   発行したパスは台帳（passes）に残し、台帳に無い jti は通さない（= 失効は台帳から消すだけ）
+// - 許可リスト: IP / CIDR / ASN ごとに identity を付ける。expiresAt（ms）と paths は任意
+// - paths: 小文字のパスの前方一致（省略 = 全部）。例: ["/apps/payment"]
+// - 素通しにしたときは必ず [BYPASS] identity=... via=pass|ip|cidr|asn ref=<jti | id> を出し、判定イベントにも bypass として残す
+// - 反映: 各isolate が BYPASS_ALLOWLIST_REFRESH_MS ごとに読み直す（管理APIで変えたときはキャッシュ世代で即時）
+//
+// BYPASS_ALLOWLIST(KV) = {
+//   "entries": [ { "id": "...", "type": "cidr", "value": "198.51.100.0/24", "identity": "office:tokyo", "paths": ["/"], "expiresAt": null, "addedAt": 1755480000000 } ],
+//   "passes": { "<jti>": { "identity": "staff:tanaka", "paths": ["/"], "iat": 1755480000, "exp": 1758072000 } }
+// }
+const BYPASS_ALLOWLIST_KEY = "BYPASS_ALLOWLIST";
+const BYPASS_ALLOWLIST_REFRESH_MS = 30_000;
+const BYPASS_TOKEN_VERSION = "bb1";
+const BYPASS_COOKIE = "bb_bypass";
+const BYPASS_HEADER = "X-Bot-Blocker-Bypass";
+const BYPASS_PASS_DEFAULT_TTL_SEC = 30 * 24 * 3600;
+const BYPASS_PASS_MAX_TTL_SEC = 365 * 24 * 3600;
+const BYPASS_MAX_ENTRIES = 500;
+const BYPASS_MAX_PASSES = 500;
+const BYPASS_ENTRY_TYPES = ["ip", "cidr", "asn"];
+
+// 24-1) matchBypass(): パス → 許可リストの順に見て、当たれば { identity, via, ref }（無ければ null）
+async function matchBypass(request, env, ip, path, logBuffer) {
+  const token = parseCookieSafe(request)[BYPASS_COOKIE] || request.headers.get(BYPASS_HEADER);
+  const list = await getBypassAllowlist(env, logBuffer);
+  if (token) {
+    const pass = await verifyBypassPass(env, token, list, logBuffer);
+    if (pass && bypassPathAllowed(path, pass.paths)) return { identity: pass.sub, via: "pass", ref: pass.jti };
+  }
+
+  const now = Date.now();
+  const asn = request.cf?.asn;
+  for (const e of list.entries) {
+    if (e.expiresAt && e.expiresAt <= now) continue;
+    if (!bypassPathAllowed(path, e.paths)) continue;
+    const hit =
+      e.type === "asn"
+        ? asn !== undefined && String(asn) === e.value
+        : isIpAddress(ip) && ipInCidr(ip, e.type === "ip" ? `${e.value}/${e.value.includes(":") ? 128 : 32}` : e.value, logBuffer);
+    if (hit) return { identity: e.identity, via: e.type, ref: e.id };
+  }
+  return null;
+}
+
+// 24-2) getBypassAllowlist(): BYPASS_ALLOWLIST を読む（BYPASS_ALLOWLIST_REFRESH_MS ごと / 読めなければ前回の値）
+async function getBypassAllowlist(env, logBuffer) {
+  const now = Date.now();
+  if (bypassAllowlistCache && now - bypassAllowlistLastRead < BYPASS_ALLOWLIST_REFRESH_MS) return bypassAllowlistCache;
+  bypassAllowlistLastRead = now;
+
+  try {
+    bypassAllowlistCache = normalizeBypassAllowlist(await env.BOT_BLOCKER_KV.get(BYPASS_ALLOWLIST_KEY, { type: "json", cacheTtl: 30 }));
+  } catch (e) {
+    logBuffer.push(`[BYPASS] Failed to read ${BYPASS_ALLOWLIST_KEY}: ${e.message}`);
+    bypassAllowlistCache ||= { entries: [], passes: {} };
+  }
+  return bypassAllowlistCache;
+}
+
+// 24-3) readBypassAllowlist() / saveBypassAllowlist(): 管理API用（キャッシュを通さない / 書いたら全isolateへ通知）
+async function readBypassAllowlist(env) {
+  return normalizeBypassAllowlist(await env.BOT_BLOCKER_KV.get(BYPASS_ALLOWLIST_KEY, { type: "json" }));
+}
+
+async function saveBypassAllowlist(env, list) {
+  await env.BOT_BLOCKER_KV.put(BYPASS_ALLOWLIST_KEY, JSON.stringify(list));
+  bypassAllowlistCache = list;
+  bypassAllowlistLastRead = Date.now();
+  await bumpCacheEpoch(env);
+}
+
+// 24-4) normalizeBypassAllowlist(): 形の崩れた値は捨てる（手で put された場合も読めるように）
+function normalizeBypassAllowlist(raw) {
+  const entries = (Array.isArray(raw?.entries) ? raw.entries : []).filter(
+    (e) => e && BYPASS_ENTRY_TYPES.includes(e.type) && typeof e.value === "string" && typeof e.identity === "string"
+  );
+  const passes = {};
+  for (const [jti, p] of Object.entries(raw?.passes && typeof raw.passes === "object" ? raw.passes : {})) {
+    if (p && typeof p.identity === "string" && typeof p.exp === "number") passes[jti] = p;
+  }
+  return { entries, passes };
+}
+
+// 24-5) pruneBypassAllowlist(): 期限切れのエントリ / パスを外す（管理APIで書くときに）
+function pruneBypassAllowlist(list) {
+  const now = Date.now();
+  const nowSec = Math.floor(now / 1000);
+  return {
+    entries: list.entries.filter((e) => !e.expiresAt || e.expiresAt > now),
+    passes: Object.fromEntries(Object.entries(list.passes).filter(([, p]) => p.exp > nowSec)),
+  };
+}
+
+// 24-6) getBypassKeys(): パスの署名鍵（先頭 = 署名に使う現行鍵、以降は検証のみ）
+async function getBypassKeys(env) {
+  const secrets = [env.BYPASS_HMAC_SECRET, env.BYPASS_HMAC_SECRET_PREV].filter((v) => typeof v === "string" && v);
+  const source = secrets.join("\n");
+  if (bypassKeysCache && bypassKeysCache.source === source) return bypassKeysCache.keys;
+
+  const keys = await importHmacKeys(secrets, "bb_bypass-kid");
+  bypassKeysCache = { source, keys };
+  return keys;
+}
+
+// 24-7) signBypassPass(): payload に署名してトークンにする
+async function signBypassPass({ kid, key }, payload) {
+  const body = `${BYPASS_TOKEN_VERSION}.${kid}.${base64url(new TextEncoder().encode(JSON.stringify(payload)))}`;
+  const sig = new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(body)));
+  return `${body}.${base64url(sig)}`;
+}
+
+// 24-8) verifyBypassPass(): 署名 → 期限 → 台帳（失効）の順に確かめ、payload を返す（だめなら null）
+async function verifyBypassPass(env, token, list, logBuffer) {
+  const parts = String(token).split(".");
+  if (parts.length !== 4 || parts[0] !== BYPASS_TOKEN_VERSION) return null;
+  const [, kid, payloadB64, sigB64] = parts;
+
+  const entry = (await getBypassKeys(env)).find((k) => k.kid === kid);
+  if (!entry) {
+    logBuffer.push(`[BYPASS] Rejected pass: unknown kid=${kid}`);
+    return null;
+  }
+
+  let payload;
+  try {
+    const ok = await crypto.subtle.verify(
+      "HMAC",
+      entry.key,
+      base64urlDecode(sigB64),
+      new TextEncoder().encode(`${BYPASS_TOKEN_VERSION}.${kid}.${payloadB64}`)
+    );
+    if (!ok) {
+      logBuffer.push("[BYPASS] Rejected pass: bad signature");
+      return null;
+    }
+    payload = JSON.parse(new TextDecoder().decode(base64urlDecode(payloadB64)));
+  } catch {
+    return null;
+  }
+
+  if (typeof payload?.exp !== "number" || payload.exp <= Math.floor(Date.now() / 1000)) {
+    logBuffer.push(`[BYPASS] Rejected pass: expired identity=${payload?.sub} jti=${payload?.jti}`);
+    return null;
+  }
+  if (!list.passes[payload.jti]) {
+    logBuffer.push(`[BYPASS] Rejected pass: revoked identity=${payload.sub} jti=${payload.jti}`);
+    return null;
+  }
+  return payload;
+}
+
+// 24-9) bypassPathAllowed(): paths（前方一致）の範囲内か（省略 / 空 = 全部）
+function bypassPathAllowed(path, paths) {
+  return !Array.isArray(paths) || paths.length === 0 || paths.some((p) => path.startsWith(p));
+}
+
+// 24-10) parseBypassIdentity() / parseBypassPaths() / parseBypassEntry(): 管理APIの入力検証
+function parseBypassIdentity(v) {
+  if (typeof v !== "string") return null;
+  const s = v.trim();
+  return s && s.length <= 100 && !/[\u0000-\u001f\u007f]/.test(s) ? s : null;
+}
+
+function parseBypassPaths(v) {
+  if (v === undefined || v === null) return ["/"];
+  if (!Array.isArray(v) || v.length === 0 || v.length > 20) return null;
+  if (!v.every((p) => typeof p === "string" && p.startsWith("/") && p.length <= 200)) return null;
+  return v.map((p) => p.toLowerCase());
+}
+
+function parseBypassEntry(body) {
+  const type = body?.type;
+  if (!BYPASS_ENTRY_TYPES.includes(type)) return { error: `type must be one of ${BYPASS_ENTRY_TYPES.join(", ")}` };
+
+  let value = typeof body.value === "string" || typeof body.value === "number" ? String(body.value).trim() : "";
+  if (type === "ip" && !isIpAddress(value)) return { error: "value must be an IP address" };
+  if (type === "cidr" && !isCidr(value)) return { error: "value must be a CIDR (e.g. 198.51.100.0/24)" };
+  if (type === "asn") {
+    const m = /^(?:AS)?(\d{1,10})$/i.exec(value);
+    if (!m) return { error: "value must be an ASN (e.g. AS64500)" };
+    value = String(Number(m[1]));
+  }
+
+  const identity = parseBypassIdentity(body.identity);
+  if (!identity) return { error: "identity is required (1-100 chars)" };
+  const paths = parseBypassPaths(body.paths);
+  if (!paths) return { error: "paths must be an array of path prefixes starting with /" };
+
+  let expiresAt = null;
+  if (body.ttlSec !== undefined) {
+    if (!Number.isInteger(body.ttlSec) || body.ttlSec < 60) return { error: "ttlSec must be an integer >= 60" };
+    expiresAt = Date.now() + body.ttlSec * 1000;
+  }
+  return { entry: { type, value, identity, paths, expiresAt } };
+}
+
+/* -----------------------------------------------------------------
+ * 25) Admin authentication (scoped keys / lockout / audit log)
+ * ----------------------------------------------------------------- */
+
+// 管理APIの認証（handle() の Admin path から。ルーティングは 11-1) handleAdminRequest）
+// - 資格情報: Authorization: Bearer <key>（スクリプト）or admin_key cookie（ブラウザ / Prometheus のスクレイプ）
+// - root: env.ADMIN_KEY。全スコープ + 名前付きキーの管理（/admin/keys）。普段は名前付きキーを使い、root は発行と非常時だけ
+// - 名前付きキー: KV ADMIN_KEYS に SHA-256 だけ置く（平文は発行時の応答でしか見られない）
+//   ADMIN_KEYS = { "keys": [ { "id", "name", "sha256", "scopes": ["read" | "blocks" | "config"], "createdAt", "expiresAt" } ] }
+// - スコープ: read = 参照（GET / 検証だけの POST）。blocks / config を持つキーは read もできる
+//   blocks = ブロック状態・ts_pass の失効・学習の承認/却下・/reset-state
+//   config = WORKER_CONFIG・リストのリセット / 同期 / ロールバック・素通しの許可リスト / パス
+// - 失敗: 資格情報を付けて間違えたときだけ数える。IP（IPv6 は /64）ごとに ADMIN_AUTH_FAIL_WINDOW_SEC で
+//   ADMIN_AUTH_FAIL_LIMIT 回を超えたら、その間は正しいキーでも 429（総当たり対策）
+// - 監査ログ: 変更系のリクエストは成否に関わらず R2 audit/admin/dt=YYYY-MM-DD/<時刻>-<乱数>.json に1件ずつ書く（上書き・削除しない）
+//   { at, actor: { id, name }, ip, method, path, query, scope, status, changes: { <KVキー>: { before, after } } }
+//   before / after は対象の KV をリクエストの前後で読んだもの（大きい値は長さと SHA-256 だけ / ADMIN_KEYS の sha256 は伏せる）
+const ADMIN_KEYS_KEY = "ADMIN_KEYS";
+const ADMIN_SCOPES = ["read", "blocks", "config"];
+const ADMIN_KEY_TOKEN_PREFIX = "bbk_";
+const ADMIN_MAX_KEYS = 50;
+const ADMIN_AUTH_FAIL_LIMIT = 10;
+const ADMIN_AUTH_FAIL_WINDOW_SEC = 600;
+const ADMIN_LOCK_NS = "ADMIN_LOCK:"; // ADMIN_LOCK:<ipKey> = 締め出した時刻(ms)（TTL = ADMIN_AUTH_FAIL_WINDOW_SEC）
+const ADMIN_AUDIT_PREFIX = "audit/admin/";
+const AUDIT_VALUE_MAX_CHARS = 16 * 1024;
+const AUDIT_QUERY_DEFAULT_LIMIT = 100;
+const AUDIT_QUERY_MAX = 500;
+
+// 25-1) handleAdminEntry(): 認証 → スコープ → ルーティング（変更系は前後の状態を監査ログへ）
+async function handleAdminEntry(request, env, logBuffer) {
+  const url = new URL(request.url);
+  const method = request.method;
+  const parts = adminPathParts(url);
+  const ip = request.headers.get("CF-Connecting-IP") || "IP_NOT_FOUND";
+
+  const auth = await authenticateAdmin(request, env, ip, logBuffer);
+  if (auth.locked) {
+    const res = jsonResponse({ error: "too many failed attempts" }, 429);
+    res.headers.set("Retry-After", String(ADMIN_AUTH_FAIL_WINDOW_SEC));
+    return res;
+  }
+  // 資格情報が無い / 間違い: 従来どおり管理APIの存在を見せない
+  if (!auth.principal) return new Response("Not Found", { status: 404 });
+
+  const principal = auth.principal;
+  const scope = adminRequiredScope(method, parts);
+  if (!adminHasScope(principal, scope)) {
+    logBuffer.push(`[ADMIN_AUTH] denied key=${principal.name} scope=${scope} ${method} ${url.pathname}`);
+    return jsonResponse({ error: `scope '${scope}' is required` }, 403);
+  }
+  if (scope === "read") return await handleAdminRequest(request, env, logBuffer, principal);
+
+  const keys = await auditKvKeys(method, parts, url, env, logBuffer);
+  const before = await snapshotKv(env, keys);
+  let response = null;
+  let error = null;
+  try {
+    response = await handleAdminRequest(request, env, logBuffer, principal);
+  } catch (e) {
+    error = e;
+  }
+  const after = await snapshotKv(env, keys);
+
+  await writeAuditRecord(
+    env,
+    {
+      at: new Date(Date.now()).toISOString(),
+      actor: { id: principal.id, name: principal.name },
+      ip,
+      method,
+      path: url.pathname,
+      query: url.search || null,
+      scope,
+      status: response ? response.status : 500,
+      error: error ? String(error?.message || error) : null,
+      changes: Object.fromEntries(keys.map((k) => [k, { before: before[k], after: after[k] }])),
+    },
+    logBuffer
+  );
+  if (error) throw error;
+  return response;
+}
+
+// 25-2) adminPathParts(): /admin/... を "/" で分けてデコード
+function adminPathParts(url) {
+  return url.pathname
+    .split("/")
+    .filter(Boolean)
+    .map((p) => {
+      try { return decodeURIComponent(p); } catch { return p; }
+    });
+}
+
+// 25-3) adminCredential(): Authorization: Bearer → admin_key cookie の順（無ければ null）
+function adminCredential(req) {
+  const m = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.get("Authorization") || "");
+  if (m) return m[1];
+  return parseCookieSafe(req)["admin_key"] || null;
+}
+
+// 25-4) authenticateAdmin(): { principal: { id, name, scopes, root } | null, locked }
+async function authenticateAdmin(request, env, ip, logBuffer) {
+  const token = adminCredential(request);
+  if (!token) return { principal: null, locked: false };
+
+  const ipKey = ipBlockKey(ip, resolveIpAggregation(null));
+  if (await env.BOT_BLOCKER_KV.get(ADMIN_LOCK_NS + ipKey)) {
+    logBuffer.push(`[ADMIN_AUTH] locked out IP=${ip} key=${ipKey}`);
+    return { principal: null, locked: true };
+  }
+
+  if (typeof env.ADMIN_KEY === "string" && env.ADMIN_KEY && constantTimeEqual(token, env.ADMIN_KEY)) {
+    return { principal: { id: "root", name: "ADMIN_KEY", scopes: ADMIN_SCOPES, root: true }, locked: false };
+  }
+
+  const hash = await sha256Hex(token);
+  const now = Date.now();
+  const key = (await readAdminKeys(env)).find((k) => constantTimeEqual(k.sha256, hash));
+  if (key && !(key.expiresAt && key.expiresAt <= now)) {
+    return { principal: { id: key.id, name: key.name, scopes: key.scopes, root: false }, locked: false };
+  }
+
+  metricInc("bb_admin_auth_failures_total", { reason: key ? "expired" : "invalid" });
+  const rl = await rateLimitHit(env, ipKey, "admin-auth", ADMIN_AUTH_FAIL_LIMIT, ADMIN_AUTH_FAIL_WINDOW_SEC, logBuffer);
+  logBuffer.push(`[ADMIN_AUTH] failed (${key ? `expired key=${key.name}` : "invalid key"}) IP=${ip} ${request.method} ${new URL(request.url).pathname}`);
+  if (rl.allowed) return { principal: null, locked: false };
+
+  await env.BOT_BLOCKER_KV.put(ADMIN_LOCK_NS + ipKey, String(now), { expirationTtl: ADMIN_AUTH_FAIL_WINDOW_SEC });
+  logBuffer.push(`[ADMIN_AUTH] locking out IP=${ip} key=${ipKey} for ${ADMIN_AUTH_FAIL_WINDOW_SEC}s`);
+  return { principal: null, locked: true };
+}
+
+// 25-5) adminRequiredScope(): ルートごとに要るスコープ（"root" = env.ADMIN_KEY だけ）
+function adminRequiredScope(method, parts) {
+  const [a, b, c] = parts;
+  if (a === "admin" && b === "keys") return "root";
+  if (method === "GET" || method === "HEAD") return "read";
+  if (a === "admin" && b === "config" && c === "validate") return "read";
+  if (a === "reset-state" || (a === "admin" && ["blocks", "pass", "learning"].includes(b))) return "blocks";
+  return "config";
+}
+
+// 25-6) adminHasScope(): read は何かしらのスコープがあれば可
+function adminHasScope(principal, scope) {
+  if (principal.root) return true;
+  if (scope === "root") return false;
+  if (scope === "read") return principal.scopes.length > 0;
+  return principal.scopes.includes(scope);
+}
+
+// 25-7) readAdminKeys(): ADMIN_KEYS を読む（管理API と shadow ヘッダの確認だけなのでキャッシュしない = 削除が次のリクエストから効く）
+async function readAdminKeys(env) {
+  const raw = await env.BOT_BLOCKER_KV.get(ADMIN_KEYS_KEY, { type: "json" });
+  return (Array.isArray(raw?.keys) ? raw.keys : []).filter(
+    (k) => k && typeof k.id === "string" && typeof k.name === "string" && /^[0-9a-f]{64}$/.test(k.sha256 || "") && Array.isArray(k.scopes)
+  );
+}
+
+// 25-8) auditKvKeys(): この変更で中身が変わる KV キー（監査ログの before / after 用）
+async function auditKvKeys(method, parts, url, env, logBuffer) {
+  const [a, b, c, d] = parts;
+  if (a === "reset-state") return stateKeysFromQuery(url, await getWorkerConfig(env, logBuffer));
+  if (a !== "admin") return [];
+  switch (b) {
+    case "blocks":
+      return c ? [c] : [];
+    case "lists":
+      return ADMIN_LISTS.includes(c) ? [c] : [];
+    case "pass":
+      return [PASS_REVOCATIONS_KEY];
+    case "learning":
+      return [LEARNED_BAD_BOTS_KEY, LEARNED_META_KEY, LEARNED_REJECTS_KEY];
+    case "list-versions":
+      if (c === "sync") return [...SYNCED_LISTS];
+      return SYNCED_LISTS.includes(c) && d === "rollback" ? [c] : [];
+    case "config":
+      return ["WORKER_CONFIG"];
+    case "bypass":
+      return [BYPASS_ALLOWLIST_KEY];
+    case "keys":
+      return [ADMIN_KEYS_KEY];
+    default:
+      return [];
+  }
+}
+
+// 25-9) snapshotKv(): KV の値と metadata を読む（大きい値は長さと SHA-256 だけ / ADMIN_KEYS の sha256 は伏せる）
+async function snapshotKv(env, keys) {
+  const out = {};
+  for (const key of keys) {
+    try {
+      const { value, metadata } = await env.BOT_BLOCKER_KV.getWithMetadata(key);
+      let v = value;
+      if (v !== null && key === ADMIN_KEYS_KEY) {
+        try {
+          const parsed = JSON.parse(v);
+          v = JSON.stringify({ keys: (parsed.keys || []).map(({ sha256, ...rest }) => rest) });
+        } catch {}
+      }
+      if (v !== null && v.length > AUDIT_VALUE_MAX_CHARS) {
+        out[key] = { length: v.length, sha256: await sha256Hex(v), metadata: metadata ?? null };
+        continue;
+      }
+      let parsedValue = v;
+      try { parsedValue = v === null ? null : JSON.parse(v); } catch {}
+      out[key] = { value: parsedValue, metadata: metadata ?? null };
+    } catch (e) {
+      out[key] = { error: String(e?.message || e) };
+    }
+  }
+  return out;
+}
+
+// 25-10) writeAuditRecord(): 1件1オブジェクトで R2 へ（書けなくても操作自体は取り消さない → [AUDIT_FAIL]）
+async function writeAuditRecord(env, record, logBuffer) {
+  const iso = record.at;
+  const key = `${ADMIN_AUDIT_PREFIX}dt=${iso.slice(0, 10)}/${iso.replace(/[:.]/g, "-")}-${generateToken(6)}.json`;
+  try {
+    await env.BLOCKLIST_R2.put(key, JSON.stringify(record), {
+      httpMetadata: { contentType: "application/json" },
+      customMetadata: { actor: record.actor.name, action: `${record.method} ${record.path}`.slice(0, 200), status: String(record.status) },
+    });
+    logBuffer.push(`[AUDIT] ${record.actor.name} ${record.method} ${record.path} -> ${record.status}`);
+  } catch (e) {
+    logBuffer.push(`[AUDIT_FAIL] ${record.actor.name} ${record.method} ${record.path}: ${String(e?.message || e)}`);
+  }
+}
+
+// 25-11) queryAuditRecords(): その日の監査ログを新しい順に（actor は customMetadata で絞ってから中身を読む）
+async function queryAuditRecords(env, date, actor, limit) {
+  const objects = [];
+  let cursor;
+  do {
+    const listed = await env.BLOCKLIST_R2.list({ prefix: `${ADMIN_AUDIT_PREFIX}dt=${date}/`, cursor, include: ["customMetadata"] });
+    objects.push(...listed.objects);
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+
+  const picked = objects
+    .filter((o) => !actor || o.customMetadata?.actor === actor)
+    .sort((x, y) => (x.key < y.key ? 1 : -1));
+  const records = [];
+  for (const o of picked.slice(0, limit)) {
+    const obj = await env.BLOCKLIST_R2.get(o.key);
+    if (obj) records.push({ key: o.key, ...(await obj.json()) });
+  }
+  return { records, truncated: picked.length > limit };
+}
@@ -0,0 +1,292 @@
+// tools/replay-runtime.mjs
+
+/**
+ * オフライン再生用の Workers ランタイム代替（メモリのみ・ネットワーク無し）
+ * - KV / R2 / Cache API / Durable Object を最低限の互換APIで再現する。
+ * - 時刻は SimClock で進める（記録リクエストの ts に合わせると TTL / 窓判定が本番と同じになる）。
+ * - fetch は外に出さない: origin は 200 の固定HTML、Turnstile は常に失敗、DoH は回答なし。
+ */
+
+import { IPStateTrackerV2 } from "../src/do/IPStateTracker.js";
+import { FingerprintTrackerV2 } from "../src/do/FingerprintTracker.js";
+import { MetricsAggregator } from "../src/do/MetricsAggregator.js";
+
+// --- 時計（Date.now を差し替える） ---
+export class SimClock {
+  constructor(startMs = Date.now()) {
+    this.nowMs = startMs;
+  }
+
+  now() {
+    return this.nowMs;
+  }
+
+  // 巻き戻しはしない（記録の順序が多少前後しても TTL が壊れないように）
+  set(ms) {
+    if (Number.isFinite(ms) && ms > this.nowMs) this.nowMs = ms;
+  }
+}
+
+// --- KV ---
+export class MemoryKV {
+  constructor(clock, seed = {}) {
+    this.clock = clock;
+    this.map = new Map(); // key -> { value, exp(ms) | null, metadata }
+    for (const [k, v] of Object.entries(seed)) {
+      this.map.set(k, { value: typeof v === "string" ? v : JSON.stringify(v), exp: null, metadata: null });
+    }
+  }
+
+  _entry(key) {
+    const e = this.map.get(key);
+    if (!e) return null;
+    if (e.exp !== null && e.exp <= this.clock.now()) {
+      this.map.delete(key);
+      return null;
+    }
+    return e;
+  }
+
+  async get(key, opts) {
+    const e = this._entry(key);
+    if (!e) return null;
+    const type = typeof opts === "string" ? opts : opts?.type;
+    return type === "json" ? JSON.parse(e.value) : e.value;
+  }
+
+  async getWithMetadata(key, opts) {
+    const e = this._entry(key);
+    if (!e) return { value: null, metadata: null };
+    return { value: await this.get(key, opts), metadata: e.metadata };
+  }
+
+  async put(key, value, opts = {}) {
+    let exp = null;
+    if (typeof opts.expirationTtl === "number") exp = this.clock.now() + opts.expirationTtl * 1000;
+    if (typeof opts.expiration === "number") exp = opts.expiration * 1000;
+    this.map.set(key, { value: String(value), exp, metadata: opts.metadata ?? null });
+  }
+
+  async delete(key) {
+    this.map.delete(key);
+  }
+
+  async list({ prefix = "", cursor, limit = 1000 } = {}) {
+    const names = [...this.map.keys()].filter((k) => k.startsWith(prefix) && this._entry(k)).sort();
+    const start = cursor ? Number(cursor) : 0;
+    const page = names.slice(start, start + limit);
+    const done = start + limit >= names.length;
+    return {
+      keys: page.map((name) => {
+        const e = this.map.get(name);
+        return { name, expiration: e.exp ? Math.floor(e.exp / 1000) : undefined, metadata: e.metadata ?? undefined };
+      }),
+      list_complete: done,
+      cursor: done ? "" : String(start + limit),
+    };
+  }
+}
+
+// --- R2 ---
+export class MemoryR2 {
+  constructor(clock) {
+    this.clock = clock;
+    this.map = new Map(); // key -> { body: string, uploaded, httpMetadata, customMetadata }
+  }
+
+  _object(key, e, withBody) {
+    const obj = {
+      key,
+      size: e.body.length,
+      uploaded: e.uploaded,
+      httpMetadata: e.httpMetadata,
+      customMetadata: e.customMetadata,
+    };
+    if (withBody) {
+      obj.text = async () => e.body;
+      obj.json = async () => JSON.parse(e.body);
+      obj.arrayBuffer = async () => new TextEncoder().encode(e.body).buffer;
+    }
+    return obj;
+  }
+
+  async put(key, value, opts = {}) {
+    const body = typeof value === "string" ? value : await new Response(value).text();
+    const e = {
+      body,
+      uploaded: new Date(this.clock.now()),
+      httpMetadata: opts.httpMetadata || {},
+      customMetadata: opts.customMetadata || {},
+    };
+    this.map.set(key, e);
+    return this._object(key, e, false);
+  }
+
+  async get(key) {
+    const e = this.map.get(key);
+    return e ? this._object(key, e, true) : null;
+  }
+
+  async head(key) {
+    const e = this.map.get(key);
+    return e ? this._object(key, e, false) : null;
+  }
+
+  async delete(keys) {
+    for (const k of Array.isArray(keys) ? keys : [keys]) this.map.delete(k);
+  }
+
+  async list({ prefix = "", cursor, limit = 1000, delimiter } = {}) {
+    const names = [...this.map.keys()].filter((k) => k.startsWith(prefix)).sort();
+    const objects = [];
+    const delimitedPrefixes = new Set();
+    for (const k of names) {
+      if (delimiter) {
+        const i = k.indexOf(delimiter, prefix.length);
+        if (i >= 0) {
+          delimitedPrefixes.add(k.slice(0, i + delimiter.length));
+          continue;
+        }
+      }
+      objects.push(k);
+    }
+    const start = cursor ? Number(cursor) : 0;
+    const page = objects.slice(start, start + limit);
+    const truncated = start + limit < objects.length;
+    return {
+      objects: page.map((k) => this._object(k, this.map.get(k), false)),
+      truncated,
+      cursor: truncated ? String(start + limit) : undefined,
+      delimitedPrefixes: [...delimitedPrefixes],
+    };
+  }
+}
+
+// --- Cache API（caches.default） ---
+export class MemoryCache {
+  constructor(clock) {
+    this.clock = clock;
+    this.map = new Map(); // url -> { body, status, headers, exp }
+  }
+
+  async match(req) {
+    const url = typeof req === "string" ? req : req.url;
+    const e = this.map.get(url);
+    if (!e) return undefined;
+    if (e.exp <= this.clock.now()) {
+      this.map.delete(url);
+      return undefined;
+    }
+    return new Response(e.body, { status: e.status, headers: e.headers });
+  }
+
+  async put(req, resp) {
+    const url = typeof req === "string" ? req : req.url;
+    const m = /max-age=(\d+)/.exec(resp.headers.get("Cache-Control") || "");
+    const ttlSec = m ? Number(m[1]) : 0;
+    if (ttlSec <= 0) return;
+    this.map.set(url, {
+      body: await resp.text(),
+      status: resp.status,
+      headers: [...resp.headers],
+      exp: this.clock.now() + ttlSec * 1000,
+    });
+  }
+
+  async delete(req) {
+    const url = typeof req === "string" ? req : req.url;
+    return this.map.delete(url);
+  }
+}
+
+// --- Durable Object namespace（名前ごとに1インスタンス / メモリのみ） ---
+export class MemoryDurableObjectNamespace {
+  constructor(DOClass, env) {
+    this.DOClass = DOClass;
+    this.env = env;
+    this.instances = new Map();
+  }
+
+  idFromName(name) {
+    return { name: String(name), toString: () => String(name) };
+  }
+
+  get(id) {
+    const name = String(id.name ?? id);
+    if (!this.instances.has(name)) {
+      this.instances.set(name, new this.DOClass({ id, storage: null }, this.env));
+    }
+    const instance = this.instances.get(name);
+    return { fetch: (input, init) => instance.fetch(input instanceof Request ? input : new Request(input, init)) };
+  }
+}
+
+// --- ExecutionContext（waitUntil は各リクエストの後でまとめて待つ） ---
+export function createExecutionContext() {
+  const pending = [];
+  return {
+    waitUntil(p) {
+      pending.push(Promise.resolve(p).catch((e) => console.error(`[replay] waitUntil failed: ${e?.message || e}`)));
+    },
+    passThroughOnException() {},
+    async drain() {
+      while (pending.length) await pending.shift();
+    },
+  };
+}
+
+// --- fetch（外部へ出さない） ---
+export async function offlineFetch(input, init) {
+  const req = input instanceof Request ? input : new Request(input, init);
+  const host = new URL(req.url).hostname;
+
+  if (host === "challenges.cloudflare.com") {
+    return Response.json({ success: false, "error-codes": ["offline-replay"] });
+  }
+  if (host === "cloudflare-dns.com") {
+    return Response.json({ Status: 0, Answer: [] });
+  }
+  return new Response("<!DOCTYPE html><title>origin</title>", {
+    status: 200,
+    headers: { "Content-Type": "text/html; charset=utf-8" },
+  });
+}
+
+// 1) createReplayEnv(): wrangler.toml のバインディングと同じ名前で env を組み立てる
+export function createReplayEnv(clock, kvSeed = {}) {
+  const env = {
+    BOT_BLOCKER_KV: new MemoryKV(clock, kvSeed),
+    BLOCKLIST_R2: new MemoryR2(clock),
+    TURNSTILE_SITE_KEY: "replay-site-key",
+    TURNSTILE_SECRET_KEY: "replay-secret-key",
+    TURNSTILE_HMAC_SECRET: "replay-hmac-secret",
+    ADMIN_KEY: "replay-admin-key",
+  };
+  env.IP_STATE_TRACKER = new MemoryDurableObjectNamespace(IPStateTrackerV2, env);
+  env.FINGERPRINT_TRACKER = new MemoryDurableObjectNamespace(FingerprintTrackerV2, env);
+  env.METRICS_AGGREGATOR = new MemoryDurableObjectNamespace(MetricsAggregator, env);
+  return env;
+}
+
+// 2) installGlobals(): caches / fetch / Date.now を差し替える（戻り値で元に戻せる）
+export function installGlobals(clock) {
+  const saved = { caches: globalThis.caches, fetch: globalThis.fetch, now: Date.now };
+  globalThis.caches = { default: new MemoryCache(clock) };
+  globalThis.fetch = offlineFetch;
+  Date.now = () => clock.now();
+  return () => {
+    globalThis.caches = saved.caches;
+    globalThis.fetch = saved.fetch;
+    Date.now = saved.now;
+  };
+}
+
+// 3) toRequest(): 記録1件 { url, method, headers, cf, body } を Request にする（cf は後付け）
+export function toRequest(rec) {
+  const method = (rec.method || "GET").toUpperCase();
+  const init = { method, headers: rec.headers || {} };
+  if (rec.body !== undefined && method !== "GET" && method !== "HEAD") init.body = String(rec.body);
+  const req = new Request(rec.url, init);
+  Object.defineProperty(req, "cf", { value: rec.cf || {}, enumerable: true });
+  return req;
+}
@@ -0,0 +1,216 @@
+// tools/replay.mjs
+
+/**
+ * オフライン再生シミュレータ
+ * - 記録したリクエスト（NDJSON）を handle() の判定パイプラインにそのまま流し、1件ごとの label / action を出す。
+ * - KV / R2 / Cache API / DO はメモリ上の代替（tools/replay-runtime.mjs）。ネットワークには一切出ない。
+ * - --diff を付けると「現在の設定」と「候補の設定」で2回再生し、新たに challenge / block される客を一覧にする。
+ *
+ * 使い方:
+ *   node tools/replay.mjs --requests reqs.ndjson [--kv seed.json] [--config current.json] [--diff candidate.json] [--json] [--logs]
+ *
+ *   reqs.ndjson   1行1リクエスト: { "ts": "2025-08-18T02:00:00Z", "url": "https://rcnir.com/en/products/x",
+ *                                  "method": "GET", "headers": { "User-Agent": "...", "CF-Connecting-IP": "..." },
+ *                                  "cf": { "asn": 2516, "country": "JP" } }
+ *                 ts が無い行は前の行の1秒後として扱う
+ *   seed.json     KVの初期値 { "<key>": <value> }（BOT_CIDRS / SYSTEM_BAD_BOT_LIST / ブロック状態など）
+ *   current.json  seed に上書きするKV（WORKER_CONFIG / PATH_RULES など）= 比較の基準
+ *   candidate.json 同上 = 試したい設定（--diff）
+ *
+ * 注意:
+ *  - 1回の再生 = 1 isolate（モジュールスコープのキャッシュは再生中ずっと生きる）
+ *  - Turnstile は常に失敗、origin は常に 200 を返す
+ *  - Node 20.19+ / 22.12+ で実行（src/*.js を ES Modules として読み込むため）
+ */
+
+import { readFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { createExecutionContext, createReplayEnv, installGlobals, SimClock, toRequest } from "./replay-runtime.mjs";
+
+const WORKER_URL = new URL("../src/index.js", import.meta.url);
+const ENFORCED_ACTIONS = ["block", "challenge", "rate-limit"];
+
+// 1) parseArgs(): --name value / --flag
+function parseArgs(argv) {
+  const args = { json: false, logs: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--json") args.json = true;
+    else if (a === "--logs") args.logs = true;
+    else if (a.startsWith("--")) args[a.slice(2)] = argv[++i];
+  }
+  return args;
+}
+
+// 2) readJsonFile() / readRequests()
+async function readJsonFile(path) {
+  return path ? JSON.parse(await readFile(path, "utf8")) : {};
+}
+
+async function readRequests(path) {
+  const text = await readFile(path, "utf8");
+  const records = [];
+  text.split("\n").forEach((line, n) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+    try {
+      records.push(JSON.parse(trimmed));
+    } catch (e) {
+      throw new Error(`${path}:${n + 1}: ${e.message}`);
+    }
+  });
+  return records;
+}
+
+// 3) replayRun(): 1回分の再生（毎回 index.js を別インスタンスとして読み込む = 新しい isolate）
+export async function replayRun(name, records, kvSeed, { captureLogs = false } = {}) {
+  const firstTs = Date.parse(records.find((r) => r.ts)?.ts ?? "");
+  const clock = new SimClock(Number.isFinite(firstTs) ? firstTs : Date.now());
+  const restore = installGlobals(clock);
+
+  const realLog = console.log;
+  let logs = [];
+  console.log = (...a) => logs.push(a.join(" "));
+
+  try {
+    const worker = (await import(`${WORKER_URL.href}?run=${encodeURIComponent(name)}`)).default;
+    const env = createReplayEnv(clock, kvSeed);
+    let lastDecision = null;
+    env.REPLAY_DECISION_SINK = (d) => (lastDecision = d);
+
+    const results = [];
+    for (const [i, rec] of records.entries()) {
+      const ts = Date.parse(rec.ts ?? "");
+      clock.set(Number.isFinite(ts) ? ts : clock.now() + 1000);
+
+      lastDecision = null;
+      logs = [];
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(toRequest(rec), env, ctx);
+      await ctx.drain();
+
+      const d = lastDecision || {};
+      results.push({
+        i,
+        ts: new Date(clock.now()).toISOString(),
+        method: (rec.method || "GET").toUpperCase(),
+        url: rec.url,
+        ip: d.ip ?? rec.headers?.["CF-Connecting-IP"] ?? null,
+        fp: d.fp ?? null,
+        label: d.label ?? null,
+        action: d.action ?? "fast-path", // アセット / ping / 管理API など判定を通らないもの
+        rule: d.rule ?? null,
+        score: d.score ?? null,
+        shadow: d.shadow ?? [],
+        status: response.status,
+        ...(captureLogs ? { logs: logs.filter((l) => !l.includes("FP_FULL_DEBUG") && !l.startsWith("-----")) } : {}),
+      });
+    }
+    return results;
+  } finally {
+    console.log = realLog;
+    restore();
+  }
+}
+
+// 4) countBy(): action ごとの件数
+function countBy(results) {
+  const out = {};
+  for (const r of results) out[r.action] = (out[r.action] || 0) + 1;
+  return out;
+}
+
+// 5) diffRuns(): 基準(A)と候補(B)の差分。新たに block / challenge / rate-limit される客を IP+FP 単位でまとめる
+export function diffRuns(a, b) {
+  const changed = [];
+  const customers = new Map();
+
+  for (let i = 0; i < a.length; i++) {
+    const ra = a[i];
+    const rb = b[i];
+    if (ra.action === rb.action && ra.rule === rb.rule) continue;
+
+    changed.push({ i, url: ra.url, ip: ra.ip, fp: ra.fp, from: `${ra.action}:${ra.rule ?? "-"}`, to: `${rb.action}:${rb.rule ?? "-"}` });
+
+    const newlyEnforced = ENFORCED_ACTIONS.includes(rb.action) && !ENFORCED_ACTIONS.includes(ra.action);
+    if (!newlyEnforced) continue;
+
+    const key = `${rb.ip}|${rb.fp}`;
+    const c = customers.get(key) || { ip: rb.ip, fp: rb.fp, requests: 0, actions: {}, examples: [] };
+    c.requests++;
+    c.actions[rb.action] = (c.actions[rb.action] || 0) + 1;
+    if (c.examples.length < 3) c.examples.push(new URL(rb.url).pathname);
+    customers.set(key, c);
+  }
+
+  return {
+    total: a.length,
+    before: countBy(a),
+    after: countBy(b),
+    changed,
+    newlyEnforced: [...customers.values()].sort((x, y) => y.requests - x.requests),
+  };
+}
+
+// 6) print*(): テキスト出力
+function printRun(results) {
+  for (const r of results) {
+    const shadow = r.shadow.length ? ` shadow=${r.shadow.map((s) => `${s.rule}:${s.action}`).join(",")}` : "";
+    console.log(
+      `#${r.i} ${r.status} ${r.action.padEnd(10)} ${String(r.rule ?? "-").padEnd(28)} ${String(r.label ?? "-").padEnd(14)} ` +
+        `${r.ip ?? "-"} ${r.method} ${r.url}${shadow}`
+    );
+    for (const l of r.logs || []) console.log(`    ${l}`);
+  }
+  console.log("");
+  console.log(`actions: ${JSON.stringify(countBy(results))}`);
+}
+
+function printDiff(diff) {
+  console.log(`== replay diff: ${diff.total} requests ==`);
+  const actions = [...new Set([...Object.keys(diff.before), ...Object.keys(diff.after)])].sort();
+  for (const a of actions) {
+    console.log(`  ${a.padEnd(12)} ${String(diff.before[a] || 0).padStart(6)} -> ${String(diff.after[a] || 0).padStart(6)}`);
+  }
+
+  console.log(`\nchanged: ${diff.changed.length} requests`);
+  for (const c of diff.changed) console.log(`  #${c.i} ${c.ip ?? "-"} FP=${c.fp ?? "-"} ${c.from} -> ${c.to} ${c.url}`);
+
+  console.log(`\nnewly challenged / blocked: ${diff.newlyEnforced.length} customers (IP + FP)`);
+  for (const c of diff.newlyEnforced) {
+    console.log(`  ${c.ip ?? "-"} FP=${c.fp ?? "-"} requests=${c.requests} ${JSON.stringify(c.actions)} e.g. ${c.examples.join(" ")}`);
+  }
+}
+
+// 7) main
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.requests) {
+    console.error("usage: node tools/replay.mjs --requests reqs.ndjson [--kv seed.json] [--config current.json] [--diff candidate.json] [--json] [--logs]");
+    process.exit(2);
+  }
+
+  const records = await readRequests(args.requests);
+  const seed = await readJsonFile(args.kv);
+  const current = { ...seed, ...(await readJsonFile(args.config)) };
+
+  const base = await replayRun("current", records, current, { captureLogs: args.logs });
+  if (!args.diff) {
+    if (args.json) console.log(JSON.stringify(base, null, 2));
+    else printRun(base);
+    return;
+  }
+
+  const candidate = { ...seed, ...(await readJsonFile(args.diff)) };
+  const next = await replayRun("candidate", records, candidate, { captureLogs: args.logs });
+  const diff = diffRuns(base, next);
+  if (args.json) console.log(JSON.stringify(diff, null, 2));
+  else printDiff(diff);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error(e?.stack || e);
+    process.exit(1);
+  });
+}